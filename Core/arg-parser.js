@@ -0,0 +1,280 @@
+// Typed command arguments. A command declares `args`, e.g.
+//   args: [
+//       { name: 'key', type: 'string' },
+//       { name: 'value', rest: true },
+//       { name: 'silent', flag: true, alias: 's', description: 'Do not reply' }
+//   ]
+// and receives `context.args` ({ key, value, silent }) once the input parses and validates.
+
+class ArgumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArgumentError';
+    }
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Each converter gets the raw token and { mentions } and returns the typed value, or throws an
+// ArgumentError saying what it expected ('a number'), which convert() turns into the full message
+const TYPES = {
+    string: raw => raw,
+
+    number: raw => {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value)) throw new ArgumentError('a number');
+        return value;
+    },
+
+    boolean: raw => {
+        if (/^(true|yes|on|1)$/i.test(raw)) return true;
+        if (/^(false|no|off|0)$/i.test(raw)) return false;
+        throw new ArgumentError('true or false');
+    },
+
+    // '90' (seconds), '1h30m', '2d', '500ms' -> milliseconds
+    duration: raw => {
+        if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+
+        const parts = raw.toLowerCase().match(/\d+(?:\.\d+)?(?:ms|s|m|h|d|w)/g);
+        if (!parts || parts.join('') !== raw.toLowerCase()) throw new ArgumentError('a duration like 30s, 10m or 1h30m');
+        return Math.round(parts.reduce((total, part) => {
+            const [, amount, unit] = part.match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d|w)$/);
+            return total + Number(amount) * DURATION_UNITS[unit];
+        }, 0));
+    },
+
+    // A phone number, @mention or user JID -> normalized JID; groups are refused
+    user: (raw, { mentions }) => {
+        if (/^[@+]?\d{5,20}$/.test(raw)) return TYPES.mention(`@${raw.replace(/^[@+]/, '')}`, { mentions });
+        if (/^\d+(:\d+)?@(s\.whatsapp\.net|lid)$/.test(raw)) return raw;
+        throw new ArgumentError('a phone number, @mention or user JID');
+    },
+
+    // Anything `user` accepts, or a group JID
+    jid: (raw, options) => {
+        if (/^[\d-]+@g\.us$/.test(raw)) return raw;
+        try {
+            return TYPES.user(raw, options);
+        } catch (error) {
+            if (!(error instanceof ArgumentError)) throw error;
+            throw new ArgumentError('a phone number, @mention or JID');
+        }
+    },
+
+    // '@1234567890' -> the mentioned JID (taken from the message's mention list when present)
+    mention: (raw, { mentions }) => {
+        const match = raw.replace(/[\s+()-]/g, '').match(/^@(\d{5,20})$/);
+        if (!match) throw new ArgumentError('an @mention');
+        return mentions.find(jid => jid.split(/[:@]/)[0] === match[1]) || `${match[1]}@s.whatsapp.net`;
+    },
+
+    url: raw => {
+        let url;
+        try {
+            url = new URL(raw);
+        } catch {
+            throw new ArgumentError('an http(s) URL');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new ArgumentError('an http(s) URL');
+        return url.href;
+    }
+};
+
+// Split on whitespace; "double" or 'single' quotes group words when they wrap a whole token
+// (so apostrophes inside words stay literal) and \" or \' escape a quote inside them
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        const quote = input[i];
+        if (quote === '"' || quote === '\'') {
+            const close = findClosingQuote(input, i + 1, quote);
+            if (close !== -1 && (close + 1 === input.length || /\s/.test(input[close + 1]))) {
+                const value = input.slice(i + 1, close).replace(/\\(["'\\])/g, '$1');
+                tokens.push({ value, quoted: true, start, end: close + 1 });
+                i = close + 1;
+                continue;
+            }
+        }
+
+        while (i < input.length && !/\s/.test(input[i])) i++;
+        tokens.push({ value: input.slice(start, i), quoted: false, start, end: i });
+    }
+    return tokens;
+}
+
+function findClosingQuote(input, from, quote) {
+    for (let i = from; i < input.length; i++) {
+        if (input[i] === '\\') {
+            i++;
+        } else if (input[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function convert(arg, raw, options) {
+    const type = arg.type || (arg.flag ? 'boolean' : 'string');
+    try {
+        return TYPES[type](raw, options);
+    } catch (error) {
+        if (!(error instanceof ArgumentError)) throw error;
+        throw new ArgumentError(`${arg.flag ? `--${arg.name}` : `<${arg.name}>`} must be ${error.message}, got '${raw}'`);
+    }
+}
+
+// Parse the text after the command name against `schema`; throws ArgumentError on bad input
+function parseArgs(input, schema = [], { mentions = [] } = {}) {
+    const options = { mentions };
+    const flags = schema.filter(arg => arg.flag);
+    const positionals = schema.filter(arg => !arg.flag);
+    const args = {};
+    const values = [];
+
+    for (const flag of flags) {
+        args[flag.name] = flag.default !== undefined ? flag.default : ((flag.type || 'boolean') === 'boolean' ? false : undefined);
+    }
+
+    const tokens = tokenize(input);
+    let flagsEnded = false;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        // '--' ends option parsing, so later tokens may start with dashes
+        if (!token.quoted && !flagsEnded && flags.length > 0 && token.value === '--') {
+            flagsEnded = true;
+            continue;
+        }
+
+        // Commands without flags take dashed words as plain arguments
+        const option = !token.quoted && !flagsEnded && flags.length > 0 && token.value.match(/^(--([a-z][\w-]*)|-([a-z]))(?:=(.*))?$/i);
+        if (!option) {
+            values.push({ ...token, position: i });
+            continue;
+        }
+
+        const [, , longName, shortName, inline] = option;
+        const flag = flags.find(f => (longName ? f.name === longName : f.alias === shortName));
+        if (!flag) {
+            throw new ArgumentError(`Unknown option ${option[1]}`);
+        }
+
+        if ((flag.type || 'boolean') === 'boolean') {
+            args[flag.name] = inline === undefined ? true : convert(flag, inline, options);
+        } else {
+            const raw = inline !== undefined ? inline : tokens[++i]?.value;
+            if (raw === undefined) throw new ArgumentError(`--${flag.name} needs a value`);
+            args[flag.name] = convert(flag, raw, options);
+        }
+    }
+
+    let index = 0;
+    for (const arg of positionals) {
+        const remaining = values.slice(index);
+
+        if (arg.rest) {
+            index = values.length;
+            if (remaining.length === 0) {
+                if (!arg.optional) throw new ArgumentError(`Missing <${arg.name}>`);
+                args[arg.name] = arg.default;
+            } else if ((arg.type || 'string') === 'string') {
+                // Keep the original spacing and line breaks, unless it is a single (quoted)
+                // value or options were mixed into the text
+                const first = remaining[0];
+                const last = remaining[remaining.length - 1];
+                if (remaining.length === 1) {
+                    args[arg.name] = first.value;
+                } else if (last.position - first.position === remaining.length - 1) {
+                    args[arg.name] = input.slice(first.start, last.end);
+                } else {
+                    args[arg.name] = remaining.map(token => token.value).join(' ');
+                }
+            } else {
+                args[arg.name] = remaining.map(token => convert(arg, token.value, options));
+            }
+            continue;
+        }
+
+        if (remaining.length === 0) {
+            if (!arg.optional) throw new ArgumentError(`Missing <${arg.name}>`);
+            args[arg.name] = arg.default;
+            continue;
+        }
+        args[arg.name] = convert(arg, remaining[0].value, options);
+        index++;
+    }
+
+    if (index < values.length) {
+        throw new ArgumentError(`Unexpected argument '${values[index].value}'`);
+    }
+    return args;
+}
+
+// Problems with a command's `args` declaration, for the module loader to report
+function validateSchema(schema) {
+    if (!Array.isArray(schema)) return ['args must be a list'];
+
+    const problems = [];
+    const names = new Set();
+    let optionalSeen = false;
+    schema.forEach((arg, i) => {
+        const label = arg?.name ? `'${arg.name}'` : `#${i + 1}`;
+        if (!arg || typeof arg.name !== 'string' || !/^[a-z][\w-]*$/i.test(arg.name)) {
+            problems.push(`argument ${label} needs a name`);
+            return;
+        }
+        if (names.has(arg.name)) problems.push(`argument ${label} is declared twice`);
+        names.add(arg.name);
+
+        if (arg.type && !TYPES[arg.type]) {
+            problems.push(`argument ${label} has unknown type '${arg.type}' (use ${Object.keys(TYPES).join(', ')})`);
+        }
+        if (arg.flag) return;
+
+        if (arg.rest && schema.slice(i + 1).some(next => !next.flag)) {
+            problems.push(`argument ${label} is rest but not the last positional`);
+        }
+        if (optionalSeen && !arg.optional) {
+            problems.push(`argument ${label} is required after an optional one`);
+        }
+        optionalSeen = optionalSeen || Boolean(arg.optional);
+    });
+    return problems;
+}
+
+// '.save <key> <value...> [--silent]'
+function formatUsage(command, prefix = '.') {
+    const parts = [`${prefix}${command.name}`];
+    for (const arg of command.args || []) {
+        if (arg.flag) {
+            const type = arg.type || 'boolean';
+            parts.push(type === 'boolean' ? `[--${arg.name}]` : `[--${arg.name} <${type}>]`);
+        } else {
+            const name = `${arg.name}${arg.rest ? '...' : ''}`;
+            parts.push(arg.optional ? `[${name}]` : `<${name}>`);
+        }
+    }
+    return parts.join(' ');
+}
+
+// One line per argument for detailed help
+function describeArgs(schema = []) {
+    return schema.map(arg => {
+        const name = arg.flag ? `--${arg.name}${arg.alias ? `, -${arg.alias}` : ''}` : arg.name;
+        const details = [arg.type || (arg.flag ? 'boolean' : 'string')];
+        if (arg.optional) details.push('optional');
+        if (arg.default !== undefined) details.push(`default ${arg.default}`);
+        return `${name} (${details.join(', ')})${arg.description ? ` - ${arg.description}` : ''}`;
+    });
+}
+
+module.exports = { ArgumentError, TYPES, tokenize, parseArgs, validateSchema, formatUsage, describeArgs };
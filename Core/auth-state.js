@@ -0,0 +1,234 @@
+const { useMultiFileAuthState, initAuthCreds, BufferJSON, proto } = require('@whiskeysockets/baileys');
+const fs = require('fs-extra');
+const path = require('path');
+
+const { readAuthDir } = require('../utils/auth-files');
+const { useMongoAuthState, readMongoAuthState, migrateArchive, settle } = require('../utils/mongoAuthState');
+
+function parseJson(text) {
+    return JSON.parse(text, BufferJSON.reviver);
+}
+
+function stringifyJson(value) {
+    return JSON.stringify(value, BufferJSON.replacer);
+}
+
+// Every backend can open a Baileys auth state and read/write a full snapshot
+// ({ creds, keys: { [type]: { [id]: value } } }), which is what migration and export use.
+// open() returns { state, saveCreds, flush }; flush() waits for the writes still in progress.
+class AuthBackend {
+    constructor(bot) {
+        this.bot = bot;
+    }
+
+    // Replace whatever is stored with `snapshot`, through the same state Baileys would use
+    async writeSnapshot(snapshot) {
+        await this.clear();
+        const { state, saveCreds } = await this.open();
+        await state.keys.set(snapshot.keys || {});
+        Object.assign(state.creds, snapshot.creds);
+        await saveCreds();
+    }
+}
+
+// Baileys' multi-file layout: creds.json plus one <type>-<id>.json per key in authPath
+class FileAuthBackend extends AuthBackend {
+    get name() {
+        return 'file';
+    }
+
+    get dir() {
+        return this.bot.authPath;
+    }
+
+    // Baileys writes the files directly, so the pending writes are tracked here for flush()
+    async open() {
+        const { state, saveCreds } = await useMultiFileAuthState(this.dir);
+        const pending = new Set();
+        const track = (promise) => {
+            pending.add(promise);
+            promise.catch(() => {}).finally(() => pending.delete(promise));
+            return promise;
+        };
+
+        return {
+            state: { ...state, keys: { ...state.keys, set: values => track(state.keys.set(values)) } },
+            saveCreds: () => track(saveCreds()),
+            flush: () => Promise.allSettled([...pending])
+        };
+    }
+
+    async hasCreds() {
+        return fs.pathExists(path.join(this.dir, 'creds.json'));
+    }
+
+    async readSnapshot() {
+        return readAuthDir(this.dir);
+    }
+
+    async clear() {
+        await fs.remove(this.dir);
+    }
+}
+
+// Everything in one <authPath>.json file, rewritten atomically on each change
+class JsonAuthBackend extends AuthBackend {
+    get name() {
+        return 'json';
+    }
+
+    get file() {
+        return `${this.bot.authPath.replace(/[\\/]+$/, '')}.json`;
+    }
+
+    async load() {
+        if (!(await fs.pathExists(this.file))) return null;
+        return parseJson(await fs.readFile(this.file, 'utf8'));
+    }
+
+    async save(data) {
+        const temp = `${this.file}.tmp`;
+        await fs.outputFile(temp, stringifyJson(data));
+        await fs.move(temp, this.file, { overwrite: true });
+    }
+
+    async open() {
+        const data = (await this.load()) || { creds: initAuthCreds(), keys: {} };
+        // Writes are chained so two quick updates can't interleave; a failed one doesn't block the rest
+        let writing = Promise.resolve();
+        const persist = () => {
+            writing = writing.catch(() => {}).then(() => this.save(data));
+            return writing;
+        };
+
+        const state = {
+            creds: data.creds,
+            keys: {
+                get: async (type, ids) => {
+                    const stored = data.keys[type] || {};
+                    const result = {};
+                    for (const id of ids) {
+                        let value = stored[id];
+                        if (value && type === 'app-state-sync-key') {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        result[id] = value;
+                    }
+                    return result;
+                },
+                set: async (values) => {
+                    for (const [type, entries] of Object.entries(values)) {
+                        data.keys[type] = data.keys[type] || {};
+                        for (const [id, value] of Object.entries(entries)) {
+                            if (value) {
+                                data.keys[type][id] = value;
+                            } else {
+                                delete data.keys[type][id];
+                            }
+                        }
+                    }
+                    await persist();
+                }
+            }
+        };
+
+        return { state, saveCreds: persist, flush: () => settle(() => writing) };
+    }
+
+    async hasCreds() {
+        return Boolean((await this.load())?.creds);
+    }
+
+    async readSnapshot() {
+        const data = await this.load();
+        return data?.creds ? { creds: data.creds, keys: data.keys || {} } : null;
+    }
+
+    async clear() {
+        await fs.remove(this.file);
+    }
+}
+
+// One document per key in the session's `auth` collection, cached in memory while the socket runs
+class MongoAuthBackend extends AuthBackend {
+    get name() {
+        return 'mongo';
+    }
+
+    get collection() {
+        return this.bot.db.collection(this.bot.collectionName('auth'));
+    }
+
+    // Converts the tar archive older versions stored, once per process
+    migrate() {
+        if (!this.migrated) {
+            this.migrated = migrateArchive(this.collection).then(converted => {
+                if (converted) this.bot.logger.info('🔐 Converted the archived MongoDB login to per-key documents');
+            }).catch(error => {
+                this.migrated = null;
+                throw error;
+            });
+        }
+        return this.migrated;
+    }
+
+    async open() {
+        await this.migrate();
+        return useMongoAuthState(this.collection);
+    }
+
+    async hasCreds() {
+        await this.migrate();
+        return Boolean(await this.collection.findOne({ _id: 'creds' }, { projection: { _id: 1 } }));
+    }
+
+    async readSnapshot() {
+        await this.migrate();
+        return readMongoAuthState(this.collection);
+    }
+
+    async clear() {
+        await this.collection.deleteMany({});
+    }
+}
+
+const BACKENDS = {
+    file: FileAuthBackend,
+    json: JsonAuthBackend,
+    mongo: MongoAuthBackend
+};
+
+function createAuthBackend(bot, name = bot.config.get('auth.backend')) {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown auth backend '${name}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend(bot);
+}
+
+// When the configured backend is empty but another one holds a login, copy it over so
+// switching auth.backend doesn't require scanning a new QR. Returns the source backend name.
+// The source is cleared once the copy reads back, so a later logout can't be undone by
+// importing the same login again on the next start.
+async function migrateAuthState(bot, target) {
+    if (await target.hasCreds()) return null;
+
+    for (const name of Object.keys(BACKENDS)) {
+        if (name === target.name) continue;
+
+        const source = createAuthBackend(bot, name);
+        const snapshot = await source.readSnapshot();
+        if (!snapshot) continue;
+
+        await target.writeSnapshot(snapshot);
+        const copied = await target.readSnapshot();
+        if (!copied?.creds || copied.creds.me?.id !== snapshot.creds.me?.id) {
+            throw new Error(`The login copied from the ${name} auth backend to ${target.name} did not read back`);
+        }
+        await source.clear();
+        return name;
+    }
+    return null;
+}
+
+module.exports = { createAuthBackend, migrateAuthState };
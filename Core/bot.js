@@ -1,6 +1,5 @@
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode-terminal');
-const fs = require('fs-extra');
 const path = require('path');
 
 const config = require('../config');
@@ -8,66 +7,135 @@ const logger = require('./logger');
 const MessageHandler = require('./message-handler');
 const TelegramBridge = require('../watg-bridge/bridge');
 const { connectDb } = require('../utils/db');
+const { displayPrefix } = require('../utils/prefixes');
 const ModuleLoader = require('./module-loader');
+const ChatSettings = require('./chat-settings');
+const Roles = require('./roles');
+const SessionConfig = require('./session-config');
+const MessageStore = require('./message-store');
+const ProcessedMessages = require('./processed-messages');
+const ConnectionState = require('./connection-state');
+const EventBus = require('./event-bus');
+const Watchdog = require('./watchdog');
+const GroupCache = require('./group-cache');
+const metrics = require('./metrics');
+const InFlightTracker = require('./in-flight');
+const { createAuthBackend, migrateAuthState } = require('./auth-state');
 
 class HyperWaBot {
-    constructor() {
+    // `profile` is an entry from config `sessions`; `manager` is the SessionManager running it
+    constructor(profile = {}, manager = null) {
+        this.sessionId = profile.id || 'default';
+        this.manager = manager;
+        this.config = new SessionConfig(this.sessionId);
+        this.logger = this.sessionId === 'default' ? logger : logger.child({ session: this.sessionId });
         this.sock = null;
-        this.authPath = './auth_info';
+        this.authPath = profile.authPath || (this.sessionId === 'default' ? './auth_info' : `./sessions/${this.sessionId}`);
+        this.auth = null; // auth backend picked by auth.backend
+        this.flushAuth = null; // waits for the current auth state's pending writes
         this.messageHandler = new MessageHandler(this);
         this.telegramBridge = null;
         this.isShuttingDown = false;
+        this.inFlight = new InFlightTracker();
         this.db = null;
+        this.chatSettings = new ChatSettings(this);
+        this.roles = new Roles(this);
+        this.store = new MessageStore(this);
+        this.processed = new ProcessedMessages(this);
         this.moduleLoader = new ModuleLoader(this);
         this.qrCodeSent = false;
+        this.connection = new ConnectionState();
+        this.connection.on('change', change => this.reportConnectionChange(change));
+        this.events = new EventBus(this);
+        this.watchdog = new Watchdog(this);
+        this.groups = new GroupCache(this);
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 5000;
+        this.reconnectTimer = null;
+        this.connectionTimer = null;
+        // Pairing-code login: { phoneNumber, code } while a code is outstanding
+        this.pairing = null;
+        this.pairingTimer = null;
+        this.pairingCodeTtl = 60000;
+        this.pairingPromptSent = false;
     }
 
     async initialize() {
-        logger.info('🔧 Initializing HyperWa Userbot...');
-        
+        this.logger.info(`🔧 Initializing HyperWa Userbot (session: ${this.sessionId})...`);
+
+        // Refuse to start anything while the config is invalid
+        config.assertValid();
+
         // Connect to the database
         try {
             this.db = await connectDb();
-            logger.info('✅ Database connected successfully!');
+            this.logger.info('✅ Database connected successfully!');
         } catch (error) {
-            logger.error('❌ Failed to connect to database:', error);
-            process.exit(1);
+            this.logger.error('❌ Failed to connect to database:', error);
+            throw error;
+        }
+
+        // Load persisted config overrides before anything reads them
+        await config.connectStore(this.db);
+        config.assertValid();
+        await this.chatSettings.initialize(this.db);
+        await this.roles.initialize(this.db);
+        await this.store.initialize(this.db);
+        await this.processed.initialize(this.db);
+
+        // Pick the login store, carrying over a login kept by another backend
+        this.auth = createAuthBackend(this);
+        const migratedFrom = await migrateAuthState(this, this.auth);
+        if (migratedFrom) {
+            this.logger.info(`🔐 Moved WhatsApp login from the ${migratedFrom} backend to ${this.auth.name}`);
         }
 
         // Initialize Telegram bridge first (for QR code sending)
-        if (config.get('telegram.enabled')) {
+        if (this.config.get('telegram.enabled')) {
             try {
                 this.telegramBridge = new TelegramBridge(this);
                 await this.telegramBridge.initialize();
-                logger.info('✅ Telegram bridge initialized');
+                this.logger.info('✅ Telegram bridge initialized');
             } catch (error) {
-                logger.error('❌ Failed to initialize Telegram bridge:', error);
+                this.logger.error('❌ Failed to initialize Telegram bridge:', error);
             }
         }
 
         // Load modules using the ModuleLoader
         await this.moduleLoader.loadModules();
         
-        // Start WhatsApp connection
+        // Start WhatsApp connection; retries run in the background until it opens or the session stops
         await this.startWhatsApp();
+        const state = await this.connection.waitFor('open', 'stopped');
         
-        logger.info('✅ HyperWa Userbot initialized successfully!');
+        if (state === 'open') {
+            this.logger.info('✅ HyperWa Userbot initialized successfully!');
+        }
     }
 
+    // Open a socket unless one is already starting or open
     async startWhatsApp() {
+        if (this.isShuttingDown || this.connection.is('connecting', 'open')) return;
+
+        this.clearReconnectTimer();
+        this.connection.transition('connecting', { attempt: this.reconnectAttempts });
+
         try {
-            const { state, saveCreds } = await useMultiFileAuthState(this.authPath);
+            // The previous socket's last creds/key writes must land before the state is read again
+            await this.flushAuth?.();
+            const { state, saveCreds, flush } = await this.auth.open();
+            this.flushAuth = flush;
             const { version } = await fetchLatestBaileysVersion();
+            if (this.isShuttingDown) return;
 
             this.sock = makeWASocket({
                 auth: state,
                 version,
                 printQRInTerminal: false,
-                logger: logger.child({ module: 'baileys' }),
-                getMessage: async (key) => ({ conversation: 'Message not found' }),
+                logger: this.logger.child({ module: 'baileys' }),
+                // Needed to resend messages on retry requests and to decrypt poll votes
+                getMessage: async (key) => (await this.store.getMessage(key))?.message || undefined,
+                // Saves a metadata query for every message sent to a group
+                cachedGroupMetadata: async (jid) => this.groups.peek(jid),
                 // Enhanced connection options
                 connectTimeoutMs: 60000,
                 defaultQueryTimeoutMs: 60000,
@@ -87,170 +155,196 @@ class HyperWaBot {
             });
 
             this.setupEventHandlers(saveCreds);
-            
-            // Set connection timeout
-            const connectionTimeout = setTimeout(() => {
-                if (!this.sock?.user && !this.isShuttingDown) {
-                    logger.warn('❌ Connection timed out, retrying...');
-                    this.handleReconnection();
-                }
-            }, 60000);
-
-            // Wait for connection
-            await new Promise((resolve, reject) => {
-                const cleanup = () => {
-                    clearTimeout(connectionTimeout);
-                };
-
-                this.sock.ev.on('connection.update', (update) => {
-                    if (update.connection === 'open') {
-                        cleanup();
-                        this.reconnectAttempts = 0; // Reset on successful connection
-                        resolve();
-                    } else if (update.connection === 'close') {
-                        cleanup();
-                        // Don't reject here, let the connection.update handler deal with it
-                    }
-                });
-
-                // Handle errors
-                this.sock.ev.on('creds.update', () => {
-                    // Connection is progressing
-                });
-            });
 
+            this.connectionTimer = setTimeout(() => {
+                this.connectionTimer = null;
+                if (this.connection.is('connecting')) {
+                    this.scheduleReconnect('connection timed out');
+                }
+            }, this.config.get('connection.timeoutMs'));
         } catch (error) {
-            logger.error('❌ Failed to initialize WhatsApp socket:', error);
-            await this.handleReconnection();
+            this.logger.error('❌ Failed to initialize WhatsApp socket:', error);
+            this.scheduleReconnect(`socket start failed: ${error.message}`);
         }
     }
 
-    async handleReconnection() {
-        if (this.isShuttingDown) return;
+    // Drop the current socket and start a new one after an exponential, jittered delay.
+    // Both the connection timeout and a close event may call this; only the first one counts.
+    scheduleReconnect(reason, { immediate = false } = {}) {
+        if (this.isShuttingDown || this.connection.is('backoff', 'stopped')) return;
 
+        this.clearConnectionTimer();
+        this.clearPairingTimer();
+        this.endSocket();
+
+        const delay = immediate ? 0 : this.backoffDelay(this.reconnectAttempts);
         this.reconnectAttempts++;
-        
-        if (this.reconnectAttempts > this.maxReconnectAttempts) {
-            logger.error('❌ Max reconnection attempts reached. Please restart the bot.');
-            process.exit(1);
+        metrics.reconnects.inc({ session: this.sessionId });
+        this.connection.transition('backoff', { reason, attempt: this.reconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.startWhatsApp();
+        }, delay);
+    }
+
+    // base * factor^attempt capped at max, then randomized to 50-100% so sessions don't retry in lockstep
+    backoffDelay(attempt) {
+        const base = this.config.get('connection.backoffBaseMs');
+        const max = this.config.get('connection.backoffMaxMs');
+        const factor = this.config.get('connection.backoffFactor');
+        const delay = Math.min(max, base * Math.pow(factor, attempt));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // Events from a socket we've let go of are ignored, so ending it can't trigger another reconnect
+    endSocket() {
+        const sock = this.sock;
+        this.sock = null;
+        if (!sock) return;
+
+        try {
+            sock.end(undefined);
+        } catch (error) {
+            this.logger.debug('Error ending socket:', error);
         }
+    }
 
-        const delay = this.reconnectDelay * this.reconnectAttempts;
-        logger.warn(`🔄 Reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay/1000}s...`);
-        
-        // Clean up current socket
-        if (this.sock) {
-            try {
-                this.sock.end();
-            } catch (error) {
-                logger.debug('Error ending socket:', error);
-            }
-            this.sock = null;
+    clearReconnectTimer() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
         }
+    }
 
-        setTimeout(() => {
-            if (!this.isShuttingDown) {
-                this.startWhatsApp();
-            }
-        }, delay);
+    clearConnectionTimer() {
+        if (this.connectionTimer) {
+            clearTimeout(this.connectionTimer);
+            this.connectionTimer = null;
+        }
+    }
+
+    async reportConnectionChange({ from, to, reason, attempt, delay }) {
+        const labels = {
+            connecting: '🔗 Connecting to WhatsApp',
+            open: '✅ WhatsApp connected',
+            backoff: '⏳ WhatsApp reconnect scheduled',
+            stopped: '🛑 WhatsApp connection stopped'
+        };
+
+        const details = [`State: ${from} → ${to}`];
+        if (reason) details.push(`Reason: ${reason}`);
+        if (to === 'backoff') details.push(`Attempt: ${attempt}`, `Retry in: ${Math.round(delay / 1000)}s`);
+
+        const level = to === 'backoff' ? 'warn' : 'info';
+        this.logger[level](`${labels[to]} (${details.join(', ')})`);
+
+        if (this.telegramBridge) {
+            await this.telegramBridge.logToTelegram(labels[to], `Session: ${this.sessionId}\n${details.join('\n')}`);
+        }
     }
 
     setupEventHandlers(saveCreds) {
-        this.sock.ev.on('connection.update', async (update) => {
+        const sock = this.sock;
+
+        sock.ev.on('connection.update', async (update) => {
+            if (sock !== this.sock) return;
             const { connection, lastDisconnect, qr } = update;
 
+            // A QR means the socket reached WhatsApp and is waiting for login; Baileys
+            // closes it by itself when the login window runs out
             if (qr) {
-                logger.info('📱 Scan QR code with WhatsApp:');
+                this.clearConnectionTimer();
+                this.reconnectAttempts = 0;
+            }
+
+            if (qr && (this.pairing || this.config.get('auth.method') === 'pairing')) {
+                await this.handlePairingLogin();
+            } else if (qr) {
+                this.logger.info('📱 Scan QR code with WhatsApp:');
                 qrcode.generate(qr, { small: true });
 
                 // Send QR code to Telegram if bridge is enabled
-                if (this.telegramBridge && config.get('telegram.enabled') && config.get('telegram.botToken')) {
+                if (this.telegramBridge && this.config.get('telegram.enabled') && this.config.get('telegram.botToken')) {
                     try {
                         await this.telegramBridge.sendQRCode(qr);
-                        logger.info('✅ QR code sent to Telegram');
+                        this.logger.info('✅ QR code sent to Telegram');
                     } catch (error) {
-                        logger.error('❌ Failed to send QR code to Telegram:', error);
+                        this.logger.error('❌ Failed to send QR code to Telegram:', error);
                     }
                 }
             }
 
             if (connection === 'close') {
                 const statusCode = lastDisconnect?.error?.output?.statusCode;
-                const reason = lastDisconnect?.error?.output?.payload?.error;
+                const reason = lastDisconnect?.error?.output?.payload?.error || lastDisconnect?.error?.message || 'Unknown reason';
                 
-                logger.warn(`🔌 Connection closed: ${reason || 'Unknown reason'} (${statusCode})`);
+                this.logger.warn(`🔌 Connection closed: ${reason} (${statusCode})`);
 
                 // Handle different disconnect reasons
                 switch (statusCode) {
                     case DisconnectReason.badSession:
-                        logger.error('❌ Bad session file, deleting and restarting...');
-                        await fs.remove(this.authPath);
-                        await this.handleReconnection();
-                        break;
-                        
-                    case DisconnectReason.connectionClosed:
-                    case DisconnectReason.connectionLost:
-                    case DisconnectReason.connectionReplaced:
-                        if (!this.isShuttingDown) {
-                            logger.warn('🔄 Connection issue, reconnecting...');
-                            await this.handleReconnection();
-                        }
+                        this.logger.error('❌ Bad session file, deleting and restarting...');
+                        await this.auth.clear();
+                        this.scheduleReconnect('bad session');
                         break;
                         
                     case DisconnectReason.loggedOut:
-                        logger.error('❌ Logged out from WhatsApp. Please delete auth_info and restart.');
-                        await fs.remove(this.authPath);
-                        process.exit(1);
+                        // Start over with a fresh login (QR or pairing code) instead of giving up
+                        this.logger.error(`❌ Logged out from WhatsApp, clearing the ${this.auth.name} auth state for a new login`);
+                        await this.auth.clear();
+                        this.scheduleReconnect('logged out', { immediate: true });
                         break;
                         
                     case DisconnectReason.restartRequired:
-                        logger.warn('🔄 Restart required, restarting...');
-                        await this.handleReconnection();
-                        break;
-                        
-                    case DisconnectReason.timedOut:
-                        logger.warn('⏰ Connection timed out, retrying...');
-                        await this.handleReconnection();
+                        this.scheduleReconnect('restart required', { immediate: true });
                         break;
                         
                     default:
-                        if (!this.isShuttingDown) {
-                            logger.warn('🔄 Unknown disconnect reason, reconnecting...');
-                            await this.handleReconnection();
-                        }
+                        this.scheduleReconnect(`${reason} (${statusCode})`);
                         break;
                 }
             } else if (connection === 'open') {
+                this.clearConnectionTimer();
+                this.reconnectAttempts = 0;
+                this.connection.transition('open', { attempt: 0 });
                 await this.onConnectionOpen();
-            } else if (connection === 'connecting') {
-                logger.info('🔗 Connecting to WhatsApp...');
             }
         });
 
         // Enhanced error handling
-        this.sock.ev.on('creds.update', saveCreds);
+        sock.ev.on('creds.update', saveCreds);
+
+        // Bound before the message handler so commands can already look up the message
+        this.store.bind(sock.ev);
+        this.groups.bind(sock.ev);
+        this.events.bind(sock.ev);
+        this.watchdog.bind(sock.ev);
         
-        this.sock.ev.on('messages.upsert', async (m) => {
+        sock.ev.on('messages.upsert', async (m) => {
             try {
                 await this.messageHandler.handleMessages(m);
             } catch (error) {
-                logger.error('❌ Error handling message:', error);
+                this.logger.error('❌ Error handling message:', error);
             }
         });
 
         // Handle socket errors
-        this.sock.ev.on('error', (error) => {
-            logger.error('❌ Socket error:', error);
+        sock.ev.on('error', (error) => {
+            this.logger.error('❌ Socket error:', error);
         });
     }
 
 async onConnectionOpen() {
-    logger.info(`✅ Connected to WhatsApp! User: ${this.sock.user?.id || 'Unknown'}`);
+    this.logger.info(`✅ Connected to WhatsApp! User: ${this.sock.user?.id || 'Unknown'}`);
+    this.clearPairingTimer();
+    this.pairing = null;
+    this.pairingPromptSent = false;
     
     // Set owner if not set
-    if (!config.get('bot.owner') && this.sock.user) {
-        config.set('bot.owner', this.sock.user.id);
-        logger.info(`👑 Owner set to: ${this.sock.user.id}`);
+    if (!this.config.get('bot.owner') && this.sock.user) {
+        this.config.set('bot.owner', this.sock.user.id);
+        this.logger.info(`👑 Owner set to: ${this.sock.user.id}`);
     }
 
     // Setup WhatsApp handlers and sync contacts for Telegram bridge
@@ -268,16 +362,84 @@ async onConnectionOpen() {
     }
 }
 
+    // Baileys emits a QR once the socket is ready to log in; in pairing mode that's the cue to ask for a code
+    async handlePairingLogin() {
+        if (this.pairingTimer) return; // current code is still valid
+
+        const phoneNumber = this.pairing?.phoneNumber || this.config.get('auth.phoneNumber');
+        if (!phoneNumber) {
+            if (!this.pairingPromptSent) {
+                this.pairingPromptSent = true;
+                this.logger.info('🔑 Pairing login enabled but no number set; use --pairing=<number>, auth.phoneNumber or /login <number> on Telegram');
+                if (this.telegramBridge) {
+                    await this.telegramBridge.sendLoginNotice('🔑 *WhatsApp Login Required*\n\nSend `/login <number>` to get a pairing code.');
+                }
+            }
+            return;
+        }
+
+        try {
+            await this.requestPairingCode(phoneNumber);
+        } catch (error) {
+            this.logger.error('❌ Failed to request pairing code:', error);
+        }
+    }
+
+    // Request a pairing code for `phoneNumber` (digits with country code); a fresh code
+    // is requested automatically when the previous one expires unused
+    async requestPairingCode(phoneNumber) {
+        const number = String(phoneNumber).replace(/\D/g, '');
+        if (!/^\d{7,15}$/.test(number)) {
+            throw new Error('Phone number must be 7-15 digits including the country code');
+        }
+        if (!this.sock) {
+            throw new Error('WhatsApp socket is not running');
+        }
+        if (this.sock.authState?.creds?.registered) {
+            throw new Error('This session is already linked to WhatsApp');
+        }
+
+        this.clearPairingTimer();
+        const rawCode = await this.sock.requestPairingCode(number);
+        const code = rawCode.match(/.{1,4}/g).join('-');
+        this.pairing = { phoneNumber: number, code };
+
+        this.logger.info(`🔑 Pairing code for +${number}: ${code}`);
+        this.logger.info('📱 On the phone: WhatsApp > Linked devices > Link a device > Link with phone number instead');
+
+        if (this.telegramBridge) {
+            await this.telegramBridge.sendPairingCode(code, number, this.pairingCodeTtl);
+        }
+
+        this.pairingTimer = setTimeout(() => {
+            this.pairingTimer = null;
+            if (this.isShuttingDown || !this.sock || this.sock.authState?.creds?.registered) return;
+            this.logger.info('⌛ Pairing code expired, requesting a new one...');
+            this.requestPairingCode(number).catch(error => {
+                this.logger.error('❌ Failed to refresh pairing code:', error);
+            });
+        }, this.pairingCodeTtl);
+
+        return code;
+    }
+
+    clearPairingTimer() {
+        if (this.pairingTimer) {
+            clearTimeout(this.pairingTimer);
+            this.pairingTimer = null;
+        }
+    }
+
     async sendStartupMessage() {
-        const owner = config.get('bot.owner');
+        const owner = this.config.get('bot.owner');
         if (!owner) return;
 
-        const startupMessage = `🚀 *${config.get('bot.name')} v${config.get('bot.version')}* is now online!\n\n` +
+        const startupMessage = `🚀 *${this.config.get('bot.name')} v${this.config.get('bot.version')}* is now online!\n\n` +
                               `🔥 *HyperWa Features Active:*\n` +
                               `• 📱 Modular Architecture\n` +
-                              `• 🤖 Telegram Bridge: ${config.get('telegram.enabled') ? '✅' : '❌'}\n` +
-                              `• 🔧 Custom Modules: ${config.get('features.customModules') ? '✅' : '❌'}\n` +
-                              `Type *${config.get('bot.prefix')}help* for available commands!`;
+                              `• 🤖 Telegram Bridge: ${this.config.get('telegram.enabled') ? '✅' : '❌'}\n` +
+                              `• 🔧 Custom Modules: ${this.config.get('features.customModules') ? '✅' : '❌'}\n` +
+                              `Type *${displayPrefix(this.config.get('bot.prefix'))}help* for available commands!`;
 
         try {
             await this.sock.sendMessage(owner, { text: startupMessage });
@@ -286,10 +448,39 @@ async onConnectionOpen() {
                 await this.telegramBridge.logToTelegram('🚀 HyperWa Bot Started', startupMessage);
             }
         } catch (error) {
-            logger.error('Failed to send startup message:', error);
+            this.logger.error('Failed to send startup message:', error);
         }
     }
 
+    // Replace this session's login with `snapshot` (from a .session import) and reconnect with it
+    async restoreAuth(snapshot) {
+        if (this.isShuttingDown) {
+            throw new Error('Session is shutting down');
+        }
+
+        // Let go of the socket first so it can't save its old creds over the imported ones
+        this.clearReconnectTimer();
+        this.clearConnectionTimer();
+        this.clearPairingTimer();
+        this.endSocket();
+        // ...and wait for the writes it already queued, which would otherwise land after the clear
+        await this.flushAuth?.();
+
+        await this.auth.writeSnapshot(snapshot);
+        this.logger.info(`🔐 Imported WhatsApp login into the ${this.auth.name} backend`);
+
+        if (this.connection.is('backoff')) {
+            await this.startWhatsApp();
+        } else {
+            this.scheduleReconnect('session imported', { immediate: true });
+        }
+    }
+
+    // Collection names are prefixed per session; the default session keeps the plain names
+    collectionName(name) {
+        return this.sessionId === 'default' ? name : `${this.sessionId}_${name}`;
+    }
+
     async connect() {
         if (!this.sock) {
             await this.startWhatsApp();
@@ -301,26 +492,50 @@ async onConnectionOpen() {
         if (!this.sock) {
             throw new Error('WhatsApp socket not initialized');
         }
-        return await this.sock.sendMessage(jid, content);
+        return await this.inFlight.track('send', () => this.sock.sendMessage(jid, content));
     }
 
+    // Stop taking new messages, let running commands/media jobs/sends finish (up to
+    // shutdown.timeoutMs), flush pending writes and read receipts, then close the socket
     async shutdown() {
-        logger.info('🛑 Shutting down HyperWa Userbot...');
+        if (this.isShuttingDown) return;
+        this.logger.info('🛑 Shutting down HyperWa Userbot...');
         this.isShuttingDown = true;
+        this.clearPairingTimer();
+        this.clearReconnectTimer();
+        this.clearConnectionTimer();
+
+        if (this.inFlight.size > 0) {
+            this.logger.info(`⏳ Waiting for in-flight work: ${JSON.stringify(this.inFlight.pending())}`);
+            const drained = await this.inFlight.drain(this.config.get('shutdown.timeoutMs'));
+            if (!drained) {
+                this.logger.warn(`⚠️ Shutdown deadline reached, abandoning: ${JSON.stringify(this.inFlight.pending())}`);
+            }
+        }
         
         if (this.telegramBridge) {
             await this.telegramBridge.shutdown();
         }
-        
-        if (this.sock) {
+
+        const flushes = [
+            ['auth state', () => this.flushAuth?.()],
+            ['message store', () => this.store.flush()],
+            ['config', () => config.flush()]
+        ];
+        for (const [name, flush] of flushes) {
             try {
-                await this.sock.end();
+                await flush();
             } catch (error) {
-                logger.debug('Error ending WhatsApp socket:', error);
+                this.logger.error(`Failed to flush ${name}:`, error);
             }
         }
+
+        if (!this.connection.is('stopped')) {
+            this.connection.transition('stopped', { reason: 'shutdown' });
+        }
+        this.endSocket();
         
-        logger.info('✅ HyperWa Userbot shutdown complete');
+        this.logger.info('✅ HyperWa Userbot shutdown complete');
     }
 }
 
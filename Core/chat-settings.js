@@ -0,0 +1,111 @@
+const { validateValue } = require('../utils/config-schema');
+
+// Settings a chat may override, mapped to the global config key they fall back to
+const CHAT_SETTINGS = {
+    prefix: 'bot.prefix',
+    mode: 'features.mode',
+    autoReact: 'features.autoReact',
+    language: 'bot.language'
+};
+
+class ChatSettings {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.cache = new Map(); // jid -> { prefix, mode, ... } (only overridden values)
+    }
+
+    async initialize(db) {
+        try {
+            this.collection = db.collection(this.bot.collectionName('chat_settings'));
+            const docs = await this.collection.find({}).toArray();
+            for (const doc of docs) {
+                this.cache.set(doc._id, doc.settings || {});
+            }
+            this.bot.logger.info(`⚙️ Loaded settings overrides for ${this.cache.size} chats`);
+        } catch (error) {
+            this.bot.logger.error('❌ Failed to load chat settings:', error);
+        }
+    }
+
+    static get names() {
+        return Object.keys(CHAT_SETTINGS);
+    }
+
+    static globalKey(name) {
+        return CHAT_SETTINGS[name];
+    }
+
+    get(jid, name) {
+        const overrides = this.cache.get(jid);
+        if (overrides && overrides[name] !== undefined) {
+            return overrides[name];
+        }
+        return this.bot.config.get(CHAT_SETTINGS[name]);
+    }
+
+    // Effective settings for a chat with where each one comes from ('chat' or 'global')
+    describe(jid) {
+        const overrides = this.cache.get(jid) || {};
+        const result = {};
+        for (const name of ChatSettings.names) {
+            result[name] = {
+                value: this.get(jid, name),
+                source: overrides[name] !== undefined ? 'chat' : 'global'
+            };
+        }
+        return result;
+    }
+
+    getAll(jid) {
+        const result = {};
+        for (const name of ChatSettings.names) {
+            result[name] = this.get(jid, name);
+        }
+        return result;
+    }
+
+    async set(jid, name, value) {
+        const globalKey = CHAT_SETTINGS[name];
+        if (!globalKey) {
+            throw new Error(`Unknown chat setting '${name}'. Available: ${ChatSettings.names.join(', ')}`);
+        }
+
+        const problems = validateValue(globalKey, value);
+        if (problems.length > 0) {
+            throw new Error(`${name} ${problems.join(', ')}`);
+        }
+
+        const overrides = { ...(this.cache.get(jid) || {}), [name]: value };
+        this.cache.set(jid, overrides);
+
+        if (this.collection) {
+            await this.collection.updateOne(
+                { _id: jid },
+                { $set: { [`settings.${name}`]: value, updatedAt: new Date() } },
+                { upsert: true }
+            );
+        }
+        this.bot.logger.debug(`⚙️ Chat setting ${name} for ${jid} set to ${value}`);
+    }
+
+    // Remove one override, or all of them when no name is given
+    async reset(jid, name) {
+        const overrides = { ...(this.cache.get(jid) || {}) };
+        if (name) {
+            delete overrides[name];
+        }
+
+        if (!name || Object.keys(overrides).length === 0) {
+            this.cache.delete(jid);
+            if (this.collection) await this.collection.deleteOne({ _id: jid });
+        } else {
+            this.cache.set(jid, overrides);
+            if (this.collection) {
+                await this.collection.updateOne({ _id: jid }, { $unset: { [`settings.${name}`]: '' } });
+            }
+        }
+    }
+}
+
+module.exports = ChatSettings;
@@ -0,0 +1,44 @@
+// "Did you mean" matching for unknown commands
+
+// Optimal string alignment distance: Levenshtein plus swapping two adjacent letters
+// counts as one edit, so '.stauts' is one typo away from '.status'
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Closest candidates to `input`, best first. Candidates are { name, command } pairs (a name or
+// alias plus the command it runs); each command is suggested once, under its closest name.
+function suggestCommands(input, candidates, limit = 3) {
+    const word = input.toLowerCase();
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    const best = new Map(); // command -> { name, score }
+
+    for (const { name, command } of candidates) {
+        let score = editDistance(word, name);
+        // '.mod' for '.modules': a typed prefix of a longer name is a good guess too
+        if (score > maxDistance && word.length >= 3 && name.startsWith(word)) score = maxDistance;
+        if (score > maxDistance) continue;
+
+        const current = best.get(command);
+        if (!current || score < current.score) best.set(command, { name, score });
+    }
+
+    return [...best.values()]
+        .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))
+        .slice(0, limit)
+        .map(match => match.name);
+}
+
+module.exports = { editDistance, suggestCommands };
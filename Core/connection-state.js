@@ -0,0 +1,74 @@
+const EventEmitter = require('events');
+
+// Allowed moves of the WhatsApp connection; anything else is a bug in the caller
+const TRANSITIONS = {
+    stopped: ['connecting'],
+    connecting: ['open', 'backoff', 'stopped'],
+    open: ['backoff', 'stopped'],
+    backoff: ['connecting', 'stopped']
+};
+
+// Current WhatsApp connection state of one session. Emits 'change' with
+// { from, to, reason, attempt, delay, at } on every transition.
+class ConnectionState extends EventEmitter {
+    constructor() {
+        super();
+        this.state = 'stopped';
+        this.since = Date.now();
+        this.reason = null;
+        this.attempt = 0;
+        this.nextRetryAt = null;
+        this.history = [];
+        this.maxHistory = 20;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    transition(to, { reason = null, attempt = this.attempt, delay = null } = {}) {
+        if (to === this.state) return false;
+        if (!TRANSITIONS[this.state].includes(to)) {
+            throw new Error(`Invalid connection transition ${this.state} -> ${to}`);
+        }
+
+        const change = { from: this.state, to, reason, attempt, delay, at: Date.now() };
+        this.state = to;
+        this.since = change.at;
+        this.reason = reason;
+        this.attempt = attempt;
+        this.nextRetryAt = to === 'backoff' && delay !== null ? change.at + delay : null;
+
+        this.history.push(change);
+        if (this.history.length > this.maxHistory) this.history.shift();
+
+        this.emit('change', change);
+        return true;
+    }
+
+    // Resolves with the state once it is one of `states`
+    waitFor(...states) {
+        if (this.is(...states)) return Promise.resolve(this.state);
+
+        return new Promise(resolve => {
+            const onChange = ({ to }) => {
+                if (!states.includes(to)) return;
+                this.off('change', onChange);
+                resolve(to);
+            };
+            this.on('change', onChange);
+        });
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            since: this.since,
+            reason: this.reason,
+            attempt: this.attempt,
+            nextRetryAt: this.nextRetryAt
+        };
+    }
+}
+
+module.exports = ConnectionState;
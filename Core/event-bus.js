@@ -0,0 +1,149 @@
+const { toNumber } = require('@whiskeysockets/baileys');
+
+// Bot-level events re-emitted from Baileys in a stable shape. Payloads:
+//   group.join / group.leave / group.promote / group.demote
+//                    { jid, participants, author }
+//   message.revoke   { jid, key, by, msg, backlog }          key of the deleted message
+//   message.edit     { jid, key, by, text, message, msg, backlog }
+//   reaction         { jid, key, emoji, by, removed }        key of the reacted-to message
+//   call             { id, from, status, isVideo, isGroup, at }
+//   presence         { jid, participant, status, lastSeen }
+//   connection       { from, to, reason, attempt, delay, at }
+const EVENTS = [
+    'group.join', 'group.leave', 'group.promote', 'group.demote',
+    'message.revoke', 'message.edit', 'reaction', 'call', 'presence', 'connection'
+];
+
+const GROUP_ACTIONS = {
+    add: 'group.join',
+    remove: 'group.leave',
+    promote: 'group.promote',
+    demote: 'group.demote'
+};
+
+// proto.Message.ProtocolMessage.Type
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+class EventBus {
+    constructor(bot) {
+        this.bot = bot;
+        this.handlers = new Map(EVENTS.map(event => [event, new Set()]));
+        bot.connection.on('change', change => this.emit('connection', change));
+    }
+
+    // Returns a function that removes the handler again
+    on(event, handler) {
+        this.assertEvent(event);
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.assertEvent(event);
+        this.handlers.get(event).delete(handler);
+    }
+
+    // Handlers run one after another; a failing handler is logged and doesn't stop the rest
+    async emit(event, payload) {
+        this.assertEvent(event);
+        for (const handler of [...this.handlers.get(event)]) {
+            try {
+                await handler(payload);
+            } catch (error) {
+                this.bot.logger.error(`❌ Error in ${event} handler:`, error);
+            }
+        }
+    }
+
+    assertEvent(event) {
+        if (!this.handlers.has(event)) {
+            throw new Error(`Unknown event '${event}'. Available: ${EVENTS.join(', ')}`);
+        }
+    }
+
+    // Attach to a socket's event emitter; called again for every new socket
+    bind(ev) {
+        ev.on('group-participants.update', ({ id, author, participants, action }) => {
+            const event = GROUP_ACTIONS[action];
+            if (!event) return;
+            this.emit(event, {
+                jid: id,
+                participants: participants.map(p => (typeof p === 'string' ? p : p.id)),
+                author: author || null
+            });
+        });
+
+        ev.on('messages.upsert', ({ messages, type }) => {
+            for (const msg of messages) {
+                this.emitProtocolMessage(msg, type === 'append');
+            }
+        });
+
+        ev.on('messages.reaction', (reactions) => {
+            for (const { key, reaction } of reactions) {
+                this.emit('reaction', {
+                    jid: key.remoteJid,
+                    key,
+                    emoji: reaction.text || null,
+                    by: reaction.key?.participant || reaction.key?.remoteJid || null,
+                    removed: !reaction.text
+                });
+            }
+        });
+
+        ev.on('call', (calls) => {
+            for (const call of calls) {
+                this.emit('call', {
+                    id: call.id,
+                    from: call.from,
+                    status: call.status,
+                    isVideo: Boolean(call.isVideo),
+                    isGroup: Boolean(call.isGroup),
+                    at: call.date || new Date()
+                });
+            }
+        });
+
+        ev.on('presence.update', ({ id, presences }) => {
+            for (const [participant, presence] of Object.entries(presences || {})) {
+                this.emit('presence', {
+                    jid: id,
+                    participant,
+                    status: presence.lastKnownPresence,
+                    lastSeen: presence.lastSeen ? new Date(toNumber(presence.lastSeen) * 1000) : null
+                });
+            }
+        });
+    }
+
+    // Deletes and edits arrive as protocol messages that point at the original message
+    emitProtocolMessage(msg, backlog) {
+        const protocol = msg.message?.protocolMessage;
+        if (!protocol?.key) return;
+
+        const base = {
+            jid: msg.key.remoteJid,
+            key: { ...protocol.key, remoteJid: protocol.key.remoteJid || msg.key.remoteJid },
+            by: msg.key.fromMe ? this.bot.sock?.user?.id || null : msg.key.participant || msg.key.remoteJid,
+            msg,
+            backlog
+        };
+
+        if (protocol.type === PROTOCOL_REVOKE) {
+            this.emit('message.revoke', base);
+        } else if (protocol.type === PROTOCOL_MESSAGE_EDIT) {
+            const message = protocol.editedMessage || null;
+            this.emit('message.edit', {
+                ...base,
+                text: message?.conversation || message?.extendedTextMessage?.text ||
+                      message?.imageMessage?.caption || message?.videoMessage?.caption || '',
+                message
+            });
+        }
+    }
+}
+
+EventBus.EVENTS = EVENTS;
+
+module.exports = EventBus;
@@ -0,0 +1,101 @@
+// Group metadata (subject, participants, admins) kept in memory so permission checks, the
+// Telegram bridge and Baileys' own group sends don't query WhatsApp every time. Entries are
+// fetched on first use, patched from groups.update / group-participants.update, and refetched
+// after `groupCache.ttlMs` in case an update was missed.
+class GroupCache {
+    constructor(bot) {
+        this.bot = bot;
+        this.groups = new Map(); // jid -> { metadata, fetchedAt }
+        this.fetching = new Map(); // jid -> Promise<metadata>, so concurrent callers share one query
+    }
+
+    // Attach to a socket's event emitter; called again for every new socket
+    bind(ev) {
+        // Updates may have been missed while disconnected
+        this.groups.clear();
+
+        ev.on('groups.upsert', (groups) => {
+            for (const metadata of groups) {
+                this.set(metadata.id, metadata);
+            }
+        });
+
+        ev.on('groups.update', (updates) => {
+            for (const update of updates) {
+                const entry = this.groups.get(update.id);
+                if (entry) entry.metadata = { ...entry.metadata, ...update };
+            }
+        });
+
+        ev.on('group-participants.update', ({ id, participants, action }) => {
+            const entry = this.groups.get(id);
+            if (!entry) return;
+
+            const ids = participants.map(p => (typeof p === 'string' ? p : p.id));
+            let members = entry.metadata.participants || [];
+            if (action === 'add') {
+                members = members.concat(ids.filter(jid => !members.some(m => m.id === jid)).map(jid => ({ id: jid, admin: null })));
+            } else if (action === 'remove') {
+                members = members.filter(m => !ids.includes(m.id));
+            } else if (action === 'promote' || action === 'demote') {
+                members = members.map(m => (ids.includes(m.id) ? { ...m, admin: action === 'promote' ? 'admin' : null } : m));
+            }
+            entry.metadata = { ...entry.metadata, participants: members, size: members.length };
+        });
+    }
+
+    set(jid, metadata) {
+        this.groups.set(jid, { metadata, fetchedAt: Date.now() });
+    }
+
+    invalidate(jid) {
+        this.groups.delete(jid);
+    }
+
+    // Cached metadata without querying, e.g. for Baileys' cachedGroupMetadata
+    peek(jid) {
+        const entry = this.groups.get(jid);
+        return entry && Date.now() - entry.fetchedAt < this.bot.config.get('groupCache.ttlMs') ? entry.metadata : undefined;
+    }
+
+    async get(jid) {
+        const cached = this.peek(jid);
+        if (cached) return cached;
+        if (!this.bot.sock) throw new Error('WhatsApp socket not initialized');
+
+        if (!this.fetching.has(jid)) {
+            const fetch = this.bot.sock.groupMetadata(jid)
+                .then((metadata) => {
+                    this.set(jid, metadata);
+                    return metadata;
+                })
+                .finally(() => this.fetching.delete(jid));
+            this.fetching.set(jid, fetch);
+        }
+        return this.fetching.get(jid);
+    }
+
+    // Whether `participant` is an admin (or superadmin) of the group. Participants are matched by
+    // number, so '123:4@s.whatsapp.net' from the socket matches '123@s.whatsapp.net' in the list.
+    async isAdmin(jid, participant) {
+        if (!jid.endsWith('@g.us') || !participant) return false;
+        return isAdminIn(await this.get(jid), participant);
+    }
+
+    // The connected account's admin status, checked against both its phone and LID identity
+    async isBotAdmin(jid) {
+        const user = this.bot.sock?.user;
+        if (!jid.endsWith('@g.us') || !user) return false;
+        const metadata = await this.get(jid);
+        return [user.id, user.lid].some(id => id && isAdminIn(metadata, id));
+    }
+}
+
+function isAdminIn(metadata, participant) {
+    const number = participant.split(/[:@]/)[0];
+    const server = participant.split('@')[1];
+    return (metadata?.participants || []).some(member =>
+        member.id.split(/[:@]/)[0] === number && member.id.split('@')[1] === server && Boolean(member.admin));
+}
+
+module.exports = GroupCache;
@@ -0,0 +1,134 @@
+const http = require('http');
+const config = require('../config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { connectDb } = require('../utils/db');
+
+const CONNECTION_STATES = ['connecting', 'open', 'backoff', 'stopped'];
+
+// Optional /healthz and /metrics endpoints covering every session of a SessionManager
+class HttpServer {
+    constructor(manager) {
+        this.manager = manager;
+        this.server = null;
+        this.mongoPingTimeout = 2000;
+    }
+
+    async start() {
+        if (!config.get('http.enabled')) return;
+
+        this.registerGauges();
+
+        const host = config.get('http.host');
+        const port = config.get('http.port');
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                logger.error('❌ HTTP request failed:', error);
+                this.send(res, 500, 'text/plain', 'Internal Server Error\n');
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        logger.info(`📈 Health and metrics server listening on http://${host}:${port}`);
+    }
+
+    // Values that are read from the sessions at scrape time
+    registerGauges() {
+        const bots = () => [...this.manager.sessions.values()];
+
+        metrics.registry.gauge('hyperwa_connection_state',
+            'WhatsApp connection state per session (1 for the current state)', ['session', 'state'],
+            () => bots().flatMap(bot => CONNECTION_STATES.map(state => ({
+                labels: { session: bot.sessionId, state },
+                value: bot.connection.state === state ? 1 : 0
+            }))));
+
+        metrics.registry.gauge('hyperwa_telegram_polling',
+            'Whether the session\'s Telegram bot is polling', ['session'],
+            () => bots().map(bot => ({
+                labels: { session: bot.sessionId },
+                value: this.telegramState(bot) === 'polling' ? 1 : 0
+            })));
+
+        metrics.registry.gauge('hyperwa_process_uptime_seconds', 'Process uptime', [],
+            () => [{ labels: {}, value: process.uptime() }]);
+
+        metrics.registry.gauge('hyperwa_process_resident_memory_bytes', 'Resident memory size', [],
+            () => [{ labels: {}, value: process.memoryUsage().rss }]);
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method !== 'GET') {
+            return this.send(res, 405, 'text/plain', 'Method Not Allowed\n');
+        }
+
+        if (pathname === '/healthz') {
+            const health = await this.health();
+            return this.send(res, health.status === 'ok' ? 200 : 503, 'application/json', JSON.stringify(health, null, 2));
+        }
+
+        if (pathname === '/metrics') {
+            return this.send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', metrics.registry.render());
+        }
+
+        return this.send(res, 404, 'text/plain', 'Not Found\n');
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(body);
+    }
+
+    // Healthy when MongoDB answers and every running session is connected with Telegram polling (if enabled)
+    async health() {
+        const sessions = [...this.manager.sessions.values()].map(bot => ({
+            id: bot.sessionId,
+            whatsapp: bot.connection.state,
+            user: bot.sock?.user?.id || null,
+            telegram: this.telegramState(bot)
+        }));
+        const mongo = await this.pingMongo();
+
+        const healthy = mongo.ok && sessions.length > 0 &&
+            sessions.every(session => session.whatsapp === 'open' && session.telegram !== 'stopped');
+
+        return { status: healthy ? 'ok' : 'degraded', uptime: Math.round(process.uptime()), mongo, sessions };
+    }
+
+    telegramState(bot) {
+        const telegramBot = bot.telegramBridge?.telegramBot;
+        if (!telegramBot || !bot.config.get('telegram.enabled')) return 'disabled';
+        return telegramBot.isPolling() ? 'polling' : 'stopped';
+    }
+
+    async pingMongo() {
+        const started = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                connectDb().then(db => db.command({ ping: 1 })),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error('ping timed out')), this.mongoPingTimeout);
+                })
+            ]);
+            return { ok: true, latencyMs: Date.now() - started };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+}
+
+module.exports = HttpServer;
@@ -0,0 +1,69 @@
+// Counts work that is still running (commands, media jobs, sends) so shutdown can wait for it
+class InFlightTracker {
+    constructor() {
+        this.counts = new Map(); // kind -> number of running jobs
+        this.idleWaiters = [];
+    }
+
+    get size() {
+        let total = 0;
+        for (const count of this.counts.values()) total += count;
+        return total;
+    }
+
+    // Mark one job of `kind` as started; call the returned function exactly once when it ends
+    begin(kind) {
+        this.counts.set(kind, (this.counts.get(kind) || 0) + 1);
+
+        let finished = false;
+        return () => {
+            if (finished) return;
+            finished = true;
+
+            const remaining = this.counts.get(kind) - 1;
+            if (remaining > 0) {
+                this.counts.set(kind, remaining);
+            } else {
+                this.counts.delete(kind);
+            }
+
+            if (this.size === 0) {
+                this.idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+        };
+    }
+
+    async track(kind, fn) {
+        const done = this.begin(kind);
+        try {
+            return await fn();
+        } finally {
+            done();
+        }
+    }
+
+    // { command: 1, media: 2 } for the jobs still running
+    pending() {
+        return Object.fromEntries(this.counts);
+    }
+
+    // Resolves true once nothing is running, or false when `timeoutMs` passes first
+    drain(timeoutMs) {
+        if (this.size === 0) return Promise.resolve(true);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.idleWaiters = this.idleWaiters.filter(waiter => waiter !== onIdle);
+                resolve(false);
+            }, timeoutMs);
+
+            const onIdle = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+            this.idleWaiters.push(onIdle);
+        });
+    }
+}
+
+module.exports = InFlightTracker;
@@ -1,88 +1,273 @@
-const logger = require('./logger');
+const { toNumber } = require('@whiskeysockets/baileys');
 const config = require('../config');
-const rateLimiter = require('./rate-limiter');
+const RateLimiter = require('./rate-limiter');
+const metrics = require('./metrics');
+const { ArgumentError, parseArgs, tokenize, formatUsage } = require('./arg-parser');
+const { suggestCommands } = require('./command-suggestions');
+const { matchPrefix, displayPrefix, toList } = require('../utils/prefixes');
+const { getText, getContextInfo, getQuoted, createMediaHelpers } = require('./message-media');
+const Roles = require('./roles');
+const { STOP, compileHookFilter } = require('./message-hooks');
 
 class MessageHandler {
     constructor(bot) {
         this.bot = bot;
         this.commandHandlers = new Map();
-        this.messageHooks = new Map();
+        this.commandAliases = new Map(); // alias -> command name
+        this.messageHooks = []; // { name, handler, priority, matches, owner }, highest priority first
         this.processingMessages = new Map(); // Track processing messages for editing
+        this.rateLimiter = new RateLimiter();
+        this.backlog = Promise.resolve(); // offline backlog batches, handled one at a time
     }
 
     registerCommandHandler(command, handler) {
         this.commandHandlers.set(command.toLowerCase(), handler);
-        logger.debug(`📝 Registered command handler: ${command}`);
+        this.bot.logger.debug(`📝 Registered command handler: ${command}`);
     }
 
     unregisterCommandHandler(command) {
         this.commandHandlers.delete(command.toLowerCase());
-        logger.debug(`🗑️ Unregistered command handler: ${command}`);
+        this.bot.logger.debug(`🗑️ Unregistered command handler: ${command}`);
     }
 
-    registerMessageHook(hook, handler) {
-        if (!this.messageHooks.has(hook)) {
-            this.messageHooks.set(hook, []);
+    registerCommandAlias(alias, command) {
+        this.commandAliases.set(alias.toLowerCase(), command.toLowerCase());
+        this.bot.logger.debug(`📝 Registered command alias: ${alias} -> ${command}`);
+    }
+
+    unregisterCommandAlias(alias) {
+        this.commandAliases.delete(alias.toLowerCase());
+        this.bot.logger.debug(`🗑️ Unregistered command alias: ${alias}`);
+    }
+
+    // Command name for a typed name or alias, or null when neither is registered
+    resolveCommand(name) {
+        const command = name.toLowerCase();
+        if (this.commandHandlers.has(command)) return command;
+        const target = this.commandAliases.get(command);
+        return target && this.commandHandlers.has(target) ? target : null;
+    }
+
+    // Whether this sender may run the command, without looking up group admins (so
+    // admin-only commands aren't suggested to admins; they still run)
+    canRunCommand(msg, command) {
+        const handler = this.commandHandlers.get(command);
+        if (!handler || !this.checkPermissions(msg, command)) return false;
+        return Roles.satisfies(this.bot.roles.resolveStored(msg), handler.permissions);
+    }
+
+    // The sender's role and whether it is enough for `handler.permissions` (default public)
+    async authorize(msg, handler) {
+        const required = handler.permissions || 'public';
+        // Group admin status only matters when admin is enough, i.e. for trusted and admin commands
+        const level = Roles.level(required);
+        const checkAdmin = level > Roles.level('public') && level <= Roles.level('admin');
+        const role = await this.bot.roles.resolve(msg, { checkAdmin });
+        return { allowed: Roles.satisfies(role, required), role, required };
+    }
+
+    // Names and aliases the sender could have meant by `typed`
+    suggestCommands(msg, typed) {
+        const candidates = [];
+        for (const command of this.commandHandlers.keys()) {
+            if (this.canRunCommand(msg, command)) candidates.push({ name: command, command });
+        }
+        for (const [alias, command] of this.commandAliases) {
+            if (this.canRunCommand(msg, command)) candidates.push({ name: alias, command });
         }
-        this.messageHooks.get(hook).push(handler);
-        logger.debug(`🪝 Registered message hook: ${hook}`);
+        return suggestCommands(typed, candidates);
+    }
+
+    // `options`: { priority, filter, owner }; see message-hooks.js. Throws on an invalid filter.
+    // Returns a function that removes this hook again.
+    registerMessageHook(hook, handler, { priority = 0, filter, owner = null } = {}) {
+        if (typeof handler !== 'function') throw new Error(`Message hook ${hook} needs a handler function`);
+        if (!Number.isFinite(priority)) throw new Error(`Message hook ${hook} priority must be a number`);
+
+        const entry = { name: hook, handler, priority, matches: compileHookFilter(filter), owner };
+        // Stable: equal priorities keep registration order
+        const index = this.messageHooks.findIndex(existing => existing.priority < priority);
+        this.messageHooks.splice(index === -1 ? this.messageHooks.length : index, 0, entry);
+        this.bot.logger.debug(`🪝 Registered message hook: ${hook}${owner ? ` (${owner})` : ''}`);
+
+        return () => {
+            this.messageHooks = this.messageHooks.filter(existing => existing !== entry);
+        };
     }
 
-    unregisterMessageHook(hook) {
-        this.messageHooks.delete(hook);
-        logger.debug(`🗑️ Unregistered message hook: ${hook}`);
+    // Removes the named hooks registered by `owner`, or by anyone when no owner is given
+    unregisterMessageHook(hook, owner) {
+        this.messageHooks = this.messageHooks.filter(entry =>
+            entry.name !== hook || (owner !== undefined && entry.owner !== owner));
+        this.bot.logger.debug(`🗑️ Unregistered message hook: ${hook}${owner ? ` (${owner})` : ''}`);
     }
 
+    // Live messages arrive as 'notify'; messages received while offline arrive as 'append'
     async handleMessages({ messages, type }) {
-        if (type !== 'notify') return;
+        if (this.bot.isShuttingDown) return;
 
-        for (const msg of messages) {
-            try {
-                await this.processMessage(msg);
-            } catch (error) {
-                logger.error('Error processing message:', error);
+        if (type === 'notify') {
+            for (const msg of messages) {
+                await this.processIncoming(msg);
             }
+        } else if (type === 'append' && this.bot.config.get('catchUp.enabled')) {
+            await this.queueBacklog(messages);
         }
     }
 
-    async processMessage(msg) {
+    // Backlog batches are processed one after another, each oldest first
+    queueBacklog(messages) {
+        const ordered = [...messages].sort((a, b) => toNumber(a.messageTimestamp) - toNumber(b.messageTimestamp));
+
+        this.backlog = this.backlog.then(async () => {
+            this.bot.logger.info(`📥 Catching up on ${ordered.length} offline message(s)`);
+            for (const msg of ordered) {
+                if (this.bot.isShuttingDown) return;
+                await this.processIncoming(msg, { backlog: true });
+            }
+        });
+        return this.backlog;
+    }
+
+    // Skips messages that were already handled, e.g. redelivered after a reconnect
+    async processIncoming(msg, options = {}) {
+        try {
+            if (!(await this.bot.processed.claim(msg.key))) {
+                this.bot.logger.debug(`🔁 Skipping already processed message ${msg.key.id}`);
+                return;
+            }
+            await this.processMessage(msg, options);
+        } catch (error) {
+            this.bot.logger.error('Error processing message:', error);
+        }
+    }
+
+    // `options.backlog` marks messages delivered after a reconnect rather than live
+    async processMessage(msg, options = {}) {
+        metrics.messagesReceived.inc({ session: this.bot.sessionId, type: this.getMessageType(msg) });
+
         // Handle status messages
         if (msg.key.remoteJid === 'status@broadcast') {
-            return this.handleStatusMessage(msg);
+            return this.handleStatusMessage(msg, options);
         }
 
         // Extract text from message (including captions)
         const text = this.extractText(msg);
+
+        // Hooks run first so one can stop commands and bridging (e.g. anti-spam)
+        if (await this.executeMessageHooks(msg, text, options)) {
+            this.bot.logger.debug(`🪝 Message ${msg.key.id} stopped by a hook`);
+            return;
+        }
         
-        // Check if it's a command (only for text messages, not media with captions)
-        const prefix = config.get('bot.prefix');
-        const isCommand = text && text.startsWith(prefix) && !this.hasMedia(msg);
+        // Text, a media caption or a reply can all carry a command
+        const match = text ? this.matchCommand(msg, text) : null;
         
-        if (isCommand) {
-            await this.handleCommand(msg, text);
+        if (match && options.backlog && !this.shouldRunBacklogCommand(msg)) {
+            this.bot.logger.info(`⏭️ Skipped offline command ${text.split(/\s+/)[0]} from ${msg.key.participant || msg.key.remoteJid}`);
+        } else if (match) {
+            await this.handleCommand(msg, text, match);
         } else {
             // Handle non-command messages (including media)
             await this.handleNonCommandMessage(msg, text);
         }
 
-        // Execute message hooks
-        await this.executeMessageHooks('all', msg, text);
-
         // Sync to Telegram if bridge is active
         if (this.bot.telegramBridge) {
-            await this.bot.telegramBridge.syncMessage(msg, text);
+            await this.bot.telegramBridge.syncMessage(msg, text, options);
         }
     }
 
-    async executeMessageHooks(hookType, msg, text) {
-        const hooks = this.messageHooks.get(hookType) || [];
-        for (const hook of hooks) {
+    // How `text` addresses the bot, as { prefix, body }, or null when it isn't a command.
+    // `prefix` is what replies should show: the typed prefix, or the chat's usual one when the
+    // command came via a regex prefix, an @mention or prefixless DM mode.
+    matchCommand(msg, text) {
+        const jid = msg.key.remoteJid;
+        const prefixes = this.bot.chatSettings.get(jid, 'prefix');
+        const shown = displayPrefix(prefixes);
+
+        const match = matchPrefix(text, prefixes);
+        if (match) {
+            return { prefix: toList(prefixes).includes(match.prefix) ? match.prefix : shown, body: match.body };
+        }
+
+        if (jid.endsWith('@g.us') && this.bot.config.get('bot.mentionPrefix')) {
+            const mention = text.match(/^@(\d+)\s*/);
+            if (mention && this.isBotNumber(mention[1]) && text.length > mention[0].length) {
+                return { prefix: shown, body: text.slice(mention[0].length) };
+            }
+        }
+
+        // Only messages from the other person: the owner's own DMs to friends must never run commands
+        if (this.isPrivateChat(jid) && !msg.key.fromMe && this.bot.config.get('bot.prefixlessDM')) {
+            const word = text.trim().split(/\s+/)[0];
+            if (word && this.resolveCommand(word)) {
+                return { prefix: shown, body: text };
+            }
+        }
+        return null;
+    }
+
+    // Phone number or LID of the connected account, as it appears in an @mention
+    isBotNumber(number) {
+        const user = this.bot.sock?.user;
+        return [user?.id, user?.lid].some(jid => jid && jid.split(/[:@]/)[0] === number);
+    }
+
+    isPrivateChat(jid) {
+        return jid.endsWith('@s.whatsapp.net') || jid.endsWith('@lid');
+    }
+
+    // The prefixes a chat answers to, for help text: '`.` or `!`, or @mention'
+    describePrefixes(jid) {
+        const parts = toList(this.bot.chatSettings.get(jid, 'prefix')).map(prefix => `\`${prefix}\``);
+        if (jid.endsWith('@g.us') && this.bot.config.get('bot.mentionPrefix')) parts.push('@mention');
+        if (this.isPrivateChat(jid) && this.bot.config.get('bot.prefixlessDM')) parts.push('no prefix');
+        return parts.join(', ');
+    }
+
+    // Commands sent while the bot was offline only run if they are younger than catchUp.commandMaxAgeSec
+    shouldRunBacklogCommand(msg) {
+        const maxAge = this.bot.config.get('catchUp.commandMaxAgeSec');
+        const age = Date.now() / 1000 - toNumber(msg.messageTimestamp);
+        return maxAge > 0 && age <= maxAge;
+    }
+
+    // Hooks receive (msg, text, { backlog, chatType, type, role }) in priority order. Returns true
+    // when one returned STOP. A failing hook is logged and doesn't stop the others.
+    async executeMessageHooks(msg, text, options = {}) {
+        if (this.messageHooks.length === 0) return false;
+
+        const jid = msg.key.remoteJid;
+        const type = this.getMessageType(msg);
+        const details = {
+            chatType: jid.endsWith('@g.us') ? 'group' : this.isPrivateChat(jid) ? 'private' : 'other',
+            type: type === 'unknown' ? 'other' : type,
+            text,
+            fromMe: Boolean(msg.key.fromMe)
+        };
+        let role = null;
+        const getRole = async () => {
+            role = role || await this.bot.roles.resolve(msg, { checkAdmin: details.chatType === 'group' });
+            return role;
+        };
+
+        for (const hook of [...this.messageHooks]) {
             try {
-                await hook(msg, text);
+                if (!(await hook.matches(details, getRole))) continue;
+
+                const result = await hook.handler(msg, text, {
+                    backlog: Boolean(options.backlog),
+                    chatType: details.chatType,
+                    type: details.type,
+                    role: await getRole()
+                });
+                if (result === STOP) return true;
             } catch (error) {
-                logger.error(`Error executing message hook ${hookType}:`, error);
+                this.bot.logger.error(`Error executing message hook ${hook.name}:`, error);
             }
         }
+        return false;
     }
 
     hasMedia(msg) {
@@ -97,35 +282,41 @@ class MessageHandler {
         );
     }
 
-    async handleStatusMessage(msg) {
+    async handleStatusMessage(msg, options = {}) {
         if (config.get('features.autoViewStatus')) {
             try {
                 await this.bot.sock.readMessages([msg.key]);
                 await this.bot.sock.sendMessage(msg.key.remoteJid, {
                     react: { key: msg.key, text: '❤️' }
                 });
-                logger.debug(`❤️ Liked status from ${msg.key.participant}`);
+                this.bot.logger.debug(`❤️ Liked status from ${msg.key.participant}`);
             } catch (error) {
-                logger.error('Error handling status:', error);
+                this.bot.logger.error('Error handling status:', error);
             }
         }
         
         // Also sync status messages to Telegram
         if (this.bot.telegramBridge) {
             const text = this.extractText(msg);
-            await this.bot.telegramBridge.syncMessage(msg, text);
+            await this.bot.telegramBridge.syncMessage(msg, text, options);
         }
     }
 
-    async handleCommand(msg, text) {
+    async handleCommand(msg, text, match = this.matchCommand(msg, text)) {
+        if (!match) return;
         const sender = msg.key.remoteJid;
         const participant = msg.key.participant || sender;
-        const prefix = config.get('bot.prefix');
+        const { prefix } = match;
+        const autoReact = this.bot.chatSettings.get(sender, 'autoReact');
         
         // Extract command and arguments
-        const args = text.slice(prefix.length).trim().split(/\s+/);
-        const command = args[0].toLowerCase();
-        const params = args.slice(1);
+        const body = match.body.trim();
+        const args = body.split(/\s+/);
+        const typed = args[0].toLowerCase();
+        const command = this.resolveCommand(typed) || typed;
+        const argText = body.slice(args[0].length).trim();
+        const handler = this.commandHandlers.get(command);
+        let params = args.slice(1);
 
         // Check permissions
         if (!this.checkPermissions(msg, command)) {
@@ -134,51 +325,98 @@ class MessageHandler {
             });
         }
 
-        // Check rate limits
-        const userId = participant.split('@')[0];
-        if (config.get('features.rateLimiting')) {
-            const canExecute = await rateLimiter.checkCommandLimit(userId);
-            if (!canExecute) {
-                const remainingTime = await rateLimiter.getRemainingTime(userId);
+        let role = null;
+        if (handler) {
+            const access = await this.authorize(msg, handler);
+            if (!access.allowed) {
+                this.bot.logger.info(`🛡️ Denied ${command} to ${participant} (${access.role}, needs ${access.required})`);
+                return this.bot.sendMessage(sender, {
+                    text: `❌ *${prefix}${command}* needs the ${access.required} role.`
+                });
+            }
+            role = access.role;
+        }
+
+        const group = handler ? await this.groupContext(sender, participant) : null;
+        if (handler) {
+            const problem = this.checkGroupRequirements(handler, role, group, sender);
+            if (problem) {
+                return this.bot.sendMessage(sender, { text: problem });
+            }
+        }
+
+        // Commands with an `args` schema get quote-aware params and typed context.args
+        let typedArgs;
+        if (handler?.args) {
+            try {
+                typedArgs = parseArgs(argText, handler.args, {
+                    mentions: getContextInfo(msg.message)?.mentionedJid || []
+                });
+            } catch (error) {
+                if (!(error instanceof ArgumentError)) throw error;
                 return this.bot.sendMessage(sender, {
-                    text: `⏱️ Rate limit exceeded. Try again in ${Math.ceil(remainingTime / 1000)} seconds.`
+                    text: `❌ ${error.message}\n\n💡 Usage: \`${formatUsage(handler, prefix)}\``
+                });
+            }
+            params = tokenize(argText).map(token => token.value);
+        }
+
+        // Check rate limits once the command is going to run, so a usage error costs nothing;
+        // owners and sudo users are exempt
+        if (!Roles.satisfies(role || this.bot.roles.resolveStored(msg), 'sudo')) {
+            const hit = this.takeRateLimits(handler, command, { chat: sender, user: participant.split('@')[0] });
+            if (hit) {
+                metrics.rateLimited.inc({ session: this.bot.sessionId, limit: hit.limit.kind });
+                return this.bot.sendMessage(sender, {
+                    text: RateLimiter.describeLimit(hit.limit, `${prefix}${command}`, hit.resetMs)
                 });
             }
         }
 
         // Auto react to command if enabled
-        if (config.get('features.autoReact')) {
+        if (autoReact) {
             try {
                 await this.bot.sock.sendMessage(sender, {
                     react: { key: msg.key, text: '⏳' }
                 });
             } catch (error) {
-                logger.debug('Failed to react to command:', error);
+                this.bot.logger.debug('Failed to react to command:', error);
             }
         }
 
         // Execute command
-        const handler = this.commandHandlers.get(command);
         if (handler) {
+            const quoted = getQuoted(msg);
+            const labels = { session: this.bot.sessionId, command };
+            const endTimer = metrics.commandDuration.startTimer(labels);
             try {
-                await handler.execute(msg, params, {
+                await this.bot.inFlight.track('command', () => handler.execute(msg, params, {
                     bot: this.bot,
                     sender,
                     participant,
                     isGroup: sender.endsWith('@g.us'),
+                    ...group,
+                    settings: this.bot.chatSettings.getAll(sender),
+                    prefix,
+                    role,
+                    args: typedArgs,
+                    quoted,
+                    media: createMediaHelpers(msg, quoted),
                     messageHandler: this
-                });
+                }));
                 
-                logger.info(`✅ Command executed: ${command} by ${participant}`);
+                endTimer();
+                metrics.commandsTotal.inc({ ...labels, status: 'success' });
+                this.bot.logger.info(`✅ Command executed: ${command} by ${participant}`);
                 
                 // Success reaction
-                if (config.get('features.autoReact')) {
+                if (autoReact) {
                     try {
                         await this.bot.sock.sendMessage(sender, {
                             react: { key: msg.key, text: '✅' }
                         });
                     } catch (error) {
-                        logger.debug('Failed to react with success:', error);
+                        this.bot.logger.debug('Failed to react with success:', error);
                     }
                 }
                 
@@ -188,16 +426,18 @@ class MessageHandler {
                         `Command: ${command}\nUser: ${participant}\nChat: ${sender}`);
                 }
             } catch (error) {
-                logger.error(`❌ Command failed: ${command}`, error);
+                endTimer();
+                metrics.commandsTotal.inc({ ...labels, status: 'failed' });
+                this.bot.logger.error(`❌ Command failed: ${command}`, error);
                 
                 // Error reaction
-                if (config.get('features.autoReact')) {
+                if (autoReact) {
                     try {
                         await this.bot.sock.sendMessage(sender, {
                             react: { key: msg.key, text: '❌' }
                         });
                     } catch (reactError) {
-                        logger.debug('Failed to react with error:', reactError);
+                        this.bot.logger.debug('Failed to react with error:', reactError);
                     }
                 }
                 
@@ -212,19 +452,28 @@ class MessageHandler {
                 }
             }
         } else {
+            if (sender.endsWith('@g.us') && this.bot.config.get('features.silentUnknownInGroups')) {
+                this.bot.logger.debug(`❓ Ignored unknown command in group: ${command}`);
+                return;
+            }
+
             // Unknown command reaction
-            if (config.get('features.autoReact')) {
+            if (autoReact) {
                 try {
                     await this.bot.sock.sendMessage(sender, {
                         react: { key: msg.key, text: '❓' }
                     });
                 } catch (error) {
-                    logger.debug('Failed to react with question:', error);
+                    this.bot.logger.debug('Failed to react with question:', error);
                 }
             }
             
+            const suggestions = this.suggestCommands(msg, command);
+            const hint = suggestions.length > 0
+                ? `\n💡 Did you mean ${suggestions.map(name => `*${prefix}${name}*`).join(', ')}?`
+                : '';
             await this.bot.sendMessage(sender, {
-                text: `❓ Unknown command: ${command}\nType *${prefix}help* for available commands.`
+                text: `❓ Unknown command: ${command}${hint}\nType *${prefix}help* for available commands.`
             });
         }
     }
@@ -233,12 +482,19 @@ class MessageHandler {
         // Log media messages for debugging
         if (this.hasMedia(msg)) {
             const mediaType = this.getMediaType(msg);
-            logger.debug(`📎 Media message received: ${mediaType} from ${msg.key.participant || msg.key.remoteJid}`);
+            this.bot.logger.debug(`📎 Media message received: ${mediaType} from ${msg.key.participant || msg.key.remoteJid}`);
         } else if (text) {
-            logger.debug('💬 Text message received:', text.substring(0, 50));
+            this.bot.logger.debug('💬 Text message received:', text.substring(0, 50));
         }
     }
 
+    // Coarse message type for metrics: status, a media type, text or other
+    getMessageType(msg) {
+        if (msg.key.remoteJid === 'status@broadcast') return 'status';
+        if (this.hasMedia(msg)) return this.getMediaType(msg);
+        return this.extractText(msg) ? 'text' : 'other';
+    }
+
     getMediaType(msg) {
         if (msg.message?.imageMessage) return 'image';
         if (msg.message?.videoMessage) return 'video';
@@ -250,38 +506,76 @@ class MessageHandler {
         return 'unknown';
     }
 
-    checkPermissions(msg, command) {
-        const sender = msg.key.remoteJid;
-        const participant = msg.key.participant || sender;
-        const owner = config.get('bot.owner');
-        const mode = config.get('features.mode');
-        
-        // Check if user is owner
-        const isOwner = participant === owner || msg.key.fromMe;
-        
-        // Check mode restrictions
-        if (mode === 'private' && !isOwner) {
-            return false;
+    // Counts one use against the global per-user limit (when features.rateLimiting is on) and the
+    // command's own cooldown/rateLimit. Nothing is counted unless every limit allows the use;
+    // returns the first limit hit as { limit, resetMs }, or null.
+    takeRateLimits(handler, command, ids) {
+        const limits = [];
+        if (config.get('features.rateLimiting')) {
+            limits.push({ kind: 'global', max: config.get('security.maxCommandsPerMinute'), windowMs: 60000, key: `cmd_${ids.user}` });
+        }
+        for (const limit of handler ? RateLimiter.limitsFor(handler) : []) {
+            const scopeKey = RateLimiter.scopeKey(limit.scope, ids);
+            if (scopeKey) limits.push({ ...limit, key: `${limit.kind}|${command}|${scopeKey}` });
         }
 
-        // Check blocked users
-        const blockedUsers = config.get('security.blockedUsers') || [];
-        const userId = participant.split('@')[0];
-        if (blockedUsers.includes(userId)) {
-            return false;
+        for (const limit of limits) {
+            const { allowed, resetMs } = this.rateLimiter.check(limit.key, limit.max, limit.windowMs);
+            if (!allowed) return { limit, resetMs };
         }
+        for (const limit of limits) {
+            this.rateLimiter.record(limit.key, limit.windowMs);
+        }
+        return null;
+    }
+
+    // { groupMetadata, isGroupAdmin, isBotAdmin } for command context; empty outside groups or
+    // when the metadata can't be fetched
+    async groupContext(jid, participant) {
+        const empty = { groupMetadata: null, isGroupAdmin: false, isBotAdmin: false };
+        if (!jid.endsWith('@g.us')) return empty;
+
+        try {
+            return {
+                groupMetadata: await this.bot.groups.get(jid),
+                isGroupAdmin: await this.bot.groups.isAdmin(jid, participant),
+                isBotAdmin: await this.bot.groups.isBotAdmin(jid)
+            };
+        } catch (error) {
+            this.bot.logger.debug(`Failed to load group metadata for ${jid}:`, error);
+            return empty;
+        }
+    }
+
+    // Reply text when a command's requireGroupAdmin / requireBotAdmin isn't met, else null.
+    // Owner and sudo users count as group admins; the bot's own admin status can't be bypassed.
+    checkGroupRequirements(handler, role, group, jid) {
+        if (!handler.requireGroupAdmin && !handler.requireBotAdmin) return null;
+        if (!jid.endsWith('@g.us')) return '❌ This command only works in groups.';
+        if (!group.groupMetadata) return '❌ Could not load this group\'s details, try again in a moment.';
+
+        if (handler.requireGroupAdmin && !group.isGroupAdmin && !Roles.satisfies(role, 'sudo')) {
+            return '❌ Only group admins can use this command.';
+        }
+        if (handler.requireBotAdmin && !group.isBotAdmin) {
+            return '❌ I need to be a group admin to do that.';
+        }
+        return null;
+    }
+
+    // Chat-wide gate before any command is looked at: banned users never get through,
+    // and in private mode only the owner and sudo users do
+    checkPermissions(msg, command) {
+        const role = this.bot.roles.resolveStored(msg);
+        if (role === 'banned') return false;
 
-        return true;
+        const mode = this.bot.chatSettings.get(msg.key.remoteJid, 'mode');
+        return mode !== 'private' || Roles.satisfies(role, 'sudo');
     }
 
+    // Message text or media caption, looking inside disappearing/view-once wrappers
     extractText(msg) {
-        return msg.message?.conversation || 
-               msg.message?.extendedTextMessage?.text || 
-               msg.message?.imageMessage?.caption ||
-               msg.message?.videoMessage?.caption || 
-               msg.message?.documentMessage?.caption ||
-               msg.message?.audioMessage?.caption ||
-               '';
+        return getText(msg.message);
     }
 
     // Enhanced method for smart processing with message editing
@@ -290,7 +584,7 @@ class MessageHandler {
             const response = await this.bot.sendMessage(sender, { text: processingText });
             return response;
         } catch (error) {
-            logger.error('Failed to send processing message:', error);
+            this.bot.logger.error('Failed to send processing message:', error);
             return null;
         }
     }
@@ -304,7 +598,7 @@ class MessageHandler {
                 });
             }
         } catch (error) {
-            logger.debug('Failed to edit processing message:', error);
+            this.bot.logger.debug('Failed to edit processing message:', error);
             // Fallback: send new message
             await this.bot.sendMessage(sender, { text: finalText });
         }
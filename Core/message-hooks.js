@@ -0,0 +1,77 @@
+const Roles = require('./roles');
+
+// Message hooks run for every incoming message (status updates excluded) before commands and
+// the Telegram bridge, whatever their priority. A module declares them as
+//   messageHooks: {
+//       all: this.onMessage,                             // every message
+//       antiSpam: {
+//           handler: this.checkSpam,
+//           priority: 100,                               // higher runs first, default 0
+//           filter: { chat: 'group', type: 'text', text: /https?:\/\//i, role: ['public'], fromMe: false }
+//       }
+//   }
+// and a handler returning STOP ends processing: later hooks, command handling and the bridge sync
+// are skipped for that message.
+const STOP = 'stop';
+
+const CHAT_TYPES = ['group', 'private', 'other'];
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MESSAGE_TYPES = ['text', 'media', ...MEDIA_TYPES, 'location', 'contact', 'other'];
+const FILTER_KEYS = ['chat', 'type', 'text', 'role', 'fromMe'];
+
+function list(value) {
+    return [].concat(value);
+}
+
+// Validates a filter declaration and returns a predicate over the message details
+// ({ chatType, type, text, fromMe }, getRole). Throws on anything it doesn't understand.
+function compileHookFilter(filter = {}) {
+    if (!filter || typeof filter !== 'object') throw new Error('filter must be an object');
+
+    const unknown = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+    if (unknown.length > 0) throw new Error(`unknown filter ${unknown.join(', ')}; use ${FILTER_KEYS.join(', ')}`);
+
+    const checks = [];
+    if (filter.chat !== undefined) {
+        const chats = list(filter.chat);
+        const bad = chats.filter(chat => !CHAT_TYPES.includes(chat));
+        if (bad.length > 0) throw new Error(`filter.chat must be ${CHAT_TYPES.join(', ')}, got ${bad.join(', ')}`);
+        checks.push(details => chats.includes(details.chatType));
+    }
+
+    if (filter.type !== undefined) {
+        const types = list(filter.type);
+        const bad = types.filter(type => !MESSAGE_TYPES.includes(type));
+        if (bad.length > 0) throw new Error(`filter.type must be ${MESSAGE_TYPES.join(', ')}, got ${bad.join(', ')}`);
+        checks.push(details => types.includes(details.type) || (types.includes('media') && MEDIA_TYPES.includes(details.type)));
+    }
+
+    if (filter.text !== undefined) {
+        const pattern = filter.text instanceof RegExp ? filter.text : new RegExp(filter.text, 'i');
+        checks.push((details) => {
+            pattern.lastIndex = 0;
+            return pattern.test(details.text);
+        });
+    }
+
+    if (filter.role !== undefined) {
+        const roles = list(filter.role);
+        const bad = roles.filter(role => !Roles.isRole(role));
+        if (bad.length > 0) throw new Error(`filter.role must be ${Roles.names.join(', ')}, got ${bad.join(', ')}`);
+        checks.push(async (details, getRole) => roles.includes(await getRole()));
+    }
+
+    if (filter.fromMe !== undefined) {
+        if (typeof filter.fromMe !== 'boolean') throw new Error('filter.fromMe must be true or false');
+        checks.push(details => details.fromMe === filter.fromMe);
+    }
+
+    return async (details, getRole) => {
+        for (const check of checks) {
+            if (!(await check(details, getRole))) return false;
+        }
+        return true;
+    };
+}
+
+module.exports = { STOP, CHAT_TYPES, MESSAGE_TYPES, compileHookFilter };
@@ -0,0 +1,116 @@
+const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
+
+// Message fields holding downloadable media, and the type downloadContentFromMessage expects
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+// Disappearing, view-once and captioned-document messages wrap the real content one level down
+const WRAPPERS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension', 'documentWithCaptionMessage'];
+
+function unwrapMessage(message) {
+    let current = message;
+    for (let depth = 0; current && depth < 3; depth++) {
+        const wrapper = WRAPPERS.find(name => current[name]?.message);
+        if (!wrapper) break;
+        current = current[wrapper].message;
+    }
+    return current || null;
+}
+
+// contextInfo (reply, mentions) lives on whichever inner message carries the text or caption
+function getContextInfo(message) {
+    const content = unwrapMessage(message);
+    if (!content) return null;
+    for (const value of Object.values(content)) {
+        if (value && typeof value === 'object' && value.contextInfo) return value.contextInfo;
+    }
+    return null;
+}
+
+// { type, content } for the first downloadable media in a message, or null
+function getMedia(message) {
+    const content = unwrapMessage(message);
+    if (!content) return null;
+    for (const [field, type] of Object.entries(MEDIA_TYPES)) {
+        if (content[field]) return { type, content: content[field] };
+    }
+    return null;
+}
+
+function getText(message) {
+    const content = unwrapMessage(message);
+    return content?.conversation ||
+           content?.extendedTextMessage?.text ||
+           content?.imageMessage?.caption ||
+           content?.videoMessage?.caption ||
+           content?.documentMessage?.caption ||
+           content?.audioMessage?.caption ||
+           '';
+}
+
+// The message `msg` replies to: { key, message, type, sender, text }, or null
+function getQuoted(msg) {
+    const info = getContextInfo(msg.message);
+    if (!info?.quotedMessage) return null;
+
+    const chat = msg.key.remoteJid;
+    const sender = info.participant || chat;
+    const message = unwrapMessage(info.quotedMessage);
+    return {
+        key: {
+            remoteJid: info.remoteJid || chat,
+            id: info.stanzaId,
+            participant: chat.endsWith('@g.us') ? sender : undefined
+        },
+        message,
+        type: Object.keys(message || {})[0] || null,
+        sender,
+        text: getText(message)
+    };
+}
+
+async function streamToBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Media attached to the command itself, else media in the message it replies to.
+// `type`, `source` ('message' or 'quoted') and `content` are null when there is none;
+// buffer() and stream() then throw.
+function createMediaHelpers(msg, quoted) {
+    const own = getMedia(msg.message);
+    const replied = own ? null : getMedia(quoted?.message);
+    const media = own || replied;
+    let download = null;
+
+    const stream = async () => {
+        if (!media) throw new Error('No media attached or quoted');
+        return downloadContentFromMessage(media.content, media.type);
+    };
+
+    return {
+        type: media?.type || null,
+        source: own ? 'message' : replied ? 'quoted' : null,
+        content: media?.content || null,
+        fileName: media?.content.fileName || null,
+        stream,
+        // Downloaded once per command, however often it is called
+        buffer: () => {
+            download = download || stream().then(streamToBuffer).catch((error) => {
+                download = null;
+                throw error;
+            });
+            return download;
+        }
+    };
+}
+
+module.exports = { MEDIA_TYPES, unwrapMessage, getContextInfo, getMedia, getText, getQuoted, createMediaHelpers, streamToBuffer };
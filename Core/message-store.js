@@ -0,0 +1,178 @@
+const { BufferJSON, proto, toNumber, updateMessageWithPollUpdate } = require('@whiskeysockets/baileys');
+const config = require('../config');
+
+// Recent messages for Baileys retries/poll decryption and for modules that look up earlier messages.
+// Memory holds the newest `store.maxMessages` (LRU); MongoDB keeps everything for `store.ttlDays`.
+class MessageStore {
+    constructor(bot) {
+        this.bot = bot;
+        this.messages = new Map(); // 'jid|id' -> WebMessageInfo, least recently used first
+        this.collection = null;
+        this.pending = new Map(); // 'jid|id' -> WebMessageInfo waiting to be written
+        this.flushTimer = null;
+        this.flushInterval = 2000;
+    }
+
+    async initialize(db) {
+        if (!config.get('store.persist')) return;
+
+        try {
+            this.collection = db.collection(this.bot.collectionName('messages'));
+            await this.collection.createIndex({ jid: 1, timestamp: -1 });
+            await this.collection.createIndex(
+                { updatedAt: 1 },
+                { expireAfterSeconds: config.get('store.ttlDays') * 24 * 60 * 60 }
+            );
+            this.bot.logger.info('✅ Message store persistence enabled');
+        } catch (error) {
+            this.collection = null;
+            this.bot.logger.error('❌ Failed to set up message store collection, keeping messages in memory only:', error);
+        }
+    }
+
+    // Attach to a socket's event emitter; called again for every new socket
+    bind(ev) {
+        ev.on('messages.upsert', ({ messages }) => {
+            for (const msg of messages) {
+                this.upsert(msg);
+            }
+        });
+
+        ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                this.update(key, update);
+            }
+        });
+    }
+
+    upsert(msg) {
+        if (!msg.key?.remoteJid || !msg.key?.id) return;
+
+        const id = storeKey(msg.key);
+        const existing = this.messages.get(id);
+        this.remember(id, existing ? Object.assign(existing, msg) : msg);
+        this.queueWrite(id);
+    }
+
+    update(key, update) {
+        const id = storeKey(key);
+        const msg = this.messages.get(id);
+        if (!msg) return;
+
+        const { pollUpdates, ...rest } = update;
+        for (const pollUpdate of pollUpdates || []) {
+            updateMessageWithPollUpdate(msg, pollUpdate);
+        }
+        Object.assign(msg, rest);
+        this.queueWrite(id);
+    }
+
+    // Full WebMessageInfo for a message key, or undefined when it isn't stored
+    async getMessage(key) {
+        if (!key?.remoteJid || !key?.id) return undefined;
+
+        const id = storeKey(key);
+        const cached = this.messages.get(id);
+        if (cached) {
+            this.remember(id, cached);
+            return cached;
+        }
+
+        if (!this.collection) return undefined;
+        try {
+            const doc = await this.collection.findOne({ _id: id });
+            if (!doc) return undefined;
+            const msg = deserialize(doc.data);
+            this.remember(id, msg);
+            return msg;
+        } catch (error) {
+            this.bot.logger.error(`❌ Failed to load message ${id} from store:`, error);
+            return undefined;
+        }
+    }
+
+    // The last `count` messages of a chat, oldest first
+    async recent(jid, count = 20) {
+        if (this.collection) {
+            try {
+                await this.flush();
+                const docs = await this.collection.find({ jid }).sort({ timestamp: -1 }).limit(count).toArray();
+                return docs.reverse().map(doc => deserialize(doc.data));
+            } catch (error) {
+                this.bot.logger.error(`❌ Failed to load recent messages for ${jid}:`, error);
+            }
+        }
+
+        return [...this.messages.values()]
+            .filter(msg => msg.key.remoteJid === jid)
+            .sort((a, b) => timestampOf(a) - timestampOf(b))
+            .slice(-count);
+    }
+
+    // Re-inserting moves the entry to the end, so the first entry is always the least recently used
+    remember(id, msg) {
+        this.messages.delete(id);
+        this.messages.set(id, msg);
+
+        const maxMessages = config.get('store.maxMessages');
+        while (this.messages.size > maxMessages) {
+            this.messages.delete(this.messages.keys().next().value);
+        }
+    }
+
+    queueWrite(id) {
+        if (!this.collection) return;
+
+        this.pending.set(id, this.messages.get(id));
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flush().catch(error => this.bot.logger.error('❌ Failed to persist messages:', error));
+            }, this.flushInterval);
+        }
+    }
+
+    // Write queued messages to MongoDB in one batch
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.collection || this.pending.size === 0) return;
+
+        const batch = [...this.pending.entries()];
+        this.pending.clear();
+
+        const now = new Date();
+        await this.collection.bulkWrite(batch.map(([id, msg]) => ({
+            updateOne: {
+                filter: { _id: id },
+                update: {
+                    $set: {
+                        jid: msg.key.remoteJid,
+                        messageId: msg.key.id,
+                        fromMe: Boolean(msg.key.fromMe),
+                        timestamp: timestampOf(msg),
+                        data: JSON.stringify(msg, BufferJSON.replacer),
+                        updatedAt: now
+                    }
+                },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+}
+
+function storeKey(key) {
+    return `${key.remoteJid}|${key.id}`;
+}
+
+function timestampOf(msg) {
+    return msg.messageTimestamp ? toNumber(msg.messageTimestamp) : 0;
+}
+
+function deserialize(data) {
+    return proto.WebMessageInfo.fromObject(JSON.parse(data, BufferJSON.reviver));
+}
+
+module.exports = MessageStore;
@@ -0,0 +1,148 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4), shared by every session.
+// Each series is keyed by its label values; label names are fixed per metric.
+
+function formatLabels(labelNames, values, extra = {}) {
+    const pairs = labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+    if (pairs.length === 0) return '';
+    const escaped = pairs.map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return `{${escaped.join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // JSON label values -> value or histogram state
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    }
+
+    header() {
+        return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}`;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+
+    render() {
+        const lines = [...this.series].map(([key, value]) =>
+            `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+        return [this.header(), ...lines].join('\n');
+    }
+}
+
+// Values are read at scrape time from `collect`, which returns [{ labels, value }]
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = this.collect().map(({ labels, value }) =>
+            `${this.name}${formatLabels(this.labelNames, this.labelNames.map(name => labels[name] ?? ''))} ${value}`);
+        return [this.header(), ...lines].join('\n');
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const state = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) state.counts[i]++;
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    // Returns a function that records the seconds elapsed since startTimer was called
+    startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = [];
+        for (const [key, { counts, sum, count }] of this.series) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, { le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+        }
+        return [this.header(), ...lines].join('\n');
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+module.exports = {
+    registry,
+    messagesReceived: registry.counter('hyperwa_messages_received_total',
+        'WhatsApp messages received, by message type', ['session', 'type']),
+    commandsTotal: registry.counter('hyperwa_commands_total',
+        'Commands run, by command and outcome (success or failed)', ['session', 'command', 'status']),
+    commandDuration: registry.histogram('hyperwa_command_duration_seconds',
+        'Command execution time', ['session', 'command']),
+    rateLimited: registry.counter('hyperwa_rate_limited_total',
+        'Commands rejected by a rate limit, by limit (global, cooldown or rateLimit)', ['session', 'limit']),
+    bridgeMessages: registry.counter('hyperwa_bridge_messages_total',
+        'Messages relayed by the Telegram bridge, by direction (wa_to_tg or tg_to_wa)', ['session', 'direction']),
+    reconnects: registry.counter('hyperwa_reconnects_total',
+        'WhatsApp reconnects scheduled', ['session']),
+    watchdogProbes: registry.counter('hyperwa_watchdog_probes_total',
+        'Liveness pings sent by the watchdog, by result (ok or failed)', ['session', 'result'])
+};
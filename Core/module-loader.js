@@ -1,8 +1,11 @@
 const path = require('path');
 const fs = require('fs-extra');
-const logger = require('./logger');
 const config = require('../config');
 const helpers = require('../utils/helpers');
+const { validateSchema, formatUsage, describeArgs } = require('./arg-parser');
+const { displayPrefix } = require('../utils/prefixes');
+const Roles = require('./roles');
+const RateLimiter = require('./rate-limiter');
 
 class ModuleLoader {
     constructor(bot) {
@@ -18,10 +21,10 @@ class ModuleLoader {
         const loadModuleCommand = {
             name: 'lm',
             description: 'Load a module from file',
-            usage: '.lm (reply to a .js file)',
+            usage: '.lm (reply to a .js file, or as its caption)',
             permissions: 'owner',
             execute: async (msg, params, context) => {
-                if (!msg.message?.documentMessage?.fileName?.endsWith('.js')) {
+                if (context.media.type !== 'document' || !context.media.fileName?.endsWith('.js')) {
                     return context.bot.sendMessage(context.sender, {
                         text: '🔧 *Load Module*\n\n❌ Please reply to a JavaScript (.js) file to load it as a module.'
                     });
@@ -32,16 +35,8 @@ class ModuleLoader {
                         text: '⚡ *Loading Module*\n\n🔄 Downloading and installing module...\n⏳ Please wait...'
                     });
 
-                    const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
-                    const stream = await downloadContentFromMessage(msg.message.documentMessage, 'document');
-                    
-                    const chunks = [];
-                    for await (const chunk of stream) {
-                        chunks.push(chunk);
-                    }
-                    const buffer = Buffer.concat(chunks);
-                    
-                    const fileName = msg.message.documentMessage.fileName;
+                    const buffer = await context.media.buffer();
+                    const fileName = path.basename(context.media.fileName);
                     const customModulesPath = path.join(__dirname, '../custom_modules');
                     await fs.ensureDir(customModulesPath);
                     
@@ -56,7 +51,7 @@ class ModuleLoader {
                     });
 
                 } catch (error) {
-                    logger.error('Failed to load module:', error);
+                    this.bot.logger.error('Failed to load module:', error);
                     await context.bot.sendMessage(context.sender, {
                         text: `❌ *Module Load Failed*\n\n🚫 Error: ${error.message}\n🔧 Please check the module file format.`
                     });
@@ -74,7 +69,7 @@ class ModuleLoader {
                 if (params.length === 0) {
                     const moduleList = this.listModules().join('\n• ');
                     return context.bot.sendMessage(context.sender, {
-                        text: `🔧 *Unload Module*\n\n📋 Available modules:\n• ${moduleList}\n\n💡 Usage: \`.ulm <module_name>\``
+                        text: `🔧 *Unload Module*\n\n📋 Available modules:\n• ${moduleList}\n\n💡 Usage: \`${this.usageFor(unloadModuleCommand, context.prefix)}\``
                     });
                 }
 
@@ -93,7 +88,7 @@ class ModuleLoader {
                     });
 
                 } catch (error) {
-                    logger.error('Failed to unload module:', error);
+                    this.bot.logger.error('Failed to unload module:', error);
                     await context.bot.sendMessage(context.sender, {
                         text: `❌ *Module Unload Failed*\n\n🚫 Error: ${error.message}\n📦 Module: \`${moduleName}\``
                     });
@@ -111,7 +106,7 @@ class ModuleLoader {
                 if (params.length === 0) {
                     const moduleList = this.listModules().join('\n• ');
                     return context.bot.sendMessage(context.sender, {
-                        text: `🔧 *Reload Module*\n\n📋 Available modules:\n• ${moduleList}\n\n💡 Usage: \`.rlm <module_name>\``
+                        text: `🔧 *Reload Module*\n\n📋 Available modules:\n• ${moduleList}\n\n💡 Usage: \`${this.usageFor(reloadModuleCommand, context.prefix)}\``
                     });
                 }
 
@@ -130,7 +125,7 @@ class ModuleLoader {
                     });
 
                 } catch (error) {
-                    logger.error('Failed to reload module:', error);
+                    this.bot.logger.error('Failed to reload module:', error);
                     await context.bot.sendMessage(context.sender, {
                         text: `❌ *Module Reload Failed*\n\n🚫 Error: ${error.message}\n📦 Module: \`${moduleName}\``
                     });
@@ -205,18 +200,24 @@ class ModuleLoader {
             }
         }
 
+        // A session profile may limit which custom modules it runs
+        const allowed = this.bot.config.profile?.modules;
+
         for (const file of customFiles) {
-            if (file.endsWith('.js')) {
-                await this.loadModule(path.join(customPath, file), false);
+            if (!file.endsWith('.js')) continue;
+            if (allowed && !allowed.includes(path.basename(file, '.js'))) {
+                this.bot.logger.debug(`⏭️ Skipping custom module ${file} (not in session profile)`);
+                continue;
             }
+            await this.loadModule(path.join(customPath, file), false);
         }
 
         // Load help system after all modules
         this.setupHelpSystem();
 
-        logger.info(`✅ Loaded ${this.systemModulesCount} System Modules.`);
-        logger.info(`✅ Loaded ${this.customModulesCount} Custom Modules.`);
-        logger.info(`✅ Total Modules Loaded: ${this.systemModulesCount + this.customModulesCount}`);
+        this.bot.logger.info(`✅ Loaded ${this.systemModulesCount} System Modules.`);
+        this.bot.logger.info(`✅ Loaded ${this.customModulesCount} Custom Modules.`);
+        this.bot.logger.info(`✅ Total Modules Loaded: ${this.systemModulesCount + this.customModulesCount}`);
     }
 
     setupHelpSystem() {
@@ -226,6 +227,7 @@ class ModuleLoader {
             usage: '.help [module_name]',
             permissions: 'public',
             execute: async (msg, params, context) => {
+                const prefix = context.prefix ?? displayPrefix(this.bot.chatSettings.get(context.sender, 'prefix'));
                 if (params.length > 0) {
                     // Show detailed help for a specific module
                     const moduleName = params[0].toLowerCase();
@@ -233,7 +235,7 @@ class ModuleLoader {
 
                     if (!moduleInfo) {
                         await context.bot.sendMessage(context.sender, {
-                            text: `❌ Module \`${moduleName}\` not found.\n\nUse \`.help\` to see all available modules.`
+                            text: `❌ Module \`${moduleName}\` not found.\n\nUse \`${prefix}help\` to see all available modules.`
                         });
                         return;
                     }
@@ -251,7 +253,13 @@ class ModuleLoader {
                         helpText += `📋 *Commands* (${commands.length}):\n`;
                         for (const cmd of commands) {
                             helpText += `  • \`${cmd.name}\` - ${cmd.description}\n`;
-                            helpText += `    Usage: \`${cmd.usage}\`\n`;
+                            helpText += `    Usage: \`${this.usageFor(cmd, prefix)}\`\n`;
+                            if (Array.isArray(cmd.aliases) && cmd.aliases.length > 0) {
+                                helpText += `    Aliases: ${cmd.aliases.map(alias => `\`${alias}\``).join(', ')}\n`;
+                            }
+                            for (const line of describeArgs(cmd.args)) {
+                                helpText += `      ◦ ${line}\n`;
+                            }
                             helpText += `    Permissions: ${cmd.permissions || 'public'}\n`;
                         }
                     } else {
@@ -264,7 +272,7 @@ class ModuleLoader {
 
                 // Show all modules and their commands
                 let helpText = `🤖 *${config.get('bot.name')} Help Menu*\n\n`;
-                helpText += `🎯 *Prefix*: \`${config.get('bot.prefix')}\`\n`;
+                helpText += `🎯 *Prefix*: ${this.bot.messageHandler.describePrefixes(context.sender)}\n`;
                 helpText += `📊 *Total Modules*: ${this.modules.size}\n`;
                 helpText += `📋 *Total Commands*: ${this.bot.messageHandler.commandHandlers.size}\n\n`;
 
@@ -286,7 +294,7 @@ class ModuleLoader {
                         const commands = Array.isArray(mod.instance.commands) ? mod.instance.commands : [];
                         helpText += `  📦 ${mod.name} (${commands.length} commands)\n`;
                         for (const cmd of commands) {
-                            helpText += `    • \`${cmd.name}\` - ${cmd.description} (Usage: \`${cmd.usage}\`)\n`;
+                            helpText += `    • \`${cmd.name}\` - ${cmd.description} (Usage: \`${this.usageFor(cmd, prefix)}\`)\n`;
                         }
                     }
                 } else {
@@ -301,15 +309,15 @@ class ModuleLoader {
                         const commands = Array.isArray(mod.instance.commands) ? mod.instance.commands : [];
                         helpText += `  📦 ${mod.name} (${commands.length} commands)\n`;
                         for (const cmd of commands) {
-                            helpText += `    • \`${cmd.name}\` - ${cmd.description} (Usage: \`${cmd.usage}\`)\n`;
+                            helpText += `    • \`${cmd.name}\` - ${cmd.description} (Usage: \`${this.usageFor(cmd, prefix)}\`)\n`;
                         }
                     }
                 } else {
                     helpText += `  • None loaded\n`;
                 }
 
-                helpText += `\n💡 *Tip*: Use \`.help <module_name>\` for detailed module info\n`;
-                helpText += `🔧 *Module Management*: \`.lm\`, \`.ulm\`, \`.rlm\`, \`.modules\`, \`.moduleinfo\`, \`.allmodules\``;
+                helpText += `\n💡 *Tip*: Use \`${prefix}help <module_name>\` for detailed module info\n`;
+                helpText += `🔧 *Module Management*: ${['lm', 'ulm', 'rlm', 'modules'].map(name => `\`${prefix}${name}\``).join(', ')}`;
 
                 await context.bot.sendMessage(context.sender, { text: helpText });
             }
@@ -331,8 +339,40 @@ class ModuleLoader {
         return 'Core System';
     }
 
+    // Which command already uses `name` as its name or alias, or null when it is free
+    commandNameOwner(name) {
+        const key = name.toLowerCase();
+        if (this.bot.messageHandler.commandHandlers.has(key)) return `command ${key}`;
+        const target = this.bot.messageHandler.commandAliases.get(key);
+        return target ? `alias of ${target}` : null;
+    }
+
+    // Usage line with the prefix that applies in the chat: generated for commands with an `args`
+    // schema, otherwise the declared usage with its '.<name>' rewritten
+    usageFor(cmd, prefix = displayPrefix(this.bot.config.get('bot.prefix'))) {
+        if (cmd.args) return formatUsage(cmd, prefix);
+        return cmd.usage.replace(new RegExp(`(^|\\s)\\.${cmd.name}(?=\\s|$)`, 'g'), (_, space) => `${space}${prefix}${cmd.name}`);
+    }
+
+    // Per-module helpers handed to init(); anything registered here is undone on unload
+    createModuleContext(subscriptions) {
+        return {
+            subscribe: (pattern, handler) => {
+                const unsubscribe = config.subscribe(pattern, handler);
+                subscriptions.push(unsubscribe);
+                return unsubscribe;
+            },
+            on: (event, handler) => {
+                const unsubscribe = this.bot.events.on(event, handler);
+                subscriptions.push(unsubscribe);
+                return unsubscribe;
+            }
+        };
+    }
+
     async loadModule(filePath, isSystem) {
         const moduleId = path.basename(filePath, '.js');
+        const subscriptions = [];
 
         try {
             delete require.cache[require.resolve(filePath)];
@@ -344,6 +384,12 @@ class ModuleLoader {
 
             const actualModuleId = (moduleInstance && moduleInstance.name) ? moduleInstance.name : moduleId;
 
+            // Loading a module that is already loaded (e.g. .lm of an updated file) replaces it
+            if (this.modules.has(actualModuleId)) {
+                this.bot.logger.info(`🔄 Replacing loaded module: ${actualModuleId}`);
+                await this.unloadModule(actualModuleId);
+            }
+
             // Validate module structure
             if (!moduleInstance.metadata) {
                 moduleInstance.metadata = {
@@ -356,13 +402,55 @@ class ModuleLoader {
             }
 
             if (moduleInstance.init && typeof moduleInstance.init === 'function') {
-                await moduleInstance.init();
+                await moduleInstance.init(this.createModuleContext(subscriptions));
+            }
+
+            // Bot events ('group.join', 'reaction', ...); registered before commands so an unknown
+            // event name fails the load cleanly, and removed on unload with the other subscriptions
+            if (moduleInstance.events && typeof moduleInstance.events === 'object') {
+                for (const [event, fn] of Object.entries(moduleInstance.events)) {
+                    subscriptions.push(this.bot.events.on(event, fn.bind(moduleInstance)));
+                }
+            }
+
+            // Message hooks: a handler or { handler, priority, filter }. An invalid filter fails the
+            // load the same way; unload removes only this module's hooks.
+            if (moduleInstance.messageHooks && typeof moduleInstance.messageHooks === 'object') {
+                for (const [hook, declaration] of Object.entries(moduleInstance.messageHooks)) {
+                    const { handler, ...options } = typeof declaration === 'function' ? { handler: declaration } : declaration || {};
+                    if (typeof handler !== 'function') {
+                        throw new Error(`Message hook ${hook} needs a handler function`);
+                    }
+                    this.bot.messageHandler.registerMessageHook(hook, handler.bind(moduleInstance), { ...options, owner: actualModuleId });
+                    subscriptions.push(() => this.bot.messageHandler.unregisterMessageHook(hook, actualModuleId));
+                }
             }
 
+            const registered = { commands: [], aliases: [] };
             if (Array.isArray(moduleInstance.commands)) {
                 for (const cmd of moduleInstance.commands) {
-                    if (!cmd.name || !cmd.description || !cmd.usage || !cmd.execute) {
-                        logger.warn(`⚠️ Invalid command in module ${actualModuleId}: ${JSON.stringify(cmd)}`);
+                    if (!cmd.name || !cmd.description || !(cmd.usage || cmd.args) || !cmd.execute) {
+                        this.bot.logger.warn(`⚠️ Invalid command in module ${actualModuleId}: ${JSON.stringify(cmd)}`);
+                        continue;
+                    }
+                    const problems = cmd.args ? validateSchema(cmd.args) : [];
+                    if (problems.length > 0) {
+                        this.bot.logger.warn(`⚠️ Invalid args for command ${cmd.name} in module ${actualModuleId}: ${problems.join('; ')}`);
+                        continue;
+                    }
+                    if (cmd.permissions !== undefined && (!Roles.isRole(cmd.permissions) || cmd.permissions === 'banned')) {
+                        this.bot.logger.warn(`⚠️ Invalid permissions '${cmd.permissions}' for command ${cmd.name} in module ${actualModuleId}; use ${Roles.names.slice(1).join(', ')}`);
+                        continue;
+                    }
+                    try {
+                        RateLimiter.limitsFor(cmd);
+                    } catch (error) {
+                        this.bot.logger.warn(`⚠️ Invalid limits for command ${cmd.name} in module ${actualModuleId}: ${error.message}`);
+                        continue;
+                    }
+                    const takenBy = this.commandNameOwner(cmd.name);
+                    if (takenBy) {
+                        this.bot.logger.warn(`⚠️ Skipping command ${cmd.name} in module ${actualModuleId}: name already used by ${takenBy}`);
                         continue;
                     }
 
@@ -382,18 +470,30 @@ class ModuleLoader {
                     };
 
                     this.bot.messageHandler.registerCommandHandler(cmd.name, wrappedCmd);
-                }
-            }
-            if (moduleInstance.messageHooks && typeof moduleInstance.messageHooks === 'object' && moduleInstance.messageHooks !== null) {
-                for (const [hook, fn] of Object.entries(moduleInstance.messageHooks)) {
-                    this.bot.messageHandler.registerMessageHook(hook, fn.bind(moduleInstance));
+                    registered.commands.push(cmd.name.toLowerCase());
+
+                    for (const alias of Array.isArray(cmd.aliases) ? cmd.aliases : []) {
+                        if (typeof alias !== 'string' || !/^\S+$/.test(alias)) {
+                            this.bot.logger.warn(`⚠️ Skipping invalid alias ${JSON.stringify(alias)} of ${cmd.name} in module ${actualModuleId}`);
+                            continue;
+                        }
+                        const aliasTakenBy = this.commandNameOwner(alias);
+                        if (aliasTakenBy) {
+                            this.bot.logger.warn(`⚠️ Skipping alias ${alias} of ${cmd.name} in module ${actualModuleId}: already used by ${aliasTakenBy}`);
+                            continue;
+                        }
+                        this.bot.messageHandler.registerCommandAlias(alias, cmd.name);
+                        registered.aliases.push(alias.toLowerCase());
+                    }
                 }
             }
 
             this.modules.set(actualModuleId, {
                 instance: moduleInstance,
                 path: filePath,
-                isSystem
+                isSystem,
+                subscriptions,
+                registered
             });
 
             if (isSystem) {
@@ -402,9 +502,10 @@ class ModuleLoader {
                 this.customModulesCount++;
             }
 
-            logger.info(`✅ Loaded ${isSystem ? 'System' : 'Custom'} module: ${actualModuleId}`);
+            this.bot.logger.info(`✅ Loaded ${isSystem ? 'System' : 'Custom'} module: ${actualModuleId}`);
         } catch (err) {
-            logger.error(`❌ Failed to load module '${moduleId}' from ${filePath}:`, err);
+            subscriptions.forEach(unsubscribe => unsubscribe());
+            this.bot.logger.error(`❌ Failed to load module '${moduleId}' from ${filePath}:`, err);
         }
     }
 
@@ -426,22 +527,27 @@ class ModuleLoader {
             await moduleInfo.instance.destroy();
         }
 
-        if (Array.isArray(moduleInfo.instance.commands)) {
-            for (const cmd of moduleInfo.instance.commands) {
-                if (cmd.name) {
-                    this.bot.messageHandler.unregisterCommandHandler(cmd.name);
-                }
-            }
+        // Only what this module actually registered; a skipped duplicate belongs to someone else
+        const registered = moduleInfo.registered || { commands: [], aliases: [] };
+        for (const alias of registered.aliases) {
+            this.bot.messageHandler.unregisterCommandAlias(alias);
         }
-        if (moduleInfo.instance.messageHooks && typeof moduleInfo.instance.messageHooks === 'object') {
-            for (const hook of Object.keys(moduleInfo.instance.messageHooks)) {
-                this.bot.messageHandler.unregisterMessageHook(hook);
-            }
+        for (const command of registered.commands) {
+            this.bot.messageHandler.unregisterCommandHandler(command);
+        }
+        for (const unsubscribe of moduleInfo.subscriptions || []) {
+            unsubscribe();
+        }
+
+        if (moduleInfo.isSystem) {
+            this.systemModulesCount--;
+        } else {
+            this.customModulesCount--;
         }
 
         this.modules.delete(moduleId);
         delete require.cache[moduleInfo.path];
-        logger.info(`🚫 Unloaded module: ${moduleId}`);
+        this.bot.logger.info(`🚫 Unloaded module: ${moduleId}`);
     }
 
     async reloadModule(moduleId) {
@@ -450,10 +556,10 @@ class ModuleLoader {
             throw new Error(`Module ${moduleId} not found for reloading`);
         }
         
-        logger.info(`🔄 Reloading module: ${moduleId}`);
+        this.bot.logger.info(`🔄 Reloading module: ${moduleId}`);
         await this.unloadModule(moduleId);
         await this.loadModule(moduleInfo.path, moduleInfo.isSystem);
-        logger.info(`✅ Reloaded module: ${moduleId}`);
+        this.bot.logger.info(`✅ Reloaded module: ${moduleId}`);
     }
 }
 
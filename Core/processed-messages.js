@@ -0,0 +1,54 @@
+// Remembers which incoming messages were already handled, so a message redelivered after a
+// reconnect or restart (live or as offline backlog) isn't bridged or run twice.
+// Recent ids are kept in memory; MongoDB keeps them for `catchUp.dedupeDays`.
+class ProcessedMessages {
+    constructor(bot) {
+        this.bot = bot;
+        this.recent = new Set(); // 'jid|id', oldest first
+        this.maxRecent = 5000;
+        this.collection = null;
+    }
+
+    async initialize(db) {
+        try {
+            this.collection = db.collection(this.bot.collectionName('processed_messages'));
+            await this.collection.createIndex(
+                { processedAt: 1 },
+                { expireAfterSeconds: this.bot.config.get('catchUp.dedupeDays') * 24 * 60 * 60 }
+            );
+        } catch (error) {
+            this.collection = null;
+            this.bot.logger.error('❌ Failed to set up processed message collection, deduplicating in memory only:', error);
+        }
+    }
+
+    // Returns true the first time a message key is claimed and false for every repeat
+    async claim(key) {
+        if (!key?.remoteJid || !key?.id) return true;
+
+        const id = `${key.remoteJid}|${key.id}`;
+        if (this.recent.has(id)) return false;
+        this.remember(id);
+
+        if (!this.collection) return true;
+        try {
+            await this.collection.insertOne({ _id: id, processedAt: new Date() });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) return false; // duplicate key: handled before the restart
+
+            // Better to risk a duplicate than to drop the message
+            this.bot.logger.debug('Failed to record processed message:', error);
+            return true;
+        }
+    }
+
+    remember(id) {
+        this.recent.add(id);
+        if (this.recent.size > this.maxRecent) {
+            this.recent.delete(this.recent.values().next().value);
+        }
+    }
+}
+
+module.exports = ProcessedMessages;
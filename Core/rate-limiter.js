@@ -1,42 +1,115 @@
+// Sliding-window limits. Besides the global per-user limit (security.maxCommandsPerMinute),
+// commands can declare their own:
+//   cooldown: 30000                                   one use per 30s per user
+//   cooldown: { ms: 30000, scope: 'chat' }
+//   rateLimit: { max: 3, windowMs: 600000, scope: 'group' }
+// Scopes: user (each sender), chat (everyone in the chat together), group (like chat, but only
+// enforced in groups) and global (everyone everywhere).
+const SCOPES = ['user', 'chat', 'group', 'global'];
+
 class RateLimiter {
     constructor() {
-        this.userLimits = new Map();
-        this.commandLimits = new Map();
+        this.windows = new Map(); // key -> { times, windowMs }
+        this.checks = 0;
+    }
+
+    // Command limits as [{ kind, max, windowMs, scope }]; throws on a malformed declaration
+    static limitsFor(command) {
+        const limits = [];
+
+        if (command.cooldown !== undefined) {
+            const cooldown = typeof command.cooldown === 'number' ? { ms: command.cooldown } : command.cooldown;
+            if (!cooldown || !Number.isFinite(cooldown.ms) || cooldown.ms <= 0) {
+                throw new Error('cooldown must be a positive number of ms or { ms, scope }');
+            }
+            limits.push({ kind: 'cooldown', max: 1, windowMs: cooldown.ms, scope: checkScope(cooldown.scope) });
+        }
+
+        if (command.rateLimit !== undefined) {
+            const { max, windowMs, scope } = command.rateLimit || {};
+            if (!Number.isInteger(max) || max < 1 || !Number.isFinite(windowMs) || windowMs <= 0) {
+                throw new Error('rateLimit needs { max, windowMs } with max a positive integer');
+            }
+            limits.push({ kind: 'rateLimit', max, windowMs, scope: checkScope(scope) });
+        }
+        return limits;
     }
 
-    async checkCommandLimit(userId, maxCommands = 10, windowMs = 60000) {
+    // Key a limit counts under for this message, or null when the scope doesn't apply here
+    static scopeKey(scope, { chat, user }) {
+        switch (scope) {
+            case 'user': return `user:${user}`;
+            case 'chat': return `chat:${chat}`;
+            case 'group': return chat.endsWith('@g.us') ? `chat:${chat}` : null;
+            case 'global': return 'global';
+        }
+        return null;
+    }
+
+    // { allowed, resetMs } without counting a use; resetMs is how long until a slot frees up
+    check(key, max, windowMs) {
+        if (++this.checks % 500 === 0) this.sweep();
+
         const now = Date.now();
-        const userKey = `cmd_${userId}`;
-        
-        if (!this.commandLimits.has(userKey)) {
-            this.commandLimits.set(userKey, []);
+        const times = (this.windows.get(key)?.times || []).filter(time => now - time < windowMs);
+        if (times.length === 0) {
+            this.windows.delete(key);
+        } else {
+            this.windows.set(key, { times, windowMs });
         }
-        
-        const userCommands = this.commandLimits.get(userKey);
-        
-        // Remove old entries
-        const validCommands = userCommands.filter(time => now - time < windowMs);
-        this.commandLimits.set(userKey, validCommands);
-        
-        if (validCommands.length >= maxCommands) {
-            return false;
+
+        if (times.length < max) return { allowed: true, resetMs: 0 };
+        return { allowed: false, resetMs: Math.max(0, windowMs - (now - times[times.length - max])) };
+    }
+
+    record(key, windowMs) {
+        const entry = this.windows.get(key) || { times: [], windowMs };
+        entry.times.push(Date.now());
+        entry.windowMs = Math.max(entry.windowMs, windowMs);
+        this.windows.set(key, entry);
+    }
+
+    // Drop windows nobody has used recently
+    sweep() {
+        const now = Date.now();
+        for (const [key, { times, windowMs }] of this.windows) {
+            if (times.length === 0 || now - times[times.length - 1] >= windowMs) {
+                this.windows.delete(key);
+            }
         }
-        
-        validCommands.push(now);
-        return true;
-    }
-
-    async getRemainingTime(userId, windowMs = 60000) {
-        const userKey = `cmd_${userId}`;
-        const userCommands = this.commandLimits.get(userKey) || [];
-        
-        if (userCommands.length === 0) return 0;
-        
-        const oldestCommand = Math.min(...userCommands);
-        const remaining = windowMs - (Date.now() - oldestCommand);
-        
-        return Math.max(0, remaining);
     }
 }
 
-module.exports = new RateLimiter();
+const SCOPE_LABELS = { user: 'for you', chat: 'in this chat', group: 'in this group', global: 'for everyone' };
+
+// Reply text for a limit that was hit
+function describeLimit(limit, command, resetMs) {
+    const wait = formatWait(resetMs);
+    if (limit.kind === 'global') {
+        return `⏱️ Rate limit exceeded: ${limit.max} commands per ${formatWait(limit.windowMs)} per user. Try again in ${wait}.`;
+    }
+    if (limit.kind === 'cooldown') {
+        return `⏱️ *${command}* is on cooldown ${SCOPE_LABELS[limit.scope]}. Try again in ${wait}.`;
+    }
+    return `⏱️ *${command}* is limited to ${limit.max} use${limit.max === 1 ? '' : 's'} per ${formatWait(limit.windowMs)} ${SCOPE_LABELS[limit.scope]}. Resets in ${wait}.`;
+}
+
+function formatWait(ms) {
+    const seconds = Math.max(1, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return seconds % 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds / 60}m`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+}
+
+function checkScope(scope = 'user') {
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`scope must be one of ${SCOPES.join(', ')}, got '${scope}'`);
+    }
+    return scope;
+}
+
+RateLimiter.SCOPES = SCOPES;
+RateLimiter.describeLimit = describeLimit;
+
+// One instance per session so accounts don't share limits
+module.exports = RateLimiter;
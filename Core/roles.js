@@ -0,0 +1,124 @@
+// Who may run what. Roles from lowest to highest; a command's `permissions` names the lowest
+// role that may run it. Owner comes from bot.owner (or the account itself), banned from
+// security.blockedUsers (.ban), admin from the group's admins, and sudo/trusted are granted
+// with .sudo and stored in MongoDB.
+const ROLES = ['banned', 'public', 'trusted', 'admin', 'sudo', 'owner'];
+const GRANTABLE = ['sudo', 'trusted'];
+
+class Roles {
+    constructor(bot) {
+        this.bot = bot;
+        this.collection = null;
+        this.grants = new Map(); // user number -> { role, grantedBy, updatedAt }
+    }
+
+    static get names() {
+        return ROLES;
+    }
+
+    static get grantable() {
+        return GRANTABLE;
+    }
+
+    static isRole(name) {
+        return ROLES.includes(name);
+    }
+
+    static level(role) {
+        return ROLES.indexOf(role);
+    }
+
+    // True when `role` is at least `required`
+    static satisfies(role, required = 'public') {
+        return Roles.level(role) >= Roles.level(required);
+    }
+
+    async initialize(db) {
+        try {
+            this.collection = db.collection(this.bot.collectionName('roles'));
+            const docs = await this.collection.find({}).toArray();
+            for (const doc of docs) {
+                if (GRANTABLE.includes(doc.role)) {
+                    this.grants.set(doc._id, { role: doc.role, grantedBy: doc.grantedBy, updatedAt: doc.updatedAt });
+                }
+            }
+            this.bot.logger.info(`🛡️ Loaded ${this.grants.size} role grants`);
+        } catch (error) {
+            this.bot.logger.error('❌ Failed to load roles:', error);
+        }
+    }
+
+    isOwner(msg) {
+        const participant = msg.key.participant || msg.key.remoteJid;
+        return Boolean(msg.key.fromMe) || toNumber(participant) === toNumber(this.bot.config.get('bot.owner'));
+    }
+
+    // The sender's role in this chat. Group admin status costs a metadata lookup, so it is only
+    // checked when the caller needs to know (`checkAdmin`) and nothing stored already ranks higher.
+    async resolve(msg, { checkAdmin = true } = {}) {
+        const role = this.resolveStored(msg);
+        if (!checkAdmin || Roles.level(role) >= Roles.level('admin') || role === 'banned') return role;
+        return (await this.isGroupAdmin(msg)) ? 'admin' : role;
+    }
+
+    // Everything except group admin status, without any lookups
+    resolveStored(msg) {
+        if (this.isOwner(msg)) return 'owner';
+
+        const participant = msg.key.participant || msg.key.remoteJid;
+        const number = toNumber(participant);
+        const blocked = this.bot.config.get('security.blockedUsers') || [];
+        if (blocked.includes(number)) return 'banned';
+
+        return this.grants.get(number)?.role || 'public';
+    }
+
+    async isGroupAdmin(msg) {
+        const jid = msg.key.remoteJid;
+        if (!jid.endsWith('@g.us') || !msg.key.participant || !this.bot.sock) return false;
+
+        try {
+            return await this.bot.groups.isAdmin(jid, msg.key.participant);
+        } catch (error) {
+            this.bot.logger.debug(`Failed to check admins of ${jid}:`, error);
+            return false;
+        }
+    }
+
+    async grant(number, role, grantedBy) {
+        if (!GRANTABLE.includes(role)) {
+            throw new Error(`Only ${GRANTABLE.join(' and ')} can be granted`);
+        }
+
+        const grant = { role, grantedBy, updatedAt: new Date() };
+        this.grants.set(number, grant);
+        if (this.collection) {
+            await this.collection.updateOne({ _id: number }, { $set: grant }, { upsert: true });
+        }
+        this.bot.logger.info(`🛡️ Granted ${role} to ${number}`);
+    }
+
+    // Returns the role that was removed, or null when the user had none
+    async revoke(number) {
+        const grant = this.grants.get(number);
+        if (!grant) return null;
+
+        this.grants.delete(number);
+        if (this.collection) {
+            await this.collection.deleteOne({ _id: number });
+        }
+        this.bot.logger.info(`🛡️ Revoked ${grant.role} from ${number}`);
+        return grant.role;
+    }
+
+    list() {
+        return [...this.grants.entries()].map(([number, grant]) => ({ number, ...grant }));
+    }
+}
+
+// '1234567890:12@s.whatsapp.net' -> '1234567890'
+function toNumber(jid) {
+    return typeof jid === 'string' ? jid.split(/[:@]/)[0] : '';
+}
+
+module.exports = Roles;
@@ -0,0 +1,83 @@
+const config = require('../config');
+
+// Global config keys that a session profile can override, mapped to the profile field
+const PROFILE_KEYS = {
+    'bot.owner': 'owner',
+    'bot.prefix': 'prefix',
+    'auth.method': 'auth.method',
+    'auth.phoneNumber': 'auth.phoneNumber',
+    'auth.backend': 'auth.backend',
+    'telegram.botToken': 'telegram.botToken',
+    'telegram.chatId': 'telegram.chatId',
+    'telegram.logChannel': 'telegram.logChannel',
+    'telegram.ownerId': 'telegram.ownerId'
+};
+
+function lookup(source, key) {
+    return key.split('.').reduce((o, k) => o && o[k], source);
+}
+
+// Read-through view of the global config for one WhatsApp account
+class SessionConfig {
+    constructor(sessionId) {
+        this.sessionId = sessionId;
+    }
+
+    // Looked up on every access so edits to `sessions` apply without restarting
+    get profile() {
+        return (config.get('sessions') || []).find(p => p.id === this.sessionId) || null;
+    }
+
+    get(key, options = {}) {
+        const field = PROFILE_KEYS[key];
+        const value = field && this.profile ? lookup(this.profile, field) : undefined;
+
+        if (value !== undefined && value !== '') {
+            return options.withSource ? { value, source: 'session' } : value;
+        }
+        return config.get(key, options);
+    }
+
+    set(key, value) {
+        const field = PROFILE_KEYS[key];
+        if (!field || !this.profile) {
+            return config.set(key, value);
+        }
+        this.updateProfile(field, value);
+    }
+
+    // Drops the profile's own value when it has one, otherwise the global override.
+    // Returns the overrides removed, like config.reset().
+    reset(key) {
+        const field = PROFILE_KEYS[key];
+        if (!field || this.get(key, { withSource: true }).source !== 'session') {
+            return config.reset(key);
+        }
+        this.updateProfile(field, undefined);
+        return [`sessions.${this.sessionId}.${field}`];
+    }
+
+    // Write `value` at the dotted `field` of this session's profile; undefined removes it
+    updateProfile(field, value) {
+        const sessions = config.get('sessions').map(profile => {
+            if (profile.id !== this.sessionId) return profile;
+            const updated = JSON.parse(JSON.stringify(profile));
+            const keys = field.split('.');
+            const lastKey = keys.pop();
+            const target = keys.reduce((o, k) => (o[k] = o[k] || {}), updated);
+            if (value === undefined) {
+                delete target[lastKey];
+            } else {
+                target[lastKey] = value;
+            }
+            return updated;
+        });
+        config.set('sessions', sessions);
+    }
+
+    subscribe(pattern, handler) {
+        return config.subscribe(pattern, handler);
+    }
+}
+
+module.exports = SessionConfig;
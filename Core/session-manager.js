@@ -0,0 +1,115 @@
+const config = require('../config');
+const logger = require('./logger');
+const { HyperWaBot } = require('./bot');
+
+// Starts and stops one HyperWaBot per account profile in config `sessions`
+class SessionManager {
+    constructor() {
+        this.sessions = new Map(); // id -> HyperWaBot
+        this.exitHandlers = [];
+        this.exiting = false;
+    }
+
+    // Without profiles the process runs a single 'default' session on the global settings
+    get profiles() {
+        const profiles = config.get('sessions') || [];
+        return profiles.length > 0 ? profiles : [{ id: 'default' }];
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id);
+    }
+
+    get(id) {
+        return this.sessions.get(id);
+    }
+
+    async startAll() {
+        const profiles = this.profiles.filter(profile => profile.enabled !== false);
+        logger.info(`👥 Starting ${profiles.length} session(s): ${profiles.map(p => p.id).join(', ')}`);
+
+        const results = await Promise.allSettled(profiles.map(profile => this.start(profile.id)));
+        const failed = results.filter(result => result.status === 'rejected');
+
+        if (failed.length === profiles.length && failed.length > 0) {
+            throw failed[0].reason;
+        }
+        failed.forEach(result => logger.error('❌ Session failed to start:', result.reason));
+    }
+
+    // Resolves once the session is connected to WhatsApp
+    async start(id) {
+        const profile = this.getProfile(id);
+        if (!profile) {
+            throw new Error(`Unknown session '${id}'. Available: ${this.profiles.map(p => p.id).join(', ')}`);
+        }
+        if (this.sessions.has(id)) {
+            throw new Error(`Session '${id}' is already running`);
+        }
+
+        const bot = new HyperWaBot(profile, this);
+        this.sessions.set(id, bot);
+
+        try {
+            await bot.initialize();
+        } catch (error) {
+            this.sessions.delete(id);
+            if (!bot.isShuttingDown) await bot.shutdown();
+            throw error;
+        }
+        return bot;
+    }
+
+    async stop(id) {
+        const bot = this.sessions.get(id);
+        if (!bot) {
+            throw new Error(`Session '${id}' is not running`);
+        }
+
+        this.sessions.delete(id);
+        await bot.shutdown();
+    }
+
+    list() {
+        return this.profiles.map(profile => {
+            const bot = this.sessions.get(profile.id);
+            return {
+                id: profile.id,
+                enabled: profile.enabled !== false,
+                running: Boolean(bot),
+                state: bot ? bot.connection.state : 'stopped',
+                user: bot?.sock?.user?.id || null
+            };
+        });
+    }
+
+    // Run `handler` during exit(), after every session has stopped
+    onExit(handler) {
+        this.exitHandlers.push(handler);
+    }
+
+    // Shared by signals and .restart: drain and stop all sessions, clean up, then exit
+    async exit(code = 0) {
+        if (this.exiting) return;
+        this.exiting = true;
+
+        await this.shutdown();
+        for (const handler of this.exitHandlers) {
+            try {
+                await handler();
+            } catch (error) {
+                logger.error('Exit handler failed:', error);
+            }
+        }
+        process.exit(code);
+    }
+
+    async shutdown() {
+        // Sessions drain in parallel so the deadline applies once, not per session
+        await Promise.all([...this.sessions.keys()].map(id => this.stop(id).catch(error => {
+            logger.error(`Failed to stop session '${id}':`, error);
+        })));
+    }
+}
+
+module.exports = SessionManager;
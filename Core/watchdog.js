@@ -0,0 +1,172 @@
+const { S_WHATSAPP_NET } = require('@whiskeysockets/baileys');
+const metrics = require('./metrics');
+
+// Notices a socket that reports "open" but has gone silent. While connected it tracks the
+// last inbound Baileys event; after `watchdog.idleMs` of silence it pings WhatsApp, and
+// after `watchdog.maxFailedProbes` unanswered pings (or `watchdog.maxIdleMs` of silence
+// even with answered pings) it posts a diagnostic and forces a reconnect.
+class Watchdog {
+    constructor(bot) {
+        this.bot = bot;
+        this.timer = null;
+        this.state = 'stopped'; // stopped, watching, probing
+        this.lastEventAt = null;
+        this.lastEventType = null;
+        this.lastProbe = null; // { at, ok, latencyMs, error }
+        this.failedProbes = 0;
+        this.restarts = 0;
+
+        bot.connection.on('change', ({ to }) => {
+            if (to === 'open') {
+                this.start();
+            } else {
+                this.stop();
+            }
+        });
+    }
+
+    get enabled() {
+        return this.bot.config.get('watchdog.enabled') !== false;
+    }
+
+    // Attach to a socket's event emitter; called again for every new socket
+    bind(ev) {
+        ev.process(events => this.touch(Object.keys(events)[0]));
+    }
+
+    touch(type) {
+        this.lastEventAt = Date.now();
+        this.lastEventType = type || null;
+        this.failedProbes = 0;
+    }
+
+    start() {
+        this.stop();
+        if (!this.enabled) return;
+
+        this.state = 'watching';
+        this.lastEventAt = Date.now();
+        this.lastEventType = 'connection.open';
+        this.failedProbes = 0;
+
+        const interval = Math.max(1000, Math.min(30000, this.bot.config.get('watchdog.idleMs') / 2));
+        this.timer = setInterval(() => {
+            this.check().catch(error => this.bot.logger.error('❌ Watchdog check failed:', error));
+        }, interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.state = 'stopped';
+    }
+
+    async check() {
+        if (this.state !== 'watching' || !this.bot.sock) return;
+
+        const now = Date.now();
+        const idle = now - this.lastEventAt;
+        const maxIdle = this.bot.config.get('watchdog.maxIdleMs');
+        if (maxIdle > 0 && idle >= maxIdle) {
+            return this.restart(`no inbound events for ${formatDuration(idle)}`);
+        }
+
+        // A recent successful ping counts as activity, so a quiet chat isn't pinged every interval
+        const lastActivity = Math.max(this.lastEventAt, this.lastProbe?.ok ? this.lastProbe.at : 0);
+        if (now - lastActivity < this.bot.config.get('watchdog.idleMs')) return;
+
+        const sock = this.bot.sock;
+        this.state = 'probing';
+        const probe = await this.probe(sock);
+        if (this.state !== 'probing' || sock !== this.bot.sock) return; // reconnected meanwhile
+        this.state = 'watching';
+
+        this.lastProbe = probe;
+        metrics.watchdogProbes.inc({ session: this.bot.sessionId, result: probe.ok ? 'ok' : 'failed' });
+        if (probe.ok) {
+            this.failedProbes = 0;
+            this.bot.logger.debug(`🐶 Watchdog ping answered in ${probe.latencyMs}ms after ${formatDuration(idle)} idle`);
+            return;
+        }
+
+        this.failedProbes++;
+        this.bot.logger.warn(`🐶 Watchdog ping failed (${this.failedProbes}/${this.bot.config.get('watchdog.maxFailedProbes')}): ${probe.error}`);
+        if (this.failedProbes >= this.bot.config.get('watchdog.maxFailedProbes')) {
+            await this.restart(`${this.failedProbes} pings unanswered`);
+        }
+    }
+
+    // Same ping Baileys' keep-alive uses, with our own deadline
+    async probe(sock) {
+        const started = Date.now();
+        const timeoutMs = this.bot.config.get('watchdog.probeTimeoutMs');
+        let timer;
+        try {
+            await Promise.race([
+                sock.query({
+                    tag: 'iq',
+                    attrs: { to: S_WHATSAPP_NET, type: 'get', xmlns: 'w:p' },
+                    content: [{ tag: 'ping', attrs: {} }]
+                }, timeoutMs),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs}ms`)), timeoutMs);
+                })
+            ]);
+            return { at: Date.now(), ok: true, latencyMs: Date.now() - started, error: null };
+        } catch (error) {
+            return { at: Date.now(), ok: false, latencyMs: null, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async restart(reason) {
+        const diagnostic = this.describe();
+        this.restarts++;
+        this.stop();
+        this.bot.logger.warn(`🐶 Watchdog forcing reconnect: ${reason}`);
+
+        if (this.bot.telegramBridge) {
+            await this.bot.telegramBridge.logToTelegram('🐶 Watchdog Reconnect',
+                `Session: ${this.bot.sessionId}\nReason: ${reason}\n${diagnostic}`);
+        }
+        this.bot.scheduleReconnect(`watchdog: ${reason}`, { immediate: true });
+    }
+
+    snapshot() {
+        return {
+            state: this.enabled ? this.state : 'disabled',
+            lastEventAt: this.lastEventAt,
+            lastEventType: this.lastEventType,
+            lastProbe: this.lastProbe,
+            failedProbes: this.failedProbes,
+            restarts: this.restarts
+        };
+    }
+
+    // Multi-line summary for .status and the Telegram diagnostic
+    describe() {
+        const { state, lastEventAt, lastEventType, lastProbe, failedProbes, restarts } = this.snapshot();
+        const lines = [`State: ${state}`];
+        if (lastEventAt) {
+            lines.push(`Last event: ${lastEventType || 'unknown'} ${formatDuration(Date.now() - lastEventAt)} ago`);
+        }
+        if (lastProbe) {
+            lines.push(`Last ping: ${lastProbe.ok ? `ok in ${lastProbe.latencyMs}ms` : `failed (${lastProbe.error})`} ${formatDuration(Date.now() - lastProbe.at)} ago`);
+        }
+        if (failedProbes > 0) lines.push(`Failed pings: ${failedProbes}`);
+        lines.push(`Forced reconnects: ${restarts}`);
+        return lines.join('\n');
+    }
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+}
+
+module.exports = Watchdog;
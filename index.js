@@ -1,6 +1,11 @@
-const { HyperWaBot } = require('./Core/bot');
+const { applyCliFlags } = require('./utils/env');
+applyCliFlags(process.argv.slice(2));
+
+const SessionManager = require('./Core/session-manager');
+const HttpServer = require('./Core/http-server');
 const logger = require('./Core/logger');
 const config = require('./config');
+const { ConfigValidationError } = require('./utils/config-schema');
 global.crypto = require('crypto');
 
 async function main() {
@@ -9,20 +14,21 @@ async function main() {
         logger.info(`🎯 Version: ${config.get('bot.version')}`);
         logger.info(`🏢 Company: ${config.get('bot.company')}`);
         
-        const bot = new HyperWaBot();
-        await bot.initialize();
+        const sessions = new SessionManager();
+        // Started first so /healthz is available while sessions are still logging in
+        const httpServer = new HttpServer(sessions);
+        await httpServer.start();
+        sessions.onExit(() => httpServer.stop());
         
-        // Graceful shutdown handlers
+        // Graceful shutdown handlers; registered before starting since logins can take a while
         process.on('SIGINT', async () => {
             logger.info('🛑 Received SIGINT, shutting down gracefully...');
-            await bot.shutdown();
-            process.exit(0);
+            await sessions.exit(0);
         });
 
         process.on('SIGTERM', async () => {
             logger.info('🛑 Received SIGTERM, shutting down gracefully...');
-            await bot.shutdown();
-            process.exit(0);
+            await sessions.exit(0);
         });
 
         process.on('uncaughtException', (error) => {
@@ -35,8 +41,13 @@ async function main() {
             process.exit(1);
         });
 
+        await sessions.startAll();
     } catch (error) {
-        logger.error('💥 Failed to start HyperWa Userbot:', error);
+        if (error instanceof ConfigValidationError) {
+            logger.error(`💥 ${error.message}`);
+        } else {
+            logger.error('💥 Failed to start HyperWa Userbot:', error);
+        }
         process.exit(1);
     }
 }
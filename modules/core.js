@@ -3,6 +3,9 @@ const config = require('../config');
 const fs = require('fs-extra');
 const path = require('path');
 const helpers = require('../utils/helpers');
+const ChatSettings = require('../Core/chat-settings');
+const Roles = require('../Core/roles');
+const { encryptBundle, decryptBundle } = require('../utils/session-bundle');
 
 class CoreCommands {
     constructor(bot) {
@@ -41,6 +44,7 @@ class CoreCommands {
             {
                 name: 'restart',
                 description: 'Restart the bot (owner only)',
+                aliases: ['reboot'],
                 usage: '.restart',
                 permissions: 'owner',
                 ui: {
@@ -71,6 +75,50 @@ class CoreCommands {
                 },
                 execute: this.toggleMode.bind(this)
             },
+            {
+                name: 'config',
+                description: 'Inspect and edit bot settings (owner only)',
+                usage: '.config get|set|reset|list <key> [value]',
+                permissions: 'owner',
+                ui: {
+                    processingText: '⚙️ *Loading Config...*\n\n⏳ Reading settings...',
+                    errorText: '❌ *Config Command Failed*'
+                },
+                execute: this.configCommand.bind(this)
+            },
+            {
+                name: 'chatset',
+                description: 'Override prefix, mode, autoReact or language for this chat',
+                usage: '.chatset [setting] [value|reset]',
+                permissions: 'owner',
+                ui: {
+                    processingText: '⚙️ *Updating Chat Settings...*\n\n⏳ Please wait...',
+                    errorText: '❌ *Chat Settings Update Failed*'
+                },
+                execute: this.chatSettings.bind(this)
+            },
+            {
+                name: 'sessions',
+                description: 'List, start or stop the WhatsApp accounts run by this process',
+                usage: '.sessions [list|start|stop] <id>',
+                permissions: 'owner',
+                ui: {
+                    processingText: '👥 *Managing Sessions...*\n\n⏳ Please wait...',
+                    errorText: '❌ *Session Command Failed*'
+                },
+                execute: this.sessionsCommand.bind(this)
+            },
+            {
+                name: 'session',
+                description: 'Export this login as an encrypted bundle, or import one (reply to the bundle)',
+                usage: '.session export | .session import [id]',
+                permissions: 'owner',
+                ui: {
+                    processingText: '🔐 *Processing Session Bundle...*\n\n⏳ Please wait...',
+                    errorText: '❌ *Session Bundle Failed*'
+                },
+                execute: this.sessionBundle.bind(this)
+            },
             {
                 name: 'logs',
                 description: 'Send or display bot logs (owner only)',
@@ -85,7 +133,9 @@ class CoreCommands {
             {
                 name: 'ban',
                 description: 'Ban a user from using the bot',
-                usage: '.ban <phone_number>',
+                args: [
+                    { name: 'user', type: 'user', description: 'Phone number or @mention' }
+                ],
                 permissions: 'owner',
                 ui: {
                     processingText: '🚫 *Banning User...*\n\n⏳ Processing ban...',
@@ -96,7 +146,9 @@ class CoreCommands {
             {
                 name: 'unban',
                 description: 'Unban a user',
-                usage: '.unban <phone_number>',
+                args: [
+                    { name: 'user', type: 'user', description: 'Phone number or @mention' }
+                ],
                 permissions: 'owner',
                 ui: {
                     processingText: '✅ *Unbanning User...*\n\n⏳ Processing unban...',
@@ -104,10 +156,28 @@ class CoreCommands {
                 },
                 execute: this.unbanUser.bind(this)
             },
+            {
+                name: 'sudo',
+                description: 'Grant, revoke or list sudo and trusted users',
+                args: [
+                    { name: 'action', optional: true, default: 'list', description: 'add, remove or list' },
+                    { name: 'user', type: 'user', optional: true, description: 'Phone number or @mention' },
+                    { name: 'role', optional: true, default: 'sudo', description: Roles.grantable.join(' or ') }
+                ],
+                permissions: 'owner',
+                ui: {
+                    processingText: '🛡️ *Updating Roles...*\n\n⏳ Please wait...',
+                    errorText: '❌ *Role Update Failed*'
+                },
+                execute: this.sudo.bind(this)
+            },
             {
                 name: 'broadcast',
                 description: 'Send a message to all chats',
-                usage: '.broadcast <message>',
+                aliases: ['bc'],
+                args: [
+                    { name: 'message', rest: true }
+                ],
                 permissions: 'owner',
                 ui: {
                     processingText: '📢 *Broadcasting Message...*\n\n⏳ Sending to all chats...',
@@ -157,7 +227,10 @@ class CoreCommands {
         return `🤖 *${config.get('bot.name')} Status*\n\n` +
                `🆚 Version: ${config.get('bot.version')}\n` +
                `🏢 Company: ${config.get('bot.company')}\n` +
-               `👤 Owner: ${config.get('bot.owner')?.split('@')[0] || 'Not set'}\n` +
+               `🆔 Session: ${this.bot.sessionId}\n` +
+               `👤 Owner: ${this.bot.config.get('bot.owner')?.split('@')[0] || 'Not set'}\n` +
+               `🔌 Connection: ${this.describeConnection()}\n` +
+               `🐶 Watchdog: ${this.bot.watchdog.describe().split('\n').join(', ')}\n` +
                `⏰ Uptime: ${uptime}\n` +
                `📊 Commands Executed: ${totalCommands}\n` +
                `🌐 Mode: ${config.get('features.mode')}\n` +
@@ -165,12 +238,27 @@ class CoreCommands {
                `📞 Contacts Synced: ${this.bot.telegramBridge?.contactMappings.size || 0}`;
     }
 
+    describeConnection() {
+        const { state, since, nextRetryAt, attempt } = this.bot.connection.snapshot();
+        if (state === 'backoff' && nextRetryAt) {
+            return `${state} (attempt ${attempt}, retry in ${Math.max(0, Math.round((nextRetryAt - Date.now()) / 1000))}s)`;
+        }
+        return `${state} since ${new Date(since).toLocaleTimeString()}`;
+    }
+
     async restart(msg, params, context) {
         if (this.bot.telegramBridge) {
             await this.bot.telegramBridge.logToTelegram('🔄 Bot Restart', 'Initiated by owner');
         }
         this.incrementCommandCount('restart');
-        setTimeout(() => process.exit(0), 1000);
+        // Leave time for the reply, then drain and exit like a SIGTERM; the process manager restarts us
+        setTimeout(() => {
+            if (this.bot.manager) {
+                this.bot.manager.exit(0);
+            } else {
+                this.bot.shutdown().finally(() => process.exit(0));
+            }
+        }, 1000);
         return '🔄 *Bot Restarting...*\n\nPlease wait for reconnection...';
     }
 
@@ -187,12 +275,12 @@ class CoreCommands {
 
     async toggleMode(msg, params, context) {
         if (params.length === 0) {
-            return `🌐 *Current Mode*: ${config.get('features.mode')}\n\nUsage: \`.mode [public|private]\``;
+            return `🌐 *Current Mode*: ${config.get('features.mode')}\n\nUsage: \`${context.prefix}mode [public|private]\``;
         }
 
         const mode = params[0].toLowerCase();
         if (mode !== 'public' && mode !== 'private') {
-            return '❌ Invalid mode. Use `.mode public` or `.mode private`.';
+            return `❌ Invalid mode. Use \`${context.prefix}mode public\` or \`${context.prefix}mode private\`.`;
         }
 
         config.set('features.mode', mode);
@@ -205,6 +293,300 @@ class CoreCommands {
         return `✅ *Bot Mode Changed*\n\n🌐 New Mode: ${mode}\n⏰ ${new Date().toLocaleTimeString()}`;
     }
 
+    async configCommand(msg, params, context) {
+        this.incrementCommandCount('config');
+        const reply = await this.runConfigAction(params, context.participant);
+        return reply.replace(/`\.config /g, `\`${context.prefix}config `);
+    }
+
+    // Shared by `.config` and the Telegram `/config` command; returns the reply text. Values are
+    // read as this session sees them, and a key its profile overrides is changed in the profile.
+    async runConfigAction(params, actor) {
+        const [action = 'list', key = ''] = params;
+        const usage = '💡 Usage: `.config get|set|reset|list <key> [value]`';
+        const settings = this.bot.config;
+
+        switch (action.toLowerCase()) {
+            case 'list': {
+                const keys = config.leafKeys(key);
+                if (keys.length === 0) {
+                    return `❌ Unknown config key: \`${key}\``;
+                }
+
+                const lines = keys.map(k => {
+                    const { value, source } = settings.get(k, { withSource: true });
+                    const origin = source === 'default' ? '' : ` _(${source})_`;
+                    return `• \`${k}\`: ${this.formatConfigValue(k, value)}${origin}`;
+                });
+                return `⚙️ *Config${key ? `: ${key}` : ''}*\n\n${lines.join('\n')}`;
+            }
+
+            case 'get': {
+                if (!key) return `❌ Missing key\n\n${usage}`;
+                const { value, source } = settings.get(key, { withSource: true });
+                if (value === undefined) {
+                    return `❌ Unknown config key: \`${key}\``;
+                }
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    return this.runConfigAction(['list', key], actor);
+                }
+                return `⚙️ *Config Value*\n\n🔑 Key: \`${key}\`\n📝 Value: ${this.formatConfigValue(key, value)}\n📍 Source: ${source}\n📦 Default: ${this.formatConfigValue(key, config.getDefault(key))}`;
+            }
+
+            case 'set': {
+                const raw = params.slice(2).join(' ');
+                if (!key || !raw) return `❌ Missing key or value\n\n${usage}`;
+
+                const { value: current, source } = settings.get(key, { withSource: true });
+                if (current !== null && typeof current === 'object' && !Array.isArray(current)) {
+                    return `❌ \`${key}\` is a section, set one of its keys instead.\n\nUse \`.config list ${key}\` to see them.`;
+                }
+                if (current === undefined && config.getDefault(key) === undefined) {
+                    return `❌ Unknown config key: \`${key}\``;
+                }
+                if (config.isSecret(key)) {
+                    return `🔒 \`${key}\` is a secret and can't be set from chat. Use the environment or .env instead.`;
+                }
+
+                let value;
+                try {
+                    value = config.parseValue(key, raw);
+                } catch (error) {
+                    return `❌ Invalid value for \`${key}\`: ${error.message}`;
+                }
+
+                // Only this session's profile changes when it overrides the key; otherwise every session does
+                const scope = source === 'session' ? `session ${this.bot.sessionId}` : 'global';
+                try {
+                    (source === 'session' ? settings : config).set(key, value);
+                } catch (error) {
+                    return `❌ *Invalid Config Value*\n\n${error.message}`;
+                }
+
+                await this.logConfigChange('⚙️ Config Changed', key, current, settings.get(key), actor, scope);
+                return `✅ *Config Updated*\n\n🔑 Key: \`${key}\`\n📝 Old: ${this.formatConfigValue(key, current)}\n✨ New: ${this.formatConfigValue(key, settings.get(key))}\n📍 Scope: ${scope}`;
+            }
+
+            case 'reset': {
+                if (!key) return `❌ Missing key\n\n${usage}`;
+
+                const { value: previous, source } = settings.get(key, { withSource: true });
+                const scope = source === 'session' ? `session ${this.bot.sessionId}` : 'global';
+                const removed = settings.reset(key);
+                if (removed.length === 0) {
+                    return `ℹ️ \`${key}\` has no stored override (source: ${source})`;
+                }
+
+                await this.logConfigChange('♻️ Config Reset', key, previous, settings.get(key), actor, scope);
+                return `♻️ *Config Reset*\n\n🔑 Key: \`${key}\`\n🗑️ Removed overrides: ${removed.length}\n📝 Value: ${this.formatConfigValue(key, settings.get(key))}\n📍 Scope: ${scope}`;
+            }
+
+            default:
+                return `❌ Unknown action: ${action}\n\n${usage}`;
+        }
+    }
+
+    async chatSettings(msg, params, context) {
+        const settings = this.bot.chatSettings;
+        const jid = context.sender;
+        const names = ChatSettings.names;
+        this.incrementCommandCount('chatset');
+
+        if (params.length === 0) {
+            const lines = Object.entries(settings.describe(jid))
+                .map(([name, { value, source }]) => `• \`${name}\`: \`${value}\`${source === 'chat' ? ' _(this chat)_' : ''}`);
+            return `⚙️ *Chat Settings*\n\n${lines.join('\n')}\n\n💡 Usage: \`${context.prefix}chatset <${names.join('|')}> <value|reset>\``;
+        }
+
+        if (params[0].toLowerCase() === 'reset') {
+            await settings.reset(jid);
+            await this.logChatSettingChange(jid, 'all', 'reset', context.participant);
+            return '♻️ *Chat Settings Reset*\n\nThis chat now uses the global settings.';
+        }
+
+        const name = names.find(n => n.toLowerCase() === params[0].toLowerCase());
+        if (!name) {
+            return `❌ Unknown chat setting: ${params[0]}\n\nAvailable: ${names.join(', ')}`;
+        }
+
+        if (params.length === 1) {
+            const { value, source } = settings.describe(jid)[name];
+            return `⚙️ *Chat Setting*\n\n🔑 ${name}: \`${value}\`\n📍 Source: ${source === 'chat' ? 'this chat' : 'global'}`;
+        }
+
+        const raw = params.slice(1).join(' ');
+        if (raw.toLowerCase() === 'reset') {
+            await settings.reset(jid, name);
+            await this.logChatSettingChange(jid, name, 'reset', context.participant);
+            return `♻️ *Chat Setting Reset*\n\n🔑 ${name}: \`${settings.get(jid, name)}\` (global)`;
+        }
+
+        let value;
+        try {
+            value = config.parseValue(ChatSettings.globalKey(name), raw);
+            await settings.set(jid, name, value);
+        } catch (error) {
+            return `❌ Invalid value for ${name}: ${error.message}`;
+        }
+
+        await this.logChatSettingChange(jid, name, value, context.participant);
+        return `✅ *Chat Setting Updated*\n\n🔑 ${name}: \`${value}\`\n💬 Chat: ${jid}`;
+    }
+
+    async sessionsCommand(msg, params, context) {
+        const manager = this.bot.manager;
+        const [action = 'list', id] = params;
+        const usage = `💡 Usage: \`${context.prefix}sessions list|start|stop <id>\``;
+        this.incrementCommandCount('sessions');
+
+        if (!manager) {
+            return '❌ This bot is not running under the session manager';
+        }
+
+        switch (action.toLowerCase()) {
+            case 'list': {
+                const lines = manager.list().map(session => {
+                    const state = session.running
+                        ? `${session.state}${session.user ? ` (+${session.user.split(/[:@]/)[0]})` : ''}`
+                        : (session.enabled ? 'stopped' : 'disabled');
+                    const current = session.id === this.bot.sessionId ? ' _(this)_' : '';
+                    return `${session.running ? '🟢' : '⚪'} \`${session.id}\`${current}: ${state}`;
+                });
+                return `👥 *Sessions*\n\n${lines.join('\n')}\n\n${usage}`;
+            }
+
+            case 'start': {
+                if (!id) return usage;
+                if (!manager.getProfile(id)) return `❌ Unknown session: ${id}`;
+                if (manager.get(id)) return `❌ Session \`${id}\` is already running`;
+
+                // Don't wait for the WhatsApp login; the session announces itself once connected
+                manager.start(id).catch(error => this.bot.logger.error(`❌ Failed to start session '${id}':`, error));
+                await this.logSessionChange('▶️ Session Started', id, context.participant);
+                return `▶️ *Starting Session*\n\n🆔 ${id}\n📱 If it isn't linked yet, scan the QR code from the terminal or its Telegram group.`;
+            }
+
+            case 'stop': {
+                if (!id) return usage;
+                if (id === this.bot.sessionId) return '❌ A session cannot stop itself; run this from another session';
+                try {
+                    await manager.stop(id);
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+                await this.logSessionChange('⏹️ Session Stopped', id, context.participant);
+                return `⏹️ *Session Stopped*\n\n🆔 ${id}`;
+            }
+
+            default:
+                return `❌ Unknown action: ${action}\n\n${usage}`;
+        }
+    }
+
+    // Bundles hold the full login, so they only ever go to the owner's private chats
+    async sessionBundle(msg, params, context) {
+        const [action, id] = params;
+        const usage = `💡 Usage: \`${context.prefix}session export\` or reply to a bundle with \`${context.prefix}session import [id]\``;
+        this.incrementCommandCount('session');
+
+        const passphrase = this.bot.config.get('auth.exportKey');
+        if (!passphrase) {
+            return '❌ Set auth.exportKey (e.g. HYPERWA_AUTH__EXPORT_KEY in .env) to encrypt session bundles';
+        }
+
+        switch ((action || '').toLowerCase()) {
+            case 'export': {
+                const snapshot = await this.bot.auth.readSnapshot();
+                if (!snapshot) return '❌ This session has no saved login to export';
+
+                const bundle = encryptBundle(snapshot, passphrase);
+                const fileName = `hyperwa-${this.bot.sessionId}-${new Date().toISOString().slice(0, 10)}.hwas`;
+                const caption = `🔐 HyperWa session bundle (${this.bot.sessionId}, ${this.bot.auth.name} backend)\n` +
+                    `Reply to it with ${context.prefix}session import to restore. Anyone with this file and auth.exportKey can use this account.`;
+
+                const delivered = [];
+                const owner = this.bot.config.get('bot.owner');
+                if (owner) {
+                    await this.bot.sendMessage(owner, {
+                        document: bundle,
+                        fileName,
+                        mimetype: 'application/octet-stream',
+                        caption
+                    });
+                    delivered.push('WhatsApp owner chat');
+                }
+                if (await this.bot.telegramBridge?.sendOwnerDocument(bundle, fileName, caption)) {
+                    delivered.push('Telegram owner');
+                }
+                if (delivered.length === 0) {
+                    return '❌ Nowhere to send the bundle: set bot.owner or telegram.ownerId';
+                }
+
+                await this.logSessionChange('🔐 Session Exported', this.bot.sessionId, context.participant);
+                return `🔐 *Session Exported*\n\n🆔 ${this.bot.sessionId}\n📦 ${fileName} (${helpers.formatFileSize(bundle.length)})\n📬 Sent to: ${delivered.join(', ')}`;
+            }
+
+            case 'import': {
+                if (context.media.type !== 'document') return `❌ Reply to a session bundle\n\n${usage}`;
+
+                const target = id ? this.bot.manager?.get(id) : this.bot;
+                if (!target) return `❌ Session \`${id}\` is not running; start it first`;
+
+                let snapshot;
+                try {
+                    snapshot = decryptBundle(await context.media.buffer(), passphrase);
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+
+                await this.logSessionChange('🔐 Session Imported', target.sessionId, context.participant);
+
+                if (target === this.bot) {
+                    // Reply before this socket is replaced
+                    setTimeout(() => {
+                        target.restoreAuth(snapshot).catch(error => this.bot.logger.error('❌ Session import failed:', error));
+                    }, 1000);
+                    return `🔐 *Session Imported*\n\n🆔 ${target.sessionId}\n🔄 Reconnecting with the imported login...`;
+                }
+
+                await target.restoreAuth(snapshot);
+                return `🔐 *Session Imported*\n\n🆔 ${target.sessionId}\n🔄 Reconnecting with the imported login...`;
+            }
+
+            default:
+                return usage;
+        }
+    }
+
+    async logSessionChange(title, id, actor) {
+        if (this.bot.telegramBridge) {
+            await this.bot.telegramBridge.logToTelegram(title, `Session: ${id}\nBy: ${actor}`);
+        }
+    }
+
+    async logChatSettingChange(jid, name, value, actor) {
+        if (this.bot.telegramBridge) {
+            await this.bot.telegramBridge.logToTelegram('⚙️ Chat Setting Changed',
+                `Chat: ${jid}\nSetting: ${name}\nValue: ${value}\nBy: ${actor}`);
+        }
+    }
+
+    formatConfigValue(key, value) {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            return `{${Object.keys(value).length} keys}`;
+        }
+        const masked = config.mask(key, value);
+        if (masked === '' || masked === undefined) return '_(empty)_';
+        return `\`${typeof masked === 'string' ? masked : JSON.stringify(masked)}\``;
+    }
+
+    async logConfigChange(title, key, oldValue, newValue, actor, scope) {
+        if (this.bot.telegramBridge) {
+            await this.bot.telegramBridge.logToTelegram(title,
+                `Key: ${key}\nOld: ${JSON.stringify(config.mask(key, oldValue))}\nNew: ${JSON.stringify(config.mask(key, newValue))}\nScope: ${scope}\nBy: ${actor}`);
+        }
+    }
+
     async logs(msg, params, context) {
         const displayMode = params[0]?.toLowerCase() === 'display';
         if (!config.get('logging.saveToFile') && displayMode) {
@@ -269,11 +651,7 @@ class CoreCommands {
     }
 
     async banUser(msg, params, context) {
-        if (params.length === 0) {
-            return '❌ Usage: `.ban <phone_number>`';
-        }
-
-        const phone = params[0].replace('+', '');
+        const phone = context.args.user.split(/[:@]/)[0];
         const blockedUsers = config.get('security.blockedUsers') || [];
         if (blockedUsers.includes(phone)) {
             return `❌ User ${phone} is already banned`;
@@ -291,11 +669,7 @@ class CoreCommands {
     }
 
     async unbanUser(msg, params, context) {
-        if (params.length === 0) {
-            return '❌ Usage: `.unban <phone_number>`';
-        }
-
-        const phone = params[0].replace('+', '');
+        const phone = context.args.user.split(/[:@]/)[0];
         const blockedUsers = config.get('security.blockedUsers') || [];
         if (!blockedUsers.includes(phone)) {
             return `❌ User ${phone} is not banned`;
@@ -311,12 +685,54 @@ class CoreCommands {
         return `✅ *User Unbanned*\n\n📱 Phone: ${phone}\n⏰ ${new Date().toLocaleTimeString()}`;
     }
 
-    async broadcast(msg, params, context) {
-        if (params.length === 0) {
-            return '❌ Usage: `.broadcast <message>`';
+    async sudo(msg, params, context) {
+        const { action, user, role } = context.args;
+        const usage = `💡 Usage: \`${context.prefix}sudo add <user> [${Roles.grantable.join('|')}]\`, \`${context.prefix}sudo remove <user>\`, \`${context.prefix}sudo list\``;
+        this.incrementCommandCount('sudo');
+
+        switch (action.toLowerCase()) {
+            case 'list': {
+                const grants = this.bot.roles.list();
+                if (grants.length === 0) return `🛡️ *Roles*\n\nNo sudo or trusted users yet.\n\n${usage}`;
+
+                const lines = Roles.grantable.map((name) => {
+                    const numbers = grants.filter(grant => grant.role === name).map(grant => `• ${grant.number}`);
+                    return `*${name}* (${numbers.length}):\n${numbers.join('\n') || '• none'}`;
+                });
+                return `🛡️ *Roles*\n\n${lines.join('\n\n')}`;
+            }
+
+            case 'add': {
+                if (!user) return `❌ Missing <user>\n\n${usage}`;
+                if (!Roles.grantable.includes(role)) return `❌ Role must be ${Roles.grantable.join(' or ')}\n\n${usage}`;
+
+                const number = user.split(/[:@]/)[0];
+                await this.bot.roles.grant(number, role, context.participant);
+                if (this.bot.telegramBridge) {
+                    await this.bot.telegramBridge.logToTelegram('🛡️ Role Granted', `Phone: ${number}\nRole: ${role}\nBy: ${context.participant}`);
+                }
+                return `🛡️ *Role Granted*\n\n📱 Phone: ${number}\n🎖️ Role: ${role}`;
+            }
+
+            case 'remove': {
+                if (!user) return `❌ Missing <user>\n\n${usage}`;
+
+                const number = user.split(/[:@]/)[0];
+                const removed = await this.bot.roles.revoke(number);
+                if (!removed) return `❌ ${number} has no sudo or trusted role`;
+                if (this.bot.telegramBridge) {
+                    await this.bot.telegramBridge.logToTelegram('🛡️ Role Revoked', `Phone: ${number}\nRole: ${removed}\nBy: ${context.participant}`);
+                }
+                return `🛡️ *Role Revoked*\n\n📱 Phone: ${number}\n🎖️ Was: ${removed}`;
+            }
+
+            default:
+                return `❌ Unknown action: ${action}\n\n${usage}`;
         }
+    }
 
-        const message = params.join(' ');
+    async broadcast(msg, params, context) {
+        const { message } = context.args;
         const chats = this.bot.telegramBridge?.chatMappings.keys() || [];
         let sentCount = 0;
 
@@ -17,7 +17,10 @@ class ExampleModule {
             {
                 name: 'echo',
                 description: 'Echo back your message',
-                usage: '.echo <message>',
+                args: [
+                    { name: 'message', rest: true },
+                    { name: 'upper', flag: true, alias: 'u', description: 'Echo in upper case' }
+                ],
                 permissions: 'public',
                 ui: {
                     processingText: '🔄 *Processing Echo...*\n\n⏳ Preparing to echo your message...',
@@ -28,8 +31,12 @@ class ExampleModule {
             {
                 name: 'save',
                 description: 'Save data to database',
-                usage: '.save <key> <value>',
+                args: [
+                    { name: 'key', description: 'Quote keys with spaces: "my key"' },
+                    { name: 'value', rest: true }
+                ],
                 permissions: 'public',
+                rateLimit: { max: 5, windowMs: 60000, scope: 'user' },
                 ui: {
                     processingText: '💾 *Saving Data...*\n\n⏳ Writing to database...',
                     errorText: '❌ *Save Failed*'
@@ -39,7 +46,9 @@ class ExampleModule {
             {
                 name: 'get',
                 description: 'Get data from database',
-                usage: '.get <key>',
+                args: [
+                    { name: 'key' }
+                ],
                 permissions: 'public',
                 ui: {
                     processingText: '🔍 *Retrieving Data...*\n\n⏳ Searching database...',
@@ -55,7 +64,7 @@ class ExampleModule {
     async init() {
         try {
             this.db = await connectDb();
-            this.collection = this.db.collection('example_data');
+            this.collection = this.db.collection(this.bot.collectionName('example_data'));
             await this.collection.createIndex({ userId: 1, key: 1 }, { unique: true });
             console.log('✅ Example module initialized with database');
         } catch (error) {
@@ -64,22 +73,14 @@ class ExampleModule {
     }
 
     async echoCommand(msg, params, context) {
-        if (params.length === 0) {
-            return '❌ *Echo Command*\n\nPlease provide a message to echo.\n\n💡 Usage: `.echo <message>`';
-        }
-
-        const message = params.join(' ');
-        return `🔄 *Echo Result*\n\n📝 Original: ${message}\n🔊 Echo: ${message}\n\n✅ Message echoed successfully!`;
+        const { message, upper } = context.args;
+        const echo = upper ? message.toUpperCase() : message;
+        return `🔄 *Echo Result*\n\n📝 Original: ${message}\n🔊 Echo: ${echo}\n\n✅ Message echoed successfully!`;
     }
 
     async saveCommand(msg, params, context) {
-        if (params.length < 2) {
-            return '❌ *Save Command*\n\nPlease provide both key and value.\n\n💡 Usage: `.save <key> <value>`';
-        }
-
         const userId = context.participant.split('@')[0];
-        const key = params[0];
-        const value = params.slice(1).join(' ');
+        const { key, value } = context.args;
 
         try {
             await this.collection.updateOne(
@@ -103,12 +104,8 @@ class ExampleModule {
     }
 
     async getCommand(msg, params, context) {
-        if (params.length === 0) {
-            return '❌ *Get Command*\n\nPlease provide a key to retrieve.\n\n💡 Usage: `.get <key>`';
-        }
-
         const userId = context.participant.split('@')[0];
-        const key = params[0];
+        const { key } = context.args;
 
         try {
             const result = await this.collection.findOne({ userId, key });
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ArgumentError, TYPES, tokenize, parseArgs, validateSchema, formatUsage, describeArgs } = require('../Core/arg-parser');
+
+test('tokenize groups quoted words and keeps apostrophes', () => {
+    assert.deepEqual(tokenize(`say "hello world" it's 'a \\'b\\''`).map(token => token.value), [
+        'say', 'hello world', 'it\'s', 'a \'b\''
+    ]);
+    assert.deepEqual(tokenize('  spaced   out ').map(token => token.value), ['spaced', 'out']);
+});
+
+test('parseArgs converts positionals, flags and rest arguments', () => {
+    const schema = [
+        { name: 'key' },
+        { name: 'value', rest: true },
+        { name: 'upper', flag: true, alias: 'u' },
+        { name: 'ttl', flag: true, type: 'duration' }
+    ];
+
+    assert.deepEqual(parseArgs('greeting  Hello,\nworld', schema), {
+        key: 'greeting', value: 'Hello,\nworld', upper: false, ttl: undefined
+    });
+    assert.deepEqual(parseArgs('-u --ttl=1h30m name "quoted value"', schema), {
+        key: 'name', value: 'quoted value', upper: true, ttl: 5400000
+    });
+    assert.deepEqual(parseArgs('key -- --not-a-flag', schema).value, '--not-a-flag');
+});
+
+test('parseArgs converts typed values', () => {
+    const schema = [
+        { name: 'count', type: 'number' },
+        { name: 'enabled', type: 'boolean' },
+        { name: 'user', type: 'jid' },
+        { name: 'link', type: 'url', optional: true, default: null }
+    ];
+
+    assert.deepEqual(parseArgs('3 yes @1234567890', schema, { mentions: ['1234567890:5@s.whatsapp.net'] }), {
+        count: 3, enabled: true, user: '1234567890:5@s.whatsapp.net', link: null
+    });
+    assert.equal(parseArgs('1 no 1234567890 https://example.com', schema).user, '1234567890@s.whatsapp.net');
+    assert.equal(parseArgs('1 no 120363000000000000@g.us', schema).user, '120363000000000000@g.us');
+});
+
+test('user arguments refuse group JIDs', () => {
+    const schema = [{ name: 'user', type: 'user' }];
+
+    assert.equal(parseArgs('+1234567890', schema).user, '1234567890@s.whatsapp.net');
+    assert.equal(parseArgs('1234567890:5@s.whatsapp.net', schema).user, '1234567890:5@s.whatsapp.net');
+    assert.throws(() => parseArgs('120363000000000000@g.us', schema), {
+        name: 'ArgumentError',
+        message: '<user> must be a phone number, @mention or user JID, got \'120363000000000000@g.us\''
+    });
+});
+
+test('parseArgs reports what is wrong with the input', () => {
+    const schema = [{ name: 'count', type: 'number' }, { name: 'force', flag: true }];
+
+    assert.throws(() => parseArgs('', schema), { name: 'ArgumentError', message: 'Missing <count>' });
+    assert.throws(() => parseArgs('many', schema), { message: '<count> must be a number, got \'many\'' });
+    assert.throws(() => parseArgs('1 2', schema), { message: 'Unexpected argument \'2\'' });
+    assert.throws(() => parseArgs('1 --nope', schema), { message: 'Unknown option --nope' });
+    assert.throws(() => parseArgs('1 --at', [...schema, { name: 'at', flag: true, type: 'duration' }]), { message: '--at needs a value' });
+    assert.throws(() => parseArgs('1 --at=soon', [...schema, { name: 'at', flag: true, type: 'duration' }]), ArgumentError);
+});
+
+test('converters throw errors, and only their ArgumentErrors become usage messages', (t) => {
+    assert.throws(() => TYPES.number('many'), { name: 'ArgumentError', message: 'a number' });
+    assert.throws(() => TYPES.url('ftp://example.com'), { name: 'ArgumentError', message: 'an http(s) URL' });
+
+    t.mock.method(TYPES, 'number', () => { throw new TypeError('broken converter'); });
+    assert.throws(() => parseArgs('1', [{ name: 'count', type: 'number' }]), TypeError);
+});
+
+test('validateSchema catches malformed declarations', () => {
+    assert.deepEqual(validateSchema([{ name: 'a' }, { name: 'b', optional: true }]), []);
+    assert.deepEqual(validateSchema('nope'), ['args must be a list']);
+    assert.deepEqual(validateSchema([{ name: 'a', rest: true }, { name: 'b' }]), ['argument \'a\' is rest but not the last positional']);
+    assert.deepEqual(validateSchema([{ name: 'a', optional: true }, { name: 'b' }]), ['argument \'b\' is required after an optional one']);
+    assert.match(validateSchema([{ name: 'a', type: 'date' }])[0], /unknown type 'date'/);
+    assert.deepEqual(validateSchema([{ name: 'a' }, { name: 'a', flag: true }]), ['argument \'a\' is declared twice']);
+});
+
+test('usage and help lines are generated from the schema', () => {
+    const command = {
+        name: 'save',
+        args: [
+            { name: 'key' },
+            { name: 'value', rest: true, optional: true },
+            { name: 'silent', flag: true, alias: 's', description: 'Do not reply' }
+        ]
+    };
+
+    assert.equal(formatUsage(command, '!'), '!save <key> [value...] [--silent]');
+    assert.deepEqual(describeArgs(command.args), [
+        'key (string)',
+        'value (string, optional)',
+        '--silent, -s (boolean) - Do not reply'
+    ]);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuthBackend, migrateAuthState } = require('../Core/auth-state');
+const tar = require('tar');
+const { useMongoAuthState, readMongoAuthState, migrateArchive } = require('../utils/mongoAuthState');
+const { HyperWaBot } = require('../Core/bot');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Just enough of a MongoDB collection for the auth state, with slow writes
+function createCollection() {
+    const docs = new Map();
+    return {
+        docs,
+        findOne: async ({ _id }) => (docs.has(_id) ? { _id, ...docs.get(_id) } : null),
+        find: () => {
+            const found = [...docs].filter(([, doc]) => doc.type).map(([_id, doc]) => ({ _id, ...doc }));
+            return { toArray: async () => found, [Symbol.asyncIterator]: () => found[Symbol.iterator]() };
+        },
+        deleteOne: async ({ _id }) => docs.delete(_id),
+        bulkWrite: async (operations) => {
+            await delay(20);
+            for (const operation of operations) {
+                if (operation.replaceOne) docs.set(operation.replaceOne.filter._id, operation.replaceOne.replacement);
+                if (operation.deleteOne) docs.delete(operation.deleteOne.filter._id);
+            }
+        }
+    };
+}
+
+test('mongo auth state flush waits for queued writes', async () => {
+    const coll = createCollection();
+    const { state, saveCreds, flush } = await useMongoAuthState(coll);
+
+    saveCreds();
+    state.keys.set({ 'pre-key': { 1: { public: 'a' } } });
+    await flush();
+
+    assert.ok(coll.docs.has('creds'));
+    assert.ok(coll.docs.has('pre-key-1'));
+});
+
+test('json auth state flush waits for the file to be written', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-auth-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const backend = createAuthBackend({ authPath: path.join(dir, 'auth_info'), logger }, 'json');
+    const { state, saveCreds, flush } = await backend.open();
+
+    state.creds.registered = true;
+    saveCreds();
+    await flush();
+
+    assert.equal((await backend.readSnapshot()).creds.registered, true);
+});
+
+test('shutdown waits for pending auth writes before closing the socket', async () => {
+    const bot = new HyperWaBot({ id: 'test-shutdown' });
+    bot.logger = logger;
+    const order = [];
+    bot.sock = { end: () => order.push('socket closed') };
+    bot.flushAuth = async () => {
+        await delay(20);
+        order.push('auth flushed');
+    };
+
+    await bot.shutdown();
+    assert.deepEqual(order, ['auth flushed', 'socket closed']);
+});
+
+test('restoring a login waits for the old state\'s writes before replacing it', async () => {
+    const bot = new HyperWaBot({ id: 'test-restore' });
+    bot.logger = logger;
+    const order = [];
+    bot.sock = { end: () => order.push('socket closed') };
+    bot.flushAuth = async () => {
+        await delay(20);
+        order.push('old writes flushed');
+    };
+    bot.auth = { name: 'test', writeSnapshot: async () => order.push('snapshot written') };
+    bot.scheduleReconnect = () => order.push('reconnect');
+
+    await bot.restoreAuth({ creds: {}, keys: {} });
+    assert.deepEqual(order, ['socket closed', 'old writes flushed', 'snapshot written', 'reconnect']);
+});
+
+test('a migrated login is removed from the old backend so a logout sticks across restarts', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-auth-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const coll = createCollection();
+    const bot = { authPath: path.join(dir, 'auth_info'), logger, db: { collection: () => coll }, collectionName: name => name };
+    fs.mkdirSync(bot.authPath);
+    fs.writeFileSync(path.join(bot.authPath, 'creds.json'), JSON.stringify({ registered: true, me: { id: '123@s.whatsapp.net' } }));
+
+    const target = createAuthBackend(bot, 'json');
+    assert.equal(await migrateAuthState(bot, target), 'file');
+    assert.equal((await target.readSnapshot()).creds.me.id, '123@s.whatsapp.net');
+    assert.equal(fs.existsSync(bot.authPath), false);
+
+    // What the loggedOut handler does, then a restart
+    await target.clear();
+    const restarted = createAuthBackend(bot, 'json');
+    assert.equal(await migrateAuthState(bot, restarted), null);
+    assert.equal(await restarted.hasCreds(), false);
+});
+
+// A tar of an auth_info folder, the way older versions stored the login
+async function createArchive(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-archive-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'auth_info'));
+    fs.writeFileSync(path.join(dir, 'auth_info', 'creds.json'), JSON.stringify({ registered: true, me: { id: '123@s.whatsapp.net' } }));
+    fs.writeFileSync(path.join(dir, 'auth_info', 'pre-key-7.json'), JSON.stringify({ public: 'abc' }));
+    fs.writeFileSync(path.join(dir, 'auth_info', 'session-456.0.json'), JSON.stringify({ open: true }));
+
+    const file = path.join(dir, 'session.tar');
+    await tar.c({ file, cwd: dir }, ['auth_info']);
+    return fs.readFileSync(file);
+}
+
+test('the legacy tar archive is converted to per-key documents', async (t) => {
+    const coll = createCollection();
+    coll.docs.set('session', { archive: { buffer: await createArchive(t) } });
+
+    assert.equal(await migrateArchive(coll), true);
+    assert.equal(coll.docs.has('session'), false);
+
+    const snapshot = await readMongoAuthState(coll);
+    assert.equal(snapshot.creds.me.id, '123@s.whatsapp.net');
+    assert.deepEqual(snapshot.keys['pre-key'], { 7: { public: 'abc' } });
+    assert.deepEqual(snapshot.keys.session, { '456.0': { open: true } });
+
+    assert.equal(await migrateArchive(coll), false);
+});
+
+test('an archive next to per-key documents is dropped, not converted', async (t) => {
+    const coll = createCollection();
+    coll.docs.set('creds', { value: JSON.stringify({ registered: false }) });
+    coll.docs.set('session', { archive: { buffer: await createArchive(t) } });
+
+    assert.equal(await migrateArchive(coll), false);
+    assert.equal(coll.docs.has('session'), false);
+    assert.equal((await readMongoAuthState(coll)).creds.registered, false);
+});
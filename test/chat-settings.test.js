@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChatSettings = require('../Core/chat-settings');
+
+const CHAT = '120363000000000000@g.us';
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const globals = { 'bot.prefix': '.', 'features.mode': 'public', 'features.autoReact': true, 'bot.language': 'en' };
+
+function createBot() {
+    return { logger, config: { get: key => globals[key] }, collectionName: name => `test_${name}` };
+}
+
+// Just enough of a MongoDB collection to see what chat settings store
+function createCollection(initial = []) {
+    const docs = new Map(initial.map(doc => [doc._id, doc]));
+    return {
+        docs,
+        find: () => ({ toArray: async () => [...docs.values()] }),
+        updateOne: async ({ _id }, { $set = {}, $unset = {} }) => {
+            const doc = docs.get(_id) || { _id, settings: {} };
+            for (const [path, value] of Object.entries($set)) {
+                if (path.startsWith('settings.')) doc.settings[path.slice(9)] = value;
+            }
+            for (const path of Object.keys($unset)) {
+                delete doc.settings[path.slice(9)];
+            }
+            docs.set(_id, doc);
+        },
+        deleteOne: async ({ _id }) => docs.delete(_id)
+    };
+}
+
+test('chats fall back to the global value until they override it', async () => {
+    const settings = new ChatSettings(createBot());
+    await settings.set(CHAT, 'mode', 'private');
+
+    assert.equal(settings.get(CHAT, 'mode'), 'private');
+    assert.equal(settings.get('other@g.us', 'mode'), 'public');
+    assert.deepEqual(settings.describe(CHAT).mode, { value: 'private', source: 'chat' });
+    assert.deepEqual(settings.describe(CHAT).autoReact, { value: true, source: 'global' });
+    assert.deepEqual(settings.getAll(CHAT), { prefix: '.', mode: 'private', autoReact: true, language: 'en' });
+});
+
+test('values are validated against the global key\'s rules', async () => {
+    const settings = new ChatSettings(createBot());
+
+    await assert.rejects(settings.set(CHAT, 'mode', 'secret'), /mode must be one of public, private/);
+    await assert.rejects(settings.set(CHAT, 'colour', 'red'), /Unknown chat setting 'colour'. Available: prefix, mode/);
+    assert.deepEqual(settings.describe(CHAT).mode.source, 'global');
+});
+
+test('overrides are stored per chat and survive a restart', async () => {
+    const collection = createCollection();
+    const db = { collection: () => collection };
+
+    const settings = new ChatSettings(createBot());
+    await settings.initialize(db);
+    await settings.set(CHAT, 'autoReact', false);
+    await settings.set(CHAT, 'language', 'de');
+    await settings.reset(CHAT, 'language');
+
+    const restarted = new ChatSettings(createBot());
+    await restarted.initialize(db);
+    assert.equal(restarted.get(CHAT, 'autoReact'), false);
+    assert.equal(restarted.get(CHAT, 'language'), 'en');
+
+    await restarted.reset(CHAT);
+    assert.equal(collection.docs.has(CHAT), false);
+    assert.equal(restarted.get(CHAT, 'autoReact'), true);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigValidationError, validateValue, validateConfig } = require('../utils/config-schema');
+const config = require('../config');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-config-'));
+config.overridesFile = path.join(dir, 'config-overrides.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('validateValue checks type, enum, pattern and bounds', () => {
+    assert.deepEqual(validateValue('logging.level', 'info'), []);
+    assert.deepEqual(validateValue('logging.level', 'loud'), [
+        'must be one of fatal, error, warn, info, debug, trace, silent, got \'loud\''
+    ]);
+    assert.deepEqual(validateValue('logging.maxFiles', '5'), ['must be number, got string \'5\'']);
+    assert.deepEqual(validateValue('logging.maxFiles', 0), ['must be at least 1, got 0']);
+    assert.deepEqual(validateValue('logging.maxFiles', 1.5), ['must be an integer, got 1.5']);
+    assert.deepEqual(validateValue('bot.owner', 'me'), [
+        'must be a WhatsApp JID like 1234567890@s.whatsapp.net, got \'me\''
+    ]);
+    assert.deepEqual(validateValue('bot.name', ''), ['is required']);
+    assert.deepEqual(validateValue('not.in.schema', 42), []);
+});
+
+test('requiredWhen rules look at the key they depend on', () => {
+    assert.deepEqual(validateValue('telegram.botToken', '', key => key === 'telegram.enabled'), [
+        'is required when telegram.enabled is true'
+    ]);
+    assert.deepEqual(validateValue('telegram.botToken', '', () => false), []);
+});
+
+test('session profiles need unique ids and valid overrides', () => {
+    const problems = validateConfig(key => (key === 'sessions'
+        ? [{ id: 'a', authPath: 'x' }, { id: 'a', authPath: 'x' }, { id: 'bad id', owner: 'me' }]
+        : config.get(key)))
+        .filter(problem => problem.key === 'sessions')
+        .map(problem => problem.message);
+
+    assert.deepEqual(problems, [
+        'profile \'a\' is defined more than once',
+        'profile \'a\' shares authPath \'x\' with another profile',
+        'profile \'bad id\' needs an id of letters, digits, _ or - (max 32)',
+        'profile \'bad id\' owner must be a WhatsApp JID like 1234567890@s.whatsapp.net, got \'me\''
+    ]);
+});
+
+test('problems are reported with the layer the bad value came from', (t) => {
+    t.after(() => {
+        delete process.env.HYPERWA_LOGGING__LEVEL;
+        config.load();
+    });
+    process.env.HYPERWA_LOGGING__LEVEL = 'loud';
+    config.load();
+
+    const problem = config.validate().find(p => p.key === 'logging.level');
+    assert.equal(problem.source, 'env');
+
+    const error = new ConfigValidationError([problem]);
+    assert.match(error.message, /^Invalid configuration \(1 problem\):/);
+    assert.match(error.message, /logging\.level: must be one of .* \[from env\]/);
+    assert.match(error.message, /HYPERWA_LOGGING__LEVEL/);
+});
+
+test('set refuses a value that would break the config', () => {
+    assert.throws(() => config.set('logging.maxFiles', 0), ConfigValidationError);
+    assert.equal(config.get('logging.maxFiles'), config.getDefault('logging.maxFiles'));
+    assert.equal(config.isOverridden('logging.maxFiles'), false);
+
+    assert.throws(() => config.update({ logging: { level: 'debug', maxFiles: 'five' } }), ConfigValidationError);
+    assert.equal(config.get('logging.level'), config.getDefault('logging.level'));
+});
+
+test('parseValue coerces text to the type the schema expects', () => {
+    assert.equal(config.parseValue('logging.maxFiles', '3'), 3);
+    assert.equal(config.parseValue('features.autoReact', 'off'), false);
+    assert.deepEqual(config.parseValue('security.allowedDomains', 'a.com,b.com'), ['a.com', 'b.com']);
+    assert.throws(() => config.parseValue('logging.maxFiles', 'three'), /expected a number/);
+});
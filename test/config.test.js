@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseEnvFile, loadEnvFile, readEnvOverrides, envVarName } = require('../utils/env');
+const config = require('../config');
+
+// Keep runtime changes out of the repo's data folder
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-config-'));
+config.overridesFile = path.join(dir, 'config-overrides.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const readOverridesFile = () => JSON.parse(fs.readFileSync(config.overridesFile, 'utf8'));
+
+// Just enough of a MongoDB collection for the override store
+function createCollection(initial = {}) {
+    const docs = new Map(Object.entries(initial));
+    return {
+        docs,
+        find: () => ({ toArray: async () => [...docs].map(([_id, value]) => ({ _id, value })) }),
+        updateOne: async ({ _id }, { $set }) => docs.set(_id, $set.value),
+        deleteOne: async ({ _id }) => docs.delete(_id)
+    };
+}
+
+// Detach the store and drop every override so tests don't see each other's changes
+function resetConfig() {
+    config.collection = null;
+    for (const key of Object.keys(config.getOverrides())) {
+        config.reset(key);
+    }
+}
+
+test('runtime changes are written to the overrides file', (t) => {
+    t.after(resetConfig);
+    config.set('features.mode', 'private');
+    config.update({ features: { autoReact: false } });
+
+    assert.equal(config.get('features.mode'), 'private');
+    assert.equal(config.isOverridden('features'), true);
+    assert.deepEqual(readOverridesFile(), { 'features.mode': 'private', 'features.autoReact': false });
+
+    // A new value for a parent replaces whatever was stored for its children
+    config.set('apis.weather', 'weather-key');
+    config.set('apis', { translate: 'translate-key' });
+    assert.equal(config.get('apis.weather'), undefined);
+    assert.deepEqual(readOverridesFile().apis, { translate: 'translate-key' });
+
+    assert.deepEqual(config.reset('features'), ['features.mode', 'features.autoReact']);
+    assert.equal(config.get('features.mode'), config.getDefault('features.mode'));
+});
+
+test('overrides stored in MongoDB replace the local file once connected', async (t) => {
+    t.after(resetConfig);
+    config.set('apis.translate', 'local');
+    const collection = createCollection({ 'bot.name': 'FromMongo' });
+
+    await config.connectStore({ collection: () => collection });
+    assert.equal(config.get('bot.name'), 'FromMongo');
+    assert.equal(config.get('apis.translate'), config.getDefault('apis.translate'));
+    assert.deepEqual(readOverridesFile(), { 'bot.name': 'FromMongo' });
+
+    config.set('apis.translate', 'remote');
+    config.reset('bot.name');
+    await config.flush();
+    assert.deepEqual(Object.fromEntries(collection.docs), { 'apis.translate': 'remote' });
+});
+
+test('an empty database is seeded from the local file', async (t) => {
+    t.after(resetConfig);
+    config.set('bot.name', 'Seeded');
+    const collection = createCollection();
+
+    await config.connectStore({ collection: () => collection });
+    assert.deepEqual(Object.fromEntries(collection.docs), { 'bot.name': 'Seeded' });
+    assert.equal(config.get('bot.name'), 'Seeded');
+});
+
+test('a failed MongoDB write does not hold up the ones after it', async (t) => {
+    t.after(resetConfig);
+    t.mock.method(console, 'error', () => {});
+    const collection = createCollection();
+    await config.connectStore({ collection: () => collection });
+
+    const updateOne = collection.updateOne;
+    collection.updateOne = async () => {
+        collection.updateOne = updateOne;
+        throw new Error('not primary');
+    };
+    config.set('apis.weather', 'lost');
+    config.set('apis.translate', 'kept');
+    await config.flush();
+
+    assert.deepEqual(Object.fromEntries(collection.docs), { 'apis.translate': 'kept' });
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('.env files support export, quotes and trailing comments', () => {
+    assert.deepEqual(parseEnvFile('# comment\nexport A=1\nB="x\\ny"\nC=plain # note\nD=\'q # kept\'\nnot a line'), {
+        A: '1', B: 'x\ny', C: 'plain', D: 'q # kept'
+    });
+});
+
+test('variables already in the environment win over the .env file', () => {
+    const file = path.join(dir, 'test.env');
+    fs.writeFileSync(file, 'HYPERWA_BOT__NAME=FromFile\nHYPERWA_BOT__LANGUAGE=de\n');
+    const env = { HYPERWA_BOT__NAME: 'FromShell' };
+
+    loadEnvFile(file, env);
+    assert.deepEqual(env, { HYPERWA_BOT__NAME: 'FromShell', HYPERWA_BOT__LANGUAGE: 'de' });
+    assert.deepEqual(loadEnvFile(path.join(dir, 'missing.env'), env), {});
+});
+
+test('environment variables map to config keys with the type of the default', () => {
+    const { overrides, errors } = readEnvOverrides(config.defaultConfig, {
+        HYPERWA_TELEGRAM__BOT_TOKEN: 'abc',
+        HYPERWA_FEATURES__RATE_LIMITING: 'off',
+        HYPERWA_SECURITY__ALLOWED_DOMAINS: 'a.com,b.com',
+        HYPERWA_LOGGING__MAX_FILES: 'many',
+        HYPERWA_ENV_FILE: '/tmp/other.env',
+        PATH: '/usr/bin'
+    });
+
+    assert.deepEqual(overrides, {
+        'telegram.botToken': 'abc',
+        'features.rateLimiting': false,
+        'security.allowedDomains': ['a.com', 'b.com']
+    });
+    assert.deepEqual(errors, [{
+        key: 'logging.maxFiles',
+        message: 'HYPERWA_LOGGING__MAX_FILES expected a number, got \'many\'',
+        source: 'env'
+    }]);
+    assert.equal(envVarName('telegram.botToken'), 'HYPERWA_TELEGRAM__BOT_TOKEN');
+});
+
+test('runtime changes beat the environment, which beats the overrides file', (t) => {
+    t.after(() => {
+        delete process.env.HYPERWA_BOT__NAME;
+        fs.rmSync(config.overridesFile, { force: true });
+        config.load();
+    });
+    fs.writeFileSync(config.overridesFile, JSON.stringify({ 'bot.name': 'FromFile', 'features.mode': 'private' }));
+    process.env.HYPERWA_BOT__NAME = 'FromEnv';
+    config.load();
+
+    assert.deepEqual(config.get('bot.name', { withSource: true }), { value: 'FromEnv', source: 'env' });
+    assert.deepEqual(config.get('features.mode', { withSource: true }), { value: 'private', source: 'file' });
+    assert.equal(config.source('features'), 'file');
+    assert.equal(config.source('bot.company'), 'default');
+
+    config.set('bot.name', 'FromChat');
+    assert.deepEqual(config.get('bot.name', { withSource: true }), { value: 'FromChat', source: 'runtime' });
+    assert.deepEqual(readOverridesFile(), { 'bot.name': 'FromChat', 'features.mode': 'private' });
+
+    assert.deepEqual(config.reset('bot.name'), ['bot.name']);
+    assert.equal(config.get('bot.name'), 'FromEnv');
+});
+
+test('a nested override wins over an override of its parent in the same layer', (t) => {
+    t.after(() => {
+        fs.rmSync(config.overridesFile, { force: true });
+        config.load();
+    });
+    fs.writeFileSync(config.overridesFile, JSON.stringify({
+        'features.mode': 'private',
+        features: { mode: 'public', autoReact: false }
+    }));
+    config.load();
+
+    assert.equal(config.get('features.mode'), 'private');
+    assert.equal(config.get('features.autoReact'), false);
+});
+
+test('changes are announced once, with the old and new value', (t) => {
+    t.after(resetConfig);
+    const changes = [];
+    const unsubscribe = config.subscribe('bot', change => changes.push(change));
+
+    config.set('bot.name', 'Renamed');
+    config.set('bot.name', 'Renamed');
+    unsubscribe();
+    config.set('bot.name', 'Unheard');
+
+    assert.deepEqual(changes, [{ key: 'bot.name', oldValue: 'HyperWa', newValue: 'Renamed', source: 'runtime' }]);
+});
+
+test('subscribers hear about changes to matching keys only', (t) => {
+    t.after(resetConfig);
+    const seen = [];
+    const unsubscribe = config.subscribe('features.*', change => seen.push(`${change.key}=${change.newValue}`));
+    t.after(unsubscribe);
+
+    config.set('features.autoReact', false);
+    config.set('bot.language', 'pt-BR');
+    config.update({ features: { mode: 'private' } });
+
+    assert.deepEqual(seen, ['features.autoReact=false', 'features.mode=private']);
+});
+
+test('a failing subscriber does not stop the others', async (t) => {
+    t.after(resetConfig);
+    t.mock.method(console, 'error', () => {});
+    const seen = [];
+    const unsubscribers = [
+        config.subscribe('bot.name', () => { throw new Error('sync'); }),
+        config.subscribe('bot.name', async () => { throw new Error('async'); }),
+        config.subscribe('bot.name', ({ newValue }) => seen.push(newValue))
+    ];
+    t.after(() => unsubscribers.forEach(unsubscribe => unsubscribe()));
+
+    config.set('bot.name', 'Still heard');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(seen, ['Still heard']);
+    assert.equal(console.error.mock.callCount(), 2);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConnectionState = require('../Core/connection-state');
+
+test('a connection moves through connecting, open and backoff', () => {
+    const connection = new ConnectionState();
+    const changes = [];
+    connection.on('change', change => changes.push(`${change.from}->${change.to}`));
+
+    assert.equal(connection.transition('connecting'), true);
+    assert.equal(connection.transition('open'), true);
+    assert.equal(connection.transition('backoff', { reason: 'closed', attempt: 1, delay: 5000 }), true);
+    assert.equal(connection.transition('connecting'), true);
+    assert.equal(connection.transition('stopped', { reason: 'shutdown' }), true);
+
+    assert.deepEqual(changes, ['stopped->connecting', 'connecting->open', 'open->backoff', 'backoff->connecting', 'connecting->stopped']);
+    assert.equal(connection.reason, 'shutdown');
+    assert.equal(connection.history.length, 5);
+});
+
+test('moving to the current state is a no-op and invalid moves throw', () => {
+    const connection = new ConnectionState();
+    assert.equal(connection.transition('stopped'), false);
+    assert.throws(() => connection.transition('open'), /Invalid connection transition stopped -> open/);
+
+    connection.transition('connecting');
+    connection.transition('open');
+    assert.throws(() => connection.transition('connecting'), /open -> connecting/);
+});
+
+test('backoff records when the next retry is due', () => {
+    const connection = new ConnectionState();
+    connection.transition('connecting');
+    connection.transition('backoff', { attempt: 2, delay: 1000 });
+
+    const snapshot = connection.snapshot();
+    assert.equal(snapshot.state, 'backoff');
+    assert.equal(snapshot.attempt, 2);
+    assert.equal(snapshot.nextRetryAt, connection.since + 1000);
+
+    connection.transition('connecting');
+    assert.equal(connection.snapshot().nextRetryAt, null);
+});
+
+test('waitFor resolves once one of the states is reached', async () => {
+    const connection = new ConnectionState();
+    assert.equal(await connection.waitFor('stopped'), 'stopped');
+
+    const waiting = connection.waitFor('open', 'backoff');
+    connection.transition('connecting');
+    connection.transition('open');
+    assert.equal(await waiting, 'open');
+    assert.equal(connection.listenerCount('change'), 0);
+});
+
+test('history keeps only the latest transitions', () => {
+    const connection = new ConnectionState();
+    connection.maxHistory = 3;
+    connection.transition('connecting');
+    for (let i = 0; i < 3; i++) {
+        connection.transition('backoff', { attempt: i + 1, delay: 10 });
+        connection.transition('connecting');
+    }
+
+    assert.equal(connection.history.length, 3);
+    assert.deepEqual(connection.history.map(change => change.to), ['connecting', 'backoff', 'connecting']);
+});
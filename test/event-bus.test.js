@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const EventBus = require('../Core/event-bus');
+const ConnectionState = require('../Core/connection-state');
+
+const GROUP = '120363000000000000@g.us';
+
+function createBus() {
+    const errors = [];
+    const bot = {
+        logger: { error: (...args) => errors.push(args[0]) },
+        connection: new ConnectionState(),
+        sock: { user: { id: '999@s.whatsapp.net' } }
+    };
+    const bus = new EventBus(bot);
+    const ev = new EventEmitter();
+    bus.bind(ev);
+    return { bot, bus, ev, errors };
+}
+
+// Collects every payload emitted for the given events
+function record(bus, events) {
+    const seen = [];
+    for (const event of events) {
+        bus.on(event, payload => seen.push([event, payload]));
+    }
+    return seen;
+}
+
+test('participant updates become group events', () => {
+    const { bus, ev } = createBus();
+    const seen = record(bus, ['group.join', 'group.promote']);
+
+    ev.emit('group-participants.update', { id: GROUP, author: '111@s.whatsapp.net', participants: ['222@s.whatsapp.net'], action: 'add' });
+    ev.emit('group-participants.update', { id: GROUP, participants: [{ id: '333@s.whatsapp.net' }], action: 'promote' });
+    ev.emit('group-participants.update', { id: GROUP, participants: ['444@s.whatsapp.net'], action: 'modify' });
+
+    assert.deepEqual(seen, [
+        ['group.join', { jid: GROUP, participants: ['222@s.whatsapp.net'], author: '111@s.whatsapp.net' }],
+        ['group.promote', { jid: GROUP, participants: ['333@s.whatsapp.net'], author: null }]
+    ]);
+});
+
+test('protocol messages become revoke and edit events', () => {
+    const { bus, ev } = createBus();
+    const seen = record(bus, ['message.revoke', 'message.edit']);
+    const original = { id: 'ORIGINAL' };
+
+    const revoke = {
+        key: { remoteJid: GROUP, id: 'R', participant: '222@s.whatsapp.net' },
+        message: { protocolMessage: { type: 0, key: original } }
+    };
+    const edit = {
+        key: { remoteJid: GROUP, id: 'E', fromMe: true },
+        message: { protocolMessage: { type: 14, key: original, editedMessage: { conversation: 'fixed typo' } } }
+    };
+    ev.emit('messages.upsert', { type: 'notify', messages: [revoke] });
+    ev.emit('messages.upsert', { type: 'append', messages: [edit, { key: { remoteJid: GROUP, id: 'T' }, message: { conversation: 'hi' } }] });
+
+    assert.equal(seen.length, 2);
+    assert.deepEqual(seen[0][1].key, { id: 'ORIGINAL', remoteJid: GROUP });
+    assert.equal(seen[0][1].by, '222@s.whatsapp.net');
+    assert.equal(seen[0][1].backlog, false);
+    assert.equal(seen[1][0], 'message.edit');
+    assert.equal(seen[1][1].text, 'fixed typo');
+    assert.equal(seen[1][1].by, '999@s.whatsapp.net');
+    assert.equal(seen[1][1].backlog, true);
+});
+
+test('reactions, calls and presence are normalized', () => {
+    const { bus, ev } = createBus();
+    const seen = record(bus, ['reaction', 'call', 'presence']);
+    const key = { remoteJid: GROUP, id: 'M' };
+
+    ev.emit('messages.reaction', [
+        { key, reaction: { text: '👍', key: { remoteJid: GROUP, participant: '222@s.whatsapp.net' } } },
+        { key, reaction: { text: '', key: { remoteJid: '333@s.whatsapp.net' } } }
+    ]);
+    ev.emit('call', [{ id: 'C', from: '222@s.whatsapp.net', status: 'offer', isVideo: true, date: new Date(0) }]);
+    ev.emit('presence.update', { id: GROUP, presences: { '222@s.whatsapp.net': { lastKnownPresence: 'composing', lastSeen: 60 } } });
+
+    assert.deepEqual(seen, [
+        ['reaction', { jid: GROUP, key, emoji: '👍', by: '222@s.whatsapp.net', removed: false }],
+        ['reaction', { jid: GROUP, key, emoji: null, by: '333@s.whatsapp.net', removed: true }],
+        ['call', { id: 'C', from: '222@s.whatsapp.net', status: 'offer', isVideo: true, isGroup: false, at: new Date(0) }],
+        ['presence', { jid: GROUP, participant: '222@s.whatsapp.net', status: 'composing', lastSeen: new Date(60000) }]
+    ]);
+});
+
+test('connection changes are forwarded', () => {
+    const { bot, bus } = createBus();
+    const seen = record(bus, ['connection']);
+
+    bot.connection.transition('connecting');
+    assert.equal(seen[0][1].from, 'stopped');
+    assert.equal(seen[0][1].to, 'connecting');
+});
+
+test('a failing handler is logged and the others still run', async () => {
+    const { bus, errors } = createBus();
+    const seen = [];
+    bus.on('call', () => { throw new Error('boom'); });
+    const off = bus.on('call', payload => seen.push(payload.id));
+
+    await bus.emit('call', { id: 'first' });
+    off();
+    await bus.emit('call', { id: 'second' });
+
+    assert.deepEqual(seen, ['first']);
+    assert.deepEqual(errors, ['❌ Error in call handler:', '❌ Error in call handler:']);
+});
+
+test('unknown event names are refused', () => {
+    const { bus } = createBus();
+    assert.throws(() => bus.on('message.delete', () => {}), /Unknown event 'message.delete'. Available: group.join/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const GroupCache = require('../Core/group-cache');
+const MessageHandler = require('../Core/message-handler');
+
+const GROUP = '120363000000000000@g.us';
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A bot whose socket counts metadata queries
+function createBot(ttlMs = 60000) {
+    const bot = {
+        logger,
+        config: { get: key => (key === 'groupCache.ttlMs' ? ttlMs : undefined) },
+        queries: 0,
+        sock: {
+            user: { id: '999:3@s.whatsapp.net', lid: '777@lid' },
+            groupMetadata: async (jid) => {
+                bot.queries++;
+                return {
+                    id: jid,
+                    subject: 'Test group',
+                    participants: [
+                        { id: '111@s.whatsapp.net', admin: 'superadmin' },
+                        { id: '222@s.whatsapp.net', admin: null },
+                        { id: '999@s.whatsapp.net', admin: 'admin' }
+                    ]
+                };
+            }
+        }
+    };
+    return bot;
+}
+
+test('metadata is fetched once and shared by concurrent callers', async () => {
+    const bot = createBot();
+    const groups = new GroupCache(bot);
+
+    const [first, second] = await Promise.all([groups.get(GROUP), groups.get(GROUP)]);
+    assert.equal(first, second);
+    assert.equal(await groups.isAdmin(GROUP, '111:12@s.whatsapp.net'), true);
+    assert.equal(await groups.isAdmin(GROUP, '222@s.whatsapp.net'), false);
+    assert.equal(await groups.isBotAdmin(GROUP), true);
+    assert.equal(bot.queries, 1);
+});
+
+test('entries are refetched after the ttl and after invalidate', async () => {
+    const bot = createBot(0);
+    const groups = new GroupCache(bot);
+
+    await groups.get(GROUP);
+    assert.equal(groups.peek(GROUP), undefined);
+    await groups.get(GROUP);
+    assert.equal(bot.queries, 2);
+
+    bot.config.get = () => 60000;
+    groups.invalidate(GROUP);
+    await groups.get(GROUP);
+    await groups.get(GROUP);
+    assert.equal(bot.queries, 3);
+});
+
+test('group events patch the cached metadata', async () => {
+    const bot = createBot();
+    const groups = new GroupCache(bot);
+    const ev = new EventEmitter();
+    groups.bind(ev);
+    await groups.get(GROUP);
+
+    ev.emit('groups.update', [{ id: GROUP, subject: 'Renamed' }]);
+    ev.emit('group-participants.update', { id: GROUP, participants: ['333@s.whatsapp.net'], action: 'add' });
+    ev.emit('group-participants.update', { id: GROUP, participants: ['222@s.whatsapp.net'], action: 'promote' });
+    ev.emit('group-participants.update', { id: GROUP, participants: ['111@s.whatsapp.net'], action: 'remove' });
+
+    const metadata = groups.peek(GROUP);
+    assert.equal(metadata.subject, 'Renamed');
+    assert.deepEqual(metadata.participants.map(p => `${p.id.split('@')[0]}:${p.admin}`), ['222:admin', '999:admin', '333:null']);
+    assert.equal(metadata.size, 3);
+    assert.equal(bot.queries, 1);
+});
+
+test('binding a new socket drops what was cached for the old one', async () => {
+    const bot = createBot();
+    const groups = new GroupCache(bot);
+    groups.bind(new EventEmitter());
+    await groups.get(GROUP);
+
+    groups.bind(new EventEmitter());
+    assert.equal(groups.peek(GROUP), undefined);
+});
+
+test('group-admin requirements are checked before a command runs', () => {
+    const handler = new MessageHandler({ logger });
+    const command = { requireGroupAdmin: true, requireBotAdmin: true };
+    const group = { groupMetadata: { id: GROUP }, isGroupAdmin: false, isBotAdmin: true };
+
+    assert.equal(handler.checkGroupRequirements({}, 'public', group, GROUP), null);
+    assert.match(handler.checkGroupRequirements(command, 'owner', group, '111@s.whatsapp.net'), /only works in groups/);
+    assert.match(handler.checkGroupRequirements(command, 'owner', { ...group, groupMetadata: null }, GROUP), /Could not load/);
+    assert.match(handler.checkGroupRequirements(command, 'admin', group, GROUP), /Only group admins/);
+    assert.equal(handler.checkGroupRequirements(command, 'sudo', group, GROUP), null);
+    assert.equal(handler.checkGroupRequirements(command, 'public', { ...group, isGroupAdmin: true }, GROUP), null);
+    assert.match(handler.checkGroupRequirements(command, 'owner', { ...group, isBotAdmin: false }, GROUP), /I need to be a group admin/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../config');
+const HttpServer = require('../Core/http-server');
+const metrics = require('../Core/metrics');
+const ConnectionState = require('../Core/connection-state');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-config-'));
+config.overridesFile = path.join(dir, 'config-overrides.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A session in the given connection state, with or without a polling Telegram bot
+function createSession(id, state, polling = true) {
+    const connection = new ConnectionState();
+    if (state !== 'stopped') connection.transition('connecting');
+    if (state === 'open' || state === 'backoff') connection.transition(state, { attempt: 1, delay: 1000 });
+    return {
+        sessionId: id,
+        connection,
+        sock: { user: { id: `${id}@s.whatsapp.net` } },
+        config: { get: key => key === 'telegram.enabled' },
+        telegramBridge: { telegramBot: { isPolling: () => polling } }
+    };
+}
+
+function createServer(sessions, mongo = { ok: true, latencyMs: 1 }) {
+    const server = new HttpServer({ sessions: new Map(sessions.map(bot => [bot.sessionId, bot])) });
+    server.pingMongo = async () => mongo;
+    return server;
+}
+
+// Runs one request through the handler and returns what would have been sent
+async function request(server, url, method = 'GET') {
+    const response = {};
+    await server.handle({ url, method }, {
+        writeHead: (status, headers) => Object.assign(response, { status, type: headers['Content-Type'] }),
+        end: (body) => { response.body = body; }
+    });
+    return response;
+}
+
+test('healthz is ok when every session is connected and polling', async () => {
+    const server = createServer([createSession('main', 'open')]);
+    const response = await request(server, '/healthz');
+
+    assert.equal(response.status, 200);
+    const health = JSON.parse(response.body);
+    assert.equal(health.status, 'ok');
+    assert.deepEqual(health.sessions, [{ id: 'main', whatsapp: 'open', user: 'main@s.whatsapp.net', telegram: 'polling' }]);
+});
+
+test('healthz reports degraded for a reconnecting session, stopped polling or MongoDB down', async () => {
+    const cases = [
+        createServer([createSession('main', 'open'), createSession('work', 'backoff')]),
+        createServer([createSession('main', 'open', false)]),
+        createServer([createSession('main', 'open')], { ok: false, error: 'ping timed out' }),
+        createServer([])
+    ];
+
+    for (const server of cases) {
+        const response = await request(server, '/healthz?verbose=1');
+        assert.equal(response.status, 503);
+        assert.equal(JSON.parse(response.body).status, 'degraded');
+    }
+});
+
+test('metrics are rendered in the Prometheus text format', async () => {
+    metrics.commandsTotal.inc({ session: 'main', command: 'ping', status: 'success' });
+    metrics.commandsTotal.inc({ session: 'main', command: 'ping', status: 'success' });
+    metrics.commandDuration.observe({ session: 'main', command: 'say "hi"' }, 0.3);
+
+    const response = await request(createServer([]), '/metrics');
+    assert.equal(response.status, 200);
+    assert.match(response.type, /^text\/plain; version=0\.0\.4/);
+    assert.match(response.body, /# TYPE hyperwa_commands_total counter\nhyperwa_commands_total\{session="main",command="ping",status="success"\} 2/);
+    assert.match(response.body, /hyperwa_command_duration_seconds_bucket\{session="main",command="say \\"hi\\"",le="0\.25"\} 0/);
+    assert.match(response.body, /hyperwa_command_duration_seconds_bucket\{session="main",command="say \\"hi\\"",le="0\.5"\} 1/);
+    assert.match(response.body, /hyperwa_command_duration_seconds_count\{session="main",command="say \\"hi\\""\} 1/);
+});
+
+test('session gauges are read at scrape time', async () => {
+    const session = createSession('main', 'open');
+    const server = createServer([session]);
+    server.registerGauges();
+
+    assert.match((await request(server, '/metrics')).body, /hyperwa_connection_state\{session="main",state="open"\} 1/);
+    session.connection.transition('backoff', { attempt: 1, delay: 1000 });
+    const body = (await request(server, '/metrics')).body;
+    assert.match(body, /hyperwa_connection_state\{session="main",state="open"\} 0/);
+    assert.match(body, /hyperwa_connection_state\{session="main",state="backoff"\} 1/);
+});
+
+test('other paths and methods are refused', async () => {
+    const server = createServer([]);
+    assert.equal((await request(server, '/')).status, 404);
+    assert.equal((await request(server, '/healthz', 'POST')).status, 405);
+});
+
+test('the MongoDB ping times out while the connection is still being made', async (t) => {
+    t.after(() => config.reset('mongo.uri'));
+    config.set('mongo.uri', 'mongodb://127.0.0.1:27017');
+    t.mock.method(MongoClient.prototype, 'connect', () => new Promise(() => {}));
+    const server = new HttpServer({ sessions: new Map() });
+    server.mongoPingTimeout = 20;
+
+    assert.deepEqual(await server.pingMongo(), { ok: false, error: 'ping timed out' });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MessageHandler = require('../Core/message-handler');
+const { compileHookFilter } = require('../Core/message-hooks');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const GROUP = '120363000000000000@g.us';
+
+// A handler whose command and bridge steps only record what ran
+function createHandler() {
+    const order = [];
+    const bot = {
+        logger,
+        sessionId: 'test',
+        roles: { resolve: async msg => (msg.key.fromMe ? 'owner' : 'public') },
+        telegramBridge: { syncMessage: async () => order.push('bridge') }
+    };
+    const handler = new MessageHandler(bot);
+    handler.matchCommand = (msg, text) => (text.startsWith('.') ? { prefix: '.', body: text.slice(1) } : null);
+    handler.handleCommand = async () => order.push('command');
+    handler.handleNonCommandMessage = async () => {};
+    return { handler, order };
+}
+
+const groupText = (text, fromMe = false) => ({
+    key: { id: 'A', remoteJid: GROUP, participant: '555@s.whatsapp.net', fromMe },
+    message: { conversation: text }
+});
+
+test('hooks run by priority, all of them before commands', async () => {
+    const { handler, order } = createHandler();
+    handler.registerMessageHook('late', async () => { order.push('late'); });
+    handler.registerMessageHook('high', async () => { order.push('high'); }, { priority: 10 });
+    handler.registerMessageHook('low', async () => { order.push('low'); }, { priority: 1 });
+
+    await handler.processMessage(groupText('.ping'));
+    assert.deepEqual(order, ['high', 'low', 'late', 'command', 'bridge']);
+});
+
+test('a hook returning stop skips the command and the bridge', async () => {
+    const { handler, order } = createHandler();
+    handler.registerMessageHook('antispam', async () => 'stop', { priority: 100, filter: { text: /https?:\/\// } });
+    handler.registerMessageHook('late', async () => { order.push('late'); });
+
+    await handler.processMessage(groupText('.ping http://spam'));
+    assert.deepEqual(order, []);
+
+    await handler.processMessage(groupText('.ping'));
+    assert.deepEqual(order, ['late', 'command', 'bridge']);
+});
+
+test('a default priority hook returning stop blocks the command', async () => {
+    const { handler, order } = createHandler();
+    handler.registerMessageHook('muted', async () => 'stop', { filter: { fromMe: false } });
+
+    await handler.processMessage(groupText('.ping'));
+    assert.deepEqual(order, []);
+
+    await handler.processMessage(groupText('.ping', true));
+    assert.deepEqual(order, ['command', 'bridge']);
+});
+
+test('filters match chat, type, role and fromMe', async () => {
+    const { handler } = createHandler();
+    const seen = [];
+    handler.registerMessageHook('groups', async (msg, text, { role }) => { seen.push(`${text}:${role}`); }, {
+        filter: { chat: 'group', type: 'text', role: ['public'], fromMe: false }
+    });
+
+    await handler.processMessage(groupText('hello'));
+    await handler.processMessage(groupText('mine', true));
+    await handler.processMessage({ key: { id: 'B', remoteJid: '555@s.whatsapp.net' }, message: { conversation: 'dm' } });
+    await handler.processMessage({ key: { id: 'C', remoteJid: GROUP, participant: '555@s.whatsapp.net' }, message: { imageMessage: { caption: 'pic' } } });
+
+    assert.deepEqual(seen, ['hello:public']);
+});
+
+test('invalid filters are refused', () => {
+    assert.throws(() => compileHookFilter({ chat: 'dm' }), /filter.chat/);
+    assert.throws(() => compileHookFilter({ type: 'gif' }), /filter.type/);
+    assert.throws(() => compileHookFilter({ role: 'god' }), /filter.role/);
+    assert.throws(() => compileHookFilter({ fromMe: 'yes' }), /filter.fromMe/);
+    assert.throws(() => compileHookFilter({ sender: '123' }), /unknown filter sender/);
+});
+
+test('unregistering with an owner keeps other modules\' hooks', () => {
+    const { handler } = createHandler();
+    handler.registerMessageHook('all', async () => {}, { owner: 'a' });
+    handler.registerMessageHook('all', async () => {}, { owner: 'b' });
+
+    handler.unregisterMessageHook('all', 'a');
+    assert.deepEqual(handler.messageHooks.map(hook => hook.owner), ['b']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MessageHandler = require('../Core/message-handler');
+const Roles = require('../Core/roles');
+const { unwrapMessage, getMedia, getText, getQuoted, createMediaHelpers } = require('../Core/message-media');
+
+const GROUP = '120363000000000000@g.us';
+
+test('wrapped messages are unwrapped to their content', () => {
+    const image = { imageMessage: { caption: '.sticker' } };
+    assert.equal(unwrapMessage({ ephemeralMessage: { message: { viewOnceMessageV2: { message: image } } } }), image);
+    assert.equal(getText({ documentWithCaptionMessage: { message: { documentMessage: { caption: '.convert pdf' } } } }), '.convert pdf');
+    assert.equal(getText({ extendedTextMessage: { text: '.ping' } }), '.ping');
+    assert.equal(getText(null), '');
+});
+
+test('the quoted message is resolved from the reply context', () => {
+    const msg = {
+        key: { remoteJid: GROUP, id: 'REPLY', participant: '111@s.whatsapp.net' },
+        message: {
+            extendedTextMessage: {
+                text: '.sticker',
+                contextInfo: {
+                    stanzaId: 'ORIGINAL',
+                    participant: '222@s.whatsapp.net',
+                    quotedMessage: { viewOnceMessage: { message: { imageMessage: { caption: 'look' } } } }
+                }
+            }
+        }
+    };
+
+    const quoted = getQuoted(msg);
+    assert.deepEqual(quoted.key, { remoteJid: GROUP, id: 'ORIGINAL', participant: '222@s.whatsapp.net' });
+    assert.equal(quoted.type, 'imageMessage');
+    assert.equal(quoted.sender, '222@s.whatsapp.net');
+    assert.equal(quoted.text, 'look');
+    assert.equal(getQuoted({ key: msg.key, message: { conversation: 'no reply' } }), null);
+});
+
+test('media helpers prefer the command\'s own media over the quoted one', () => {
+    const own = { key: { remoteJid: GROUP }, message: { videoMessage: { caption: '.gif' } } };
+    const quoted = { message: { documentMessage: { fileName: 'report.pdf' } } };
+
+    const fromMessage = createMediaHelpers(own, quoted);
+    assert.equal(fromMessage.type, 'video');
+    assert.equal(fromMessage.source, 'message');
+
+    const fromQuoted = createMediaHelpers({ key: { remoteJid: GROUP }, message: { conversation: '.convert' } }, quoted);
+    assert.equal(fromQuoted.type, 'document');
+    assert.equal(fromQuoted.source, 'quoted');
+    assert.equal(fromQuoted.fileName, 'report.pdf');
+    assert.equal(getMedia(quoted.message).content, quoted.message.documentMessage);
+});
+
+test('without media the download helpers reject', async () => {
+    const helpers = createMediaHelpers({ key: { remoteJid: GROUP }, message: { conversation: '.sticker' } }, null);
+
+    assert.equal(helpers.type, null);
+    assert.equal(helpers.source, null);
+    await assert.rejects(helpers.buffer(), /No media attached or quoted/);
+    await assert.rejects(helpers.stream(), /No media attached or quoted/);
+});
+
+test('a command in an image caption runs with the image and the message it replies to', async () => {
+    const bot = {
+        logger: { debug() {}, info() {}, warn() {}, error() {} },
+        sessionId: 'test',
+        sock: { sendMessage: async () => {} },
+        config: { get: () => undefined },
+        chatSettings: { get: (jid, key) => (key === 'prefix' ? ['.'] : false), getAll: () => ({}) },
+        inFlight: { track: async (kind, fn) => fn() },
+        sendMessage: async () => {}
+    };
+    bot.roles = new Roles(bot);
+    const handler = new MessageHandler(bot);
+    let context = null;
+    handler.registerCommandHandler('sticker', { name: 'sticker', execute: async (msg, params, ctx) => { context = ctx; } });
+
+    const msg = {
+        key: { remoteJid: '111@s.whatsapp.net', id: 'X' },
+        message: {
+            imageMessage: {
+                caption: '.sticker',
+                contextInfo: { stanzaId: 'Q', quotedMessage: { conversation: 'earlier' } }
+            }
+        }
+    };
+    await handler.processMessage(msg);
+
+    assert.equal(context.media.type, 'image');
+    assert.equal(context.media.source, 'message');
+    assert.equal(context.quoted.text, 'earlier');
+    assert.equal(context.quoted.key.id, 'Q');
+});
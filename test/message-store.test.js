@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const MessageStore = require('../Core/message-store');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-config-'));
+config.overridesFile = path.join(dir, 'config-overrides.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const CHAT = '111@s.whatsapp.net';
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const bot = { logger, collectionName: name => `test_${name}` };
+
+const message = (id, text, messageTimestamp = 1700000000, remoteJid = CHAT) => ({
+    key: { remoteJid, id, fromMe: false },
+    message: { conversation: text },
+    messageTimestamp
+});
+
+// Just enough of a MongoDB collection for the store
+function createCollection() {
+    const docs = new Map();
+    const collection = {
+        docs,
+        writes: 0,
+        createIndex: async () => {},
+        findOne: async ({ _id }) => docs.get(_id) || null,
+        bulkWrite: async (operations) => {
+            collection.writes++;
+            for (const { updateOne: { filter, update } } of operations) {
+                docs.set(filter._id, { _id: filter._id, ...update.$set });
+            }
+        },
+        find: ({ jid }) => {
+            let found = [...docs.values()].filter(doc => doc.jid === jid);
+            const cursor = {
+                sort: () => {
+                    found = found.sort((a, b) => b.timestamp - a.timestamp);
+                    return cursor;
+                },
+                limit: (count) => {
+                    found = found.slice(0, count);
+                    return cursor;
+                },
+                toArray: async () => found
+            };
+            return cursor;
+        }
+    };
+    return collection;
+}
+
+test('messages are kept and updated in memory', async () => {
+    const store = new MessageStore(bot);
+    store.upsert(message('A', 'hello'));
+    store.update({ remoteJid: CHAT, id: 'A' }, { status: 4 });
+    store.update({ remoteJid: CHAT, id: 'missing' }, { status: 4 });
+
+    const stored = await store.getMessage({ remoteJid: CHAT, id: 'A' });
+    assert.equal(stored.message.conversation, 'hello');
+    assert.equal(stored.status, 4);
+    assert.equal(await store.getMessage({ remoteJid: CHAT, id: 'missing' }), undefined);
+    assert.equal(store.messages.size, 1);
+});
+
+test('the least recently used message is dropped first', async (t) => {
+    t.after(() => config.reset('store.maxMessages'));
+    config.set('store.maxMessages', 100);
+    const store = new MessageStore(bot);
+
+    for (let i = 0; i < 100; i++) {
+        store.upsert(message(`M${i}`, `message ${i}`));
+    }
+    await store.getMessage({ remoteJid: CHAT, id: 'M0' });
+    store.upsert(message('M100', 'one too many'));
+
+    assert.equal(store.messages.size, 100);
+    assert.ok(await store.getMessage({ remoteJid: CHAT, id: 'M0' }));
+    assert.equal(await store.getMessage({ remoteJid: CHAT, id: 'M1' }), undefined);
+});
+
+test('queued messages are written in one batch and read back after a restart', async () => {
+    const collection = createCollection();
+    const db = { collection: () => collection };
+
+    const store = new MessageStore(bot);
+    await store.initialize(db);
+    store.upsert(message('A', 'first', 1700000001));
+    store.upsert(message('B', 'second', 1700000002));
+    store.upsert(message('C', 'elsewhere', 1700000003, '222@s.whatsapp.net'));
+    await store.flush();
+    assert.equal(collection.writes, 1);
+    assert.equal(collection.docs.size, 3);
+
+    const restarted = new MessageStore(bot);
+    await restarted.initialize(db);
+    const loaded = await restarted.getMessage({ remoteJid: CHAT, id: 'B' });
+    assert.equal(loaded.message.conversation, 'second');
+    assert.equal(restarted.messages.size, 1);
+
+    const recent = await restarted.recent(CHAT);
+    assert.deepEqual(recent.map(msg => msg.key.id), ['A', 'B']);
+});
+
+test('recent messages come from memory without MongoDB', async () => {
+    const store = new MessageStore(bot);
+    store.upsert(message('late', 'c', 30));
+    store.upsert(message('early', 'a', 10));
+    store.upsert(message('middle', 'b', 20));
+    store.upsert(message('other', 'x', 15, '222@s.whatsapp.net'));
+
+    assert.deepEqual((await store.recent(CHAT, 2)).map(msg => msg.key.id), ['middle', 'late']);
+});
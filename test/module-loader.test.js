@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageHandler = require('../Core/message-handler');
+const ModuleLoader = require('../Core/module-loader');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createLoader() {
+    const bot = { logger, config: { get: () => undefined } };
+    bot.messageHandler = new MessageHandler(bot);
+    bot.moduleLoader = new ModuleLoader(bot);
+    return bot;
+}
+
+function writeModule(dir, version) {
+    const file = path.join(dir, 'sample.js');
+    fs.writeFileSync(file, `
+class Sample {
+    constructor(bot) {
+        this.name = 'sample';
+        this.version = ${version};
+        this.commands = [
+            { name: 'ping${version}', aliases: ['p${version}'], description: 'Ping', usage: '.ping', execute: async () => {} }
+        ];
+        this.messageHooks = { all: async () => {} };
+    }
+}
+module.exports = Sample;
+`);
+    return file;
+}
+
+test('loading an already loaded module replaces it', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-modules-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const bot = createLoader();
+    const loader = bot.moduleLoader;
+    const handler = bot.messageHandler;
+
+    await loader.loadModule(writeModule(dir, 1), false);
+    await loader.loadModule(writeModule(dir, 2), false);
+
+    assert.equal(loader.getModule('sample').version, 2);
+    assert.equal(loader.customModulesCount, 1);
+    assert.equal(handler.commandHandlers.has('ping1'), false);
+    assert.equal(handler.commandAliases.has('p1'), false);
+    assert.equal(handler.commandHandlers.has('ping2'), true);
+    assert.equal(handler.messageHooks.length, 1);
+
+    await loader.unloadModule('sample');
+    assert.equal(handler.commandHandlers.has('ping2'), false);
+    assert.equal(handler.commandAliases.has('p2'), false);
+    assert.equal(handler.messageHooks.length, 0);
+    assert.equal(loader.customModulesCount, 0);
+});
+
+test('reloading keeps the module counters stable', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-modules-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { moduleLoader: loader } = createLoader();
+
+    await loader.loadModule(writeModule(dir, 1), false);
+    await loader.reloadModule('sample');
+
+    assert.equal(loader.customModulesCount, 1);
+    assert.deepEqual(loader.listModules(), ['sample']);
+});
+
+test('unloading removes only the module\'s own message hooks', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-modules-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { moduleLoader: loader, messageHandler: handler } = createLoader();
+    handler.registerMessageHook('all', async () => {}, { owner: 'other' });
+
+    await loader.loadModule(writeModule(dir, 1), false);
+    await loader.unloadModule('sample');
+
+    assert.deepEqual(handler.messageHooks.map(hook => hook.owner), ['other']);
+});
+
+test('help and usage hints use the prefix of the chat', async () => {
+    const bot = createLoader();
+    const replies = [];
+    bot.chatSettings = { get: () => ['!'] };
+    bot.sendMessage = async (jid, content) => replies.push(content.text);
+    const loader = bot.moduleLoader;
+    loader.setupHelpSystem();
+    const context = { bot, sender: '123@s.whatsapp.net', prefix: '!' };
+
+    await bot.messageHandler.commandHandlers.get('help').execute({}, [], context);
+    await bot.messageHandler.commandHandlers.get('ulm').execute({}, [], context);
+    await bot.messageHandler.commandHandlers.get('rlm').execute({}, [], context);
+
+    for (const text of replies) {
+        assert.doesNotMatch(text, /`\.\w/);
+    }
+    assert.match(replies[0], /`!lm`, `!ulm`, `!rlm`, `!modules`/);
+    assert.match(replies[1], /`!ulm <module_name>`/);
+    assert.match(replies[2], /`!rlm <module_name>`/);
+    assert.equal(loader.usageFor({ name: 'lm', usage: '.lm (reply to a .js file)' }, '!'), '!lm (reply to a .js file)');
+});
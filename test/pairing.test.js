@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCliFlags } = require('../utils/env');
+const { HyperWaBot } = require('../Core/bot');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+test('login flags become environment overrides', () => {
+    const env = {};
+    applyCliFlags(['--pairing', '+1 415', '--verbose'], env);
+    assert.deepEqual(env, { HYPERWA_AUTH__METHOD: 'pairing' });
+
+    applyCliFlags(['--pairing=+1 (415) 555-0123'], env);
+    assert.equal(env.HYPERWA_AUTH__PHONE_NUMBER, '14155550123');
+
+    applyCliFlags(['--qr', '--phone', '+447700900123'], env);
+    assert.deepEqual(env, { HYPERWA_AUTH__METHOD: 'qr', HYPERWA_AUTH__PHONE_NUMBER: '447700900123' });
+});
+
+// A bot whose socket hands out pairing codes in the order given
+function createBot(t, codes) {
+    const bot = new HyperWaBot({ id: 'test-pairing' });
+    bot.logger = logger;
+    bot.requested = [];
+    bot.sock = {
+        authState: { creds: { registered: false } },
+        requestPairingCode: async (number) => {
+            bot.requested.push(number);
+            return codes.shift();
+        }
+    };
+    t.after(() => bot.clearPairingTimer());
+    return bot;
+}
+
+test('a pairing code is formatted and sent to Telegram', async (t) => {
+    const bot = createBot(t, ['ABCD1234']);
+    const sent = [];
+    bot.telegramBridge = { sendPairingCode: async (...args) => sent.push(args) };
+
+    assert.equal(await bot.requestPairingCode('+1 (415) 555-0123'), 'ABCD-1234');
+    assert.deepEqual(bot.requested, ['14155550123']);
+    assert.deepEqual(bot.pairing, { phoneNumber: '14155550123', code: 'ABCD-1234' });
+    assert.deepEqual(sent, [['ABCD-1234', '14155550123', bot.pairingCodeTtl]]);
+});
+
+test('pairing refuses bad numbers and linked sessions', async (t) => {
+    const bot = createBot(t, []);
+    await assert.rejects(bot.requestPairingCode('12345'), /7-15 digits/);
+
+    bot.sock.authState.creds.registered = true;
+    await assert.rejects(bot.requestPairingCode('14155550123'), /already linked/);
+
+    bot.sock = null;
+    await assert.rejects(bot.requestPairingCode('14155550123'), /socket is not running/);
+});
+
+test('an expired code is replaced until the session is linked', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const bot = createBot(t, ['AAAA1111', 'BBBB2222', 'CCCC3333']);
+
+    await bot.requestPairingCode('14155550123');
+    t.mock.timers.tick(bot.pairingCodeTtl);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(bot.pairing.code, 'BBBB-2222');
+
+    bot.sock.authState.creds.registered = true;
+    t.mock.timers.tick(bot.pairingCodeTtl);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(bot.requested.length, 2);
+    assert.equal(bot.pairingTimer, null);
+});
+
+test('without a number the login prompt is sent only once', async (t) => {
+    const bot = createBot(t, []);
+    const notices = [];
+    bot.config = { get: () => '' };
+    bot.telegramBridge = { sendLoginNotice: async text => notices.push(text) };
+
+    await bot.handlePairingLogin();
+    await bot.handlePairingLogin();
+    assert.equal(notices.length, 1);
+    assert.match(notices[0], /\/login <number>/);
+    assert.deepEqual(bot.requested, []);
+});
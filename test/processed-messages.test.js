@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProcessedMessages = require('../Core/processed-messages');
+const MessageHandler = require('../Core/message-handler');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const bot = {
+    logger,
+    config: { get: key => (key === 'catchUp.dedupeDays' ? 3 : undefined) },
+    collectionName: name => `test_${name}`
+};
+const key = (id, remoteJid = '123@s.whatsapp.net') => ({ remoteJid, id });
+
+// A collection that rejects duplicate ids like MongoDB's unique _id index
+function createCollection() {
+    const ids = new Set();
+    const indexes = [];
+    return {
+        ids,
+        indexes,
+        createIndex: async (spec, options) => { indexes.push({ spec, options }); },
+        insertOne: async ({ _id }) => {
+            if (ids.has(_id)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            ids.add(_id);
+        }
+    };
+}
+
+test('a message is claimed once per chat', async () => {
+    const processed = new ProcessedMessages(bot);
+
+    assert.equal(await processed.claim(key('A')), true);
+    assert.equal(await processed.claim(key('A')), false);
+    assert.equal(await processed.claim(key('A', '120363@g.us')), true);
+    assert.equal(await processed.claim({ id: 'no-chat' }), true);
+    assert.equal(await processed.claim({ id: 'no-chat' }), true);
+});
+
+test('only the most recent ids are kept in memory', async () => {
+    const processed = new ProcessedMessages(bot);
+    processed.maxRecent = 2;
+
+    await processed.claim(key('A'));
+    await processed.claim(key('B'));
+    await processed.claim(key('C'));
+
+    assert.deepEqual([...processed.recent], ['123@s.whatsapp.net|B', '123@s.whatsapp.net|C']);
+    assert.equal(await processed.claim(key('A')), true);
+});
+
+test('ids handled before a restart are recognized from MongoDB', async () => {
+    const collection = createCollection();
+    const db = { collection: () => collection };
+
+    const before = new ProcessedMessages(bot);
+    await before.initialize(db);
+    assert.equal(await before.claim(key('A')), true);
+
+    const after = new ProcessedMessages(bot);
+    await after.initialize(db);
+    assert.equal(await after.claim(key('A')), false);
+    assert.equal(await after.claim(key('B')), true);
+    assert.deepEqual(collection.indexes[0].options, { expireAfterSeconds: 3 * 24 * 60 * 60 });
+});
+
+test('a failed write lets the message through rather than dropping it', async () => {
+    const processed = new ProcessedMessages(bot);
+    processed.collection = { insertOne: async () => { throw new Error('network'); } };
+
+    assert.equal(await processed.claim(key('A')), true);
+    assert.equal(await processed.claim(key('A')), false);
+});
+
+test('redelivered messages are handled once and the backlog oldest first', async () => {
+    const settings = { 'catchUp.enabled': true, 'catchUp.commandMaxAgeSec': 0 };
+    const handlerBot = { logger, config: { get: name => settings[name] } };
+    handlerBot.processed = new ProcessedMessages(handlerBot);
+    const handler = new MessageHandler(handlerBot);
+    const seen = [];
+    handler.processMessage = async (msg, options = {}) => seen.push(`${msg.key.id}${options.backlog ? ' (backlog)' : ''}`);
+    const message = (id, messageTimestamp) => ({ key: key(id), messageTimestamp });
+
+    await handler.handleMessages({ type: 'notify', messages: [message('A', 100)] });
+    await handler.handleMessages({ type: 'append', messages: [message('C', 300), message('A', 100), message('B', 200)] });
+
+    assert.deepEqual(seen, ['A', 'B (backlog)', 'C (backlog)']);
+});
+
+test('offline commands only run while younger than catchUp.commandMaxAgeSec', () => {
+    const settings = { 'catchUp.commandMaxAgeSec': 60 };
+    const handler = new MessageHandler({ logger, config: { get: name => settings[name] } });
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.equal(handler.shouldRunBacklogCommand({ messageTimestamp: now - 30 }), true);
+    assert.equal(handler.shouldRunBacklogCommand({ messageTimestamp: now - 120 }), false);
+
+    settings['catchUp.commandMaxAgeSec'] = 0;
+    assert.equal(handler.shouldRunBacklogCommand({ messageTimestamp: now }), false);
+});
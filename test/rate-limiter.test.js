@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateLimiter = require('../Core/rate-limiter');
+const Roles = require('../Core/roles');
+const MessageHandler = require('../Core/message-handler');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+test('limitsFor reads cooldown and rateLimit declarations', () => {
+    assert.deepEqual(RateLimiter.limitsFor({}), []);
+    assert.deepEqual(RateLimiter.limitsFor({ cooldown: 5000 }), [{ kind: 'cooldown', max: 1, windowMs: 5000, scope: 'user' }]);
+    assert.deepEqual(RateLimiter.limitsFor({ rateLimit: { max: 3, windowMs: 60000, scope: 'group' } }), [
+        { kind: 'rateLimit', max: 3, windowMs: 60000, scope: 'group' }
+    ]);
+    assert.throws(() => RateLimiter.limitsFor({ cooldown: -1 }));
+    assert.throws(() => RateLimiter.limitsFor({ cooldown: { ms: 1000, scope: 'planet' } }));
+    assert.throws(() => RateLimiter.limitsFor({ rateLimit: { max: 1.5, windowMs: 1000 } }));
+});
+
+test('scopeKey separates users, chats and groups', () => {
+    const dm = { chat: '123@s.whatsapp.net', user: '123' };
+    const group = { chat: '120363@g.us', user: '123' };
+    assert.equal(RateLimiter.scopeKey('user', group), 'user:123');
+    assert.equal(RateLimiter.scopeKey('chat', dm), 'chat:123@s.whatsapp.net');
+    assert.equal(RateLimiter.scopeKey('group', dm), null);
+    assert.equal(RateLimiter.scopeKey('group', group), 'chat:120363@g.us');
+    assert.equal(RateLimiter.scopeKey('global', dm), 'global');
+});
+
+test('check does not count a use until it is recorded', () => {
+    const limiter = new RateLimiter();
+    assert.equal(limiter.check('k', 2, 60000).allowed, true);
+    assert.equal(limiter.check('k', 2, 60000).allowed, true);
+
+    limiter.record('k', 60000);
+    limiter.record('k', 60000);
+    const { allowed, resetMs } = limiter.check('k', 2, 60000);
+    assert.equal(allowed, false);
+    assert.ok(resetMs > 0 && resetMs <= 60000);
+});
+
+test('describeLimit names the command and the wait', () => {
+    const text = RateLimiter.describeLimit({ kind: 'cooldown', scope: 'chat' }, '.save', 90000);
+    assert.equal(text, '⏱️ *.save* is on cooldown in this chat. Try again in 1m 30s.');
+});
+
+test('a usage error does not use up the command\'s cooldown', async () => {
+    const replies = [];
+    let runs = 0;
+    const bot = {
+        logger,
+        sessionId: 'test',
+        sock: { sendMessage: async () => {} },
+        config: { get: () => undefined },
+        chatSettings: { get: (jid, key) => (key === 'prefix' ? ['.'] : false), getAll: () => ({}) },
+        inFlight: { track: async (kind, fn) => fn() },
+        sendMessage: async (jid, content) => replies.push(content.text)
+    };
+    bot.roles = new Roles(bot);
+    const handler = new MessageHandler(bot);
+    handler.registerCommandHandler('roll', {
+        name: 'roll',
+        description: 'Roll a die',
+        args: [{ name: 'sides', type: 'number' }],
+        cooldown: 60000,
+        execute: async () => { runs++; }
+    });
+    const msg = text => ({ key: { remoteJid: '123@s.whatsapp.net', id: 'X' }, message: { conversation: text } });
+
+    await handler.handleCommand(msg('.roll'), '.roll');
+    assert.equal(runs, 0);
+    assert.match(replies.pop(), /Usage/);
+
+    await handler.handleCommand(msg('.roll 6'), '.roll 6');
+    assert.equal(runs, 1);
+
+    await handler.handleCommand(msg('.roll 6'), '.roll 6');
+    assert.equal(runs, 1);
+    assert.match(replies.pop(), /cooldown/);
+});
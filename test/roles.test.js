@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Roles = require('../Core/roles');
+const MessageHandler = require('../Core/message-handler');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const GROUP = '120363000000000000@g.us';
+
+function createBot({ owner = '111', blocked = [], admins = [] } = {}) {
+    const settings = { 'bot.owner': owner, 'security.blockedUsers': blocked };
+    const bot = {
+        logger,
+        sock: {},
+        config: { get: key => settings[key] },
+        groups: { isAdmin: async (jid, participant) => admins.includes(participant) }
+    };
+    bot.roles = new Roles(bot);
+    bot.messageHandler = new MessageHandler(bot);
+    return bot;
+}
+
+function groupMessage(participant) {
+    return { key: { remoteJid: GROUP, participant, id: 'ABC' } };
+}
+
+test('roles are ordered from banned to owner', () => {
+    assert.deepEqual(Roles.names, ['banned', 'public', 'trusted', 'admin', 'sudo', 'owner']);
+    assert.equal(Roles.satisfies('owner', 'sudo'), true);
+    assert.equal(Roles.satisfies('admin', 'trusted'), true);
+    assert.equal(Roles.satisfies('trusted', 'admin'), false);
+    assert.equal(Roles.satisfies('banned'), false);
+    assert.equal(Roles.satisfies('public'), true);
+});
+
+test('stored roles come from the owner, the block list and grants', async () => {
+    const bot = createBot({ owner: '111', blocked: ['222'] });
+    await bot.roles.grant('333', 'trusted', '111');
+
+    assert.equal(bot.roles.resolveStored(groupMessage('111@s.whatsapp.net')), 'owner');
+    assert.equal(bot.roles.resolveStored({ key: { remoteJid: GROUP, participant: '999@s.whatsapp.net', fromMe: true } }), 'owner');
+    assert.equal(bot.roles.resolveStored(groupMessage('222@s.whatsapp.net')), 'banned');
+    assert.equal(bot.roles.resolveStored(groupMessage('333:4@s.whatsapp.net')), 'trusted');
+    assert.equal(bot.roles.resolveStored(groupMessage('444@s.whatsapp.net')), 'public');
+
+    assert.equal(await bot.roles.revoke('333'), 'trusted');
+    assert.equal(bot.roles.resolveStored(groupMessage('333@s.whatsapp.net')), 'public');
+    await assert.rejects(bot.roles.grant('333', 'owner', '111'));
+});
+
+test('a group admin may run trusted and admin commands but not sudo ones', async () => {
+    const admin = '555@s.whatsapp.net';
+    const { messageHandler } = createBot({ admins: [admin] });
+    const msg = groupMessage(admin);
+
+    assert.deepEqual(await messageHandler.authorize(msg, { permissions: 'trusted' }), { allowed: true, role: 'admin', required: 'trusted' });
+    assert.equal((await messageHandler.authorize(msg, { permissions: 'admin' })).allowed, true);
+    assert.equal((await messageHandler.authorize(msg, { permissions: 'sudo' })).allowed, false);
+});
+
+test('a regular member is refused trusted commands', async () => {
+    const { messageHandler } = createBot({ admins: ['555@s.whatsapp.net'] });
+    const access = await messageHandler.authorize(groupMessage('666@s.whatsapp.net'), { permissions: 'trusted' });
+    assert.deepEqual(access, { allowed: false, role: 'public', required: 'trusted' });
+});
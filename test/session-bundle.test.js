@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptBundle, decryptBundle } = require('../utils/session-bundle');
+
+const snapshot = {
+    creds: { registered: true, noiseKey: { private: Buffer.from('secret-noise-key') } },
+    keys: { 'pre-key': { 1: { public: Buffer.from([1, 2, 3]) } } }
+};
+
+test('a session bundle decrypts back to the snapshot', () => {
+    const restored = decryptBundle(encryptBundle(snapshot, 'correct horse'), 'correct horse');
+
+    assert.equal(restored.creds.registered, true);
+    assert.ok(Buffer.from(restored.creds.noiseKey.private).equals(snapshot.creds.noiseKey.private));
+    assert.ok(Buffer.from(restored.keys['pre-key'][1].public).equals(Buffer.from([1, 2, 3])));
+    assert.ok(restored.exportedAt);
+});
+
+test('a session bundle never contains the plain credentials', () => {
+    const bundle = encryptBundle(snapshot, 'correct horse');
+    assert.equal(bundle.includes(Buffer.from('secret-noise-key')), false);
+});
+
+test('a wrong passphrase or a damaged bundle is refused', () => {
+    const bundle = encryptBundle(snapshot, 'correct horse');
+    assert.throws(() => decryptBundle(bundle, 'wrong'), /Wrong passphrase/);
+
+    const damaged = Buffer.from(bundle);
+    damaged[damaged.length - 1] ^= 0xff;
+    assert.throws(() => decryptBundle(damaged, 'correct horse'), /corrupted/);
+
+    assert.throws(() => decryptBundle(Buffer.from('not a bundle at all, just some text'), 'x'), /Not a HyperWa session bundle/);
+});
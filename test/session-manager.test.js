@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const SessionConfig = require('../Core/session-config');
+const SessionManager = require('../Core/session-manager');
+const CoreCommands = require('../modules/core');
+const { HyperWaBot } = require('../Core/bot');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hyperwa-config-'));
+config.overridesFile = path.join(dir, 'config-overrides.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const profiles = [
+    { id: 'main', prefix: '!', telegram: { chatId: '-100123' } },
+    { id: 'work', authPath: './sessions/work-account' },
+    { id: 'spare', enabled: false }
+];
+
+test('a session reads its profile first and the global config otherwise', (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles);
+    const main = new SessionConfig('main');
+    const work = new SessionConfig('work');
+
+    assert.equal(main.get('bot.prefix'), '!');
+    assert.deepEqual(main.get('telegram.chatId', { withSource: true }), { value: '-100123', source: 'session' });
+    assert.deepEqual(work.get('bot.prefix'), config.get('bot.prefix'));
+    assert.equal(main.get('bot.name'), config.get('bot.name'));
+});
+
+test('setting a profile key changes only that session', (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles);
+    const globalPrefix = config.get('bot.prefix');
+
+    new SessionConfig('work').set('bot.prefix', '#');
+    assert.equal(new SessionConfig('work').get('bot.prefix'), '#');
+    assert.equal(new SessionConfig('main').get('bot.prefix'), '!');
+    assert.deepEqual(config.get('bot.prefix'), globalPrefix);
+    assert.deepEqual(config.get('sessions')[1], { id: 'work', authPath: './sessions/work-account', prefix: '#' });
+});
+
+test('resetting a profile key drops the profile value before the global override', (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles);
+    const main = new SessionConfig('main');
+
+    assert.deepEqual(main.reset('bot.prefix'), ['sessions.main.prefix']);
+    assert.deepEqual(main.get('bot.prefix'), config.get('bot.prefix'));
+    assert.deepEqual(config.get('sessions')[0], { id: 'main', telegram: { chatId: '-100123' } });
+    assert.deepEqual(main.reset('bot.prefix'), []);
+});
+
+test('.config changes a key the session overrides in its profile only', async (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles);
+    const globalPrefix = config.get('bot.prefix');
+    const core = new CoreCommands({ sessionId: 'main', config: new SessionConfig('main') });
+
+    assert.match(await core.runConfigAction(['get', 'bot.prefix'], 'owner'), /Value: `!`\n📍 Source: session/);
+    assert.match(await core.runConfigAction(['set', 'bot.prefix', '#'], 'owner'), /New: `\["#"\]`\n📍 Scope: session main/);
+    assert.deepEqual(new SessionConfig('main').get('bot.prefix'), ['#']);
+    assert.deepEqual(config.get('bot.prefix'), globalPrefix);
+
+    assert.match(await core.runConfigAction(['reset', 'bot.prefix'], 'owner'), /Scope: session main/);
+    assert.deepEqual(new SessionConfig('main').get('bot.prefix'), globalPrefix);
+});
+
+test('without profiles a single default session runs', () => {
+    const manager = new SessionManager();
+    assert.deepEqual(manager.profiles, [{ id: 'default' }]);
+    assert.deepEqual(manager.list(), [{ id: 'default', enabled: true, running: false, state: 'stopped', user: null }]);
+});
+
+test('enabled sessions are started and can be stopped one by one', async (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles);
+    const started = [];
+    t.mock.method(HyperWaBot.prototype, 'initialize', async function () { started.push(this.sessionId); });
+    t.mock.method(HyperWaBot.prototype, 'shutdown', async function () { this.isShuttingDown = true; });
+    const manager = new SessionManager();
+
+    await manager.startAll();
+    assert.deepEqual(started, ['main', 'work']);
+    assert.equal(manager.get('work').authPath, './sessions/work-account');
+    assert.deepEqual(manager.list().map(session => `${session.id}:${session.running}`), ['main:true', 'work:true', 'spare:false']);
+
+    await assert.rejects(manager.start('main'), /Session 'main' is already running/);
+    await assert.rejects(manager.start('nope'), /Unknown session 'nope'. Available: main, work, spare/);
+
+    await manager.stop('work');
+    assert.equal(manager.get('work'), undefined);
+    await assert.rejects(manager.stop('work'), /Session 'work' is not running/);
+});
+
+test('a session that fails to start is shut down again', async (t) => {
+    t.after(() => config.reset('sessions'));
+    config.set('sessions', profiles.slice(0, 2));
+    const stopped = [];
+    t.mock.method(HyperWaBot.prototype, 'initialize', async function () {
+        if (this.sessionId === 'work') throw new Error('auth folder locked');
+    });
+    t.mock.method(HyperWaBot.prototype, 'shutdown', async function () { stopped.push(this.sessionId); });
+    const manager = new SessionManager();
+
+    await manager.startAll();
+    assert.deepEqual([...manager.sessions.keys()], ['main']);
+    assert.deepEqual(stopped, ['work']);
+});
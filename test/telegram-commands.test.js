@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TelegramCommands = require('../watg-bridge/commands');
+
+// /config with `reply` as the core module's answer; resolves to what was sent to Telegram
+async function runConfig(reply) {
+    const sent = [];
+    const bridge = {
+        telegramBot: { sendMessage: async (chatId, text, options) => sent.push({ text, options }) },
+        whatsappBot: { moduleLoader: { getModule: () => ({ runConfigAction: async () => reply }) } }
+    };
+    const commands = new TelegramCommands(bridge);
+    commands.isAdmin = () => true;
+
+    await commands.handleConfig({ chat: { id: 1 }, from: { id: 2, username: 'admin' } }, ['get', 'bot.owner']);
+    return sent[0];
+}
+
+test('/config replies are sent as escaped HTML', async () => {
+    const { text, options } = await runConfig('⚙️ *Config Value*\n\n🔑 Key: `bot.owner`\n📝 Value: `123_456@s.whatsapp.net`\n📍 Source: file _(override)_');
+
+    assert.equal(options.parse_mode, 'HTML');
+    assert.equal(text,
+        '⚙️ <b>Config Value</b>\n\n🔑 Key: <code>bot.owner</code>\n📝 Value: <code>123_456@s.whatsapp.net</code>\n📍 Source: file <i>(override)</i>');
+});
+
+test('/config leaves stray formatting characters and markup in values alone', async () => {
+    const { text } = await runConfig('❌ Invalid value for `x`: path ./auth_info_2 must not contain *, <b> or `');
+
+    assert.equal(text, '❌ Invalid value for <code>x</code>: path ./auth_info_2 must not contain *, &lt;b&gt; or `');
+});
+
+test('/config usage hints point at the Telegram command', async () => {
+    const { text } = await runConfig('💡 Usage: `.config get|set|reset|list <key> [value]`');
+
+    assert.equal(text, '💡 Usage: <code>/config get|set|reset|list &lt;key&gt; [value]</code>');
+});
+
+test('/config admins come from the session the bridge belongs to', async () => {
+    const sent = [];
+    const bridge = {
+        config: { get: key => (key === 'telegram.adminIds' ? ['42'] : []) },
+        telegramBot: { sendMessage: async (chatId, text) => sent.push(text) },
+        whatsappBot: { moduleLoader: { getModule: () => ({ runConfigAction: async () => 'ok' }) } }
+    };
+    const commands = new TelegramCommands(bridge);
+
+    await commands.handleConfig({ chat: { id: 1 }, from: { id: 7 } }, ['list']);
+    await commands.handleConfig({ chat: { id: 1 }, from: { id: 42 } }, ['list']);
+    assert.deepEqual(sent, ['❌ Only Telegram admins can use /config', 'ok']);
+});
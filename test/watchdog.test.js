@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Watchdog = require('../Core/watchdog');
+const ConnectionState = require('../Core/connection-state');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A connected bot whose socket answers pings the way `answer` says
+function createBot(settings = {}) {
+    const config = {
+        'watchdog.enabled': true,
+        'watchdog.idleMs': 60000,
+        'watchdog.probeTimeoutMs': 50,
+        'watchdog.maxFailedProbes': 2,
+        'watchdog.maxIdleMs': 0,
+        ...settings
+    };
+    const bot = {
+        logger,
+        sessionId: 'test',
+        config: { get: key => config[key] },
+        connection: new ConnectionState(),
+        answer: 'ok',
+        reconnects: [],
+        scheduleReconnect: (reason, options) => bot.reconnects.push({ reason, ...options }),
+        sock: {
+            query: () => (bot.answer === 'ok' ? Promise.resolve() : new Promise(() => {}))
+        }
+    };
+    return bot;
+}
+
+function open(bot) {
+    const watchdog = new Watchdog(bot);
+    bot.connection.transition('connecting');
+    bot.connection.transition('open');
+    return watchdog;
+}
+
+test('the watchdog runs only while the connection is open', (t) => {
+    const bot = createBot();
+    const watchdog = open(bot);
+    t.after(() => watchdog.stop());
+    assert.equal(watchdog.state, 'watching');
+    assert.ok(watchdog.timer);
+
+    bot.connection.transition('backoff', { attempt: 1, delay: 10 });
+    assert.equal(watchdog.state, 'stopped');
+    assert.equal(watchdog.timer, null);
+});
+
+test('a quiet socket that answers pings is left alone', async (t) => {
+    const bot = createBot();
+    const watchdog = open(bot);
+    t.after(() => watchdog.stop());
+
+    watchdog.lastEventAt = Date.now() - 120000;
+    await watchdog.check();
+
+    assert.equal(watchdog.lastProbe.ok, true);
+    assert.equal(watchdog.failedProbes, 0);
+    assert.deepEqual(bot.reconnects, []);
+});
+
+test('unanswered pings force a reconnect', async (t) => {
+    const bot = createBot();
+    const watchdog = open(bot);
+    t.after(() => watchdog.stop());
+    bot.answer = 'never';
+
+    watchdog.lastEventAt = Date.now() - 120000;
+    await watchdog.check();
+    assert.equal(watchdog.failedProbes, 1);
+    assert.match(watchdog.lastProbe.error, /no answer within 50ms/);
+    assert.deepEqual(bot.reconnects, []);
+
+    await watchdog.check();
+    assert.deepEqual(bot.reconnects, [{ reason: 'watchdog: 2 pings unanswered', immediate: true }]);
+    assert.equal(watchdog.restarts, 1);
+    assert.equal(watchdog.state, 'stopped');
+});
+
+test('an inbound event resets the failed ping count', async (t) => {
+    const bot = createBot();
+    const watchdog = open(bot);
+    t.after(() => watchdog.stop());
+    bot.answer = 'never';
+
+    watchdog.lastEventAt = Date.now() - 120000;
+    await watchdog.check();
+    watchdog.touch('messages.upsert');
+    assert.equal(watchdog.failedProbes, 0);
+
+    await watchdog.check();
+    assert.equal(watchdog.lastProbe.ok, false);
+    assert.deepEqual(bot.reconnects, []);
+});
+
+test('too long without events forces a reconnect even when pings answer', async (t) => {
+    const bot = createBot({ 'watchdog.maxIdleMs': 300000 });
+    const watchdog = open(bot);
+    t.after(() => watchdog.stop());
+
+    watchdog.lastEventAt = Date.now() - 301000;
+    await watchdog.check();
+
+    assert.deepEqual(bot.reconnects, [{ reason: 'watchdog: no inbound events for 5m 1s', immediate: true }]);
+    assert.match(watchdog.describe(), /Forced reconnects: 1/);
+});
+
+test('a disabled watchdog never starts', () => {
+    const bot = createBot({ 'watchdog.enabled': false });
+    const watchdog = open(bot);
+
+    assert.equal(watchdog.timer, null);
+    assert.equal(watchdog.snapshot().state, 'disabled');
+});
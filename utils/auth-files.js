@@ -0,0 +1,33 @@
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Signal key types Baileys stores, longest first so 'sender-key-memory' wins over 'sender-key'
+const KEY_TYPES = [
+    'app-state-sync-version', 'app-state-sync-key', 'sender-key-memory', 'identity-key',
+    'device-list', 'lid-mapping', 'sender-key', 'tctoken', 'pre-key', 'session'
+];
+
+// Read a useMultiFileAuthState folder into { creds, keys: { [type]: { [id]: value } } }, or null without creds
+async function readAuthDir(dir) {
+    const credsFile = path.join(dir, 'creds.json');
+    if (!(await fs.pathExists(credsFile))) return null;
+
+    const creds = JSON.parse(await fs.readFile(credsFile, 'utf8'), BufferJSON.reviver);
+    const keys = {};
+    for (const file of await fs.readdir(dir)) {
+        if (file === 'creds.json' || !file.endsWith('.json')) continue;
+
+        const name = file.slice(0, -'.json'.length);
+        const type = KEY_TYPES.find(t => name.startsWith(`${t}-`));
+        if (!type) continue;
+
+        // Undo Baileys' file name escaping ('/' -> '__', ':' -> '-'); ids only ever contain '::'
+        const id = name.slice(type.length + 1).replace(/__/g, '/').replace(/--/g, '::');
+        keys[type] = keys[type] || {};
+        keys[type][id] = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'), BufferJSON.reviver);
+    }
+    return { creds, keys };
+}
+
+module.exports = { KEY_TYPES, readAuthDir };
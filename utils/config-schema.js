@@ -0,0 +1,242 @@
+const { envVarName } = require('./env');
+const { checkPrefixes } = require('./prefixes');
+
+class ConfigValidationError extends Error {
+    constructor(problems) {
+        super(formatReport(problems));
+        this.name = 'ConfigValidationError';
+        this.problems = problems;
+    }
+}
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+const TELEGRAM_CHAT = /^(-?\d+|@\w{5,})$/;
+const OWNER_JID = /^\d+(:\d+)?@s\.whatsapp\.net$/;
+const SESSION_ID = /^[a-z0-9_-]{1,32}$/i;
+const PHONE_NUMBER = /^\d{7,15}$/;
+
+// Declarative rules keyed by dotted path. Keys not listed here (e.g. added by modules) are not checked.
+const schema = {
+    'bot.name': { type: 'string', required: true },
+    'bot.company': { type: 'string' },
+    'bot.prefix': { type: ['array', 'string'], required: true, check: checkPrefixes },
+    'bot.mentionPrefix': { type: 'boolean' },
+    'bot.prefixlessDM': { type: 'boolean' },
+    'bot.version': { type: 'string' },
+    'bot.owner': { type: 'string', pattern: OWNER_JID, hint: 'a WhatsApp JID like 1234567890@s.whatsapp.net' },
+    'bot.language': { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/, hint: 'a language code like en or pt-BR' },
+    'bot.clearAuthOnStart': { type: 'boolean' },
+
+    'auth.method': { type: 'string', enum: ['qr', 'pairing'] },
+    'auth.phoneNumber': { type: 'string', pattern: PHONE_NUMBER, hint: 'digits with country code, e.g. 14155550123' },
+    'auth.backend': { type: 'string', enum: ['file', 'json', 'mongo'] },
+    'auth.exportKey': { type: 'string', secret: true, pattern: /^.{12,}$/, hint: 'at least 12 characters' },
+
+    'features.mode': { type: 'string', enum: ['public', 'private'] },
+    'features.autoViewStatus': { type: 'boolean' },
+    'features.customModules': { type: 'boolean' },
+    'features.rateLimiting': { type: 'boolean' },
+    'features.telegramBridge': { type: 'boolean' },
+    'features.smartProcessing': { type: 'boolean' },
+    'features.editMessages': { type: 'boolean' },
+    'features.autoReact': { type: 'boolean' },
+    'features.silentUnknownInGroups': { type: 'boolean' },
+
+    'mongo.uri': { type: 'string', required: true, secret: true, pattern: /^mongodb(\+srv)?:\/\//, hint: 'a mongodb:// or mongodb+srv:// URI' },
+    'mongo.dbName': { type: 'string', required: true },
+    'mongo.options': { type: 'object' },
+
+    'apis.ninjas': { type: 'string', secret: true },
+    'apis.weather': { type: 'string', secret: true },
+    'apis.translate': { type: 'string', secret: true },
+
+    'connection.timeoutMs': { type: 'number', integer: true, min: 5000 },
+    'connection.backoffBaseMs': { type: 'number', integer: true, min: 100 },
+    'connection.backoffFactor': { type: 'number', min: 1 },
+    'connection.backoffMaxMs': { type: 'number', integer: true, min: 1000 },
+
+    'watchdog.enabled': { type: 'boolean' },
+    'watchdog.idleMs': { type: 'number', integer: true, min: 10000 },
+    'watchdog.probeTimeoutMs': { type: 'number', integer: true, min: 1000 },
+    'watchdog.maxFailedProbes': { type: 'number', integer: true, min: 1 },
+    'watchdog.maxIdleMs': { type: 'number', integer: true, min: 0 },
+
+    'shutdown.timeoutMs': { type: 'number', integer: true, min: 0 },
+
+    'http.enabled': { type: 'boolean' },
+    'http.host': { type: 'string', required: true },
+    'http.port': { type: 'number', integer: true, min: 1 },
+
+    'groupCache.ttlMs': { type: 'number', integer: true, min: 10000 },
+
+    'catchUp.enabled': { type: 'boolean' },
+    'catchUp.commandMaxAgeSec': { type: 'number', integer: true, min: 0 },
+    'catchUp.dedupeDays': { type: 'number', min: 1 },
+
+    'store.maxMessages': { type: 'number', integer: true, min: 100 },
+    'store.persist': { type: 'boolean' },
+    'store.ttlDays': { type: 'number', min: 1 },
+
+    'security.maxCommandsPerMinute': { type: 'number', integer: true, min: 1 },
+    'security.maxDownloadsPerHour': { type: 'number', integer: true, min: 0 },
+    'security.allowedDomains': { type: 'array', items: 'string' },
+    'security.blockedUsers': { type: 'array', items: 'string' },
+
+    'telegram.enabled': { type: 'boolean' },
+    'telegram.botToken': { type: 'string', secret: true, requiredWhen: 'telegram.enabled', pattern: /^\d+:[\w-]{30,}$/, hint: 'a token from @BotFather' },
+    'telegram.chatId': { type: 'string', requiredWhen: 'telegram.enabled', pattern: TELEGRAM_CHAT, hint: 'a numeric chat ID such as -1001234567890' },
+    'telegram.logChannel': { type: 'string', pattern: TELEGRAM_CHAT, hint: 'a numeric chat ID or @channel' },
+    'telegram.ownerId': { type: ['string', 'number'], pattern: /^\d+$/, hint: 'a numeric Telegram user ID' },
+    'telegram.adminIds': { type: 'array', items: 'number' },
+    'telegram.sudoUsers': { type: 'array', items: 'number' },
+    'telegram.features.topics': { type: 'boolean' },
+    'telegram.features.mediaSync': { type: 'boolean' },
+    'telegram.features.profilePicSync': { type: 'boolean' },
+    'telegram.features.callLogs': { type: 'boolean' },
+    'telegram.features.statusSync': { type: 'boolean' },
+    'telegram.features.biDirectional': { type: 'boolean' },
+    'telegram.features.presenceUpdates': { type: 'boolean' },
+    'telegram.features.readReceipts': { type: 'boolean' },
+    'telegram.features.animatedStickers': { type: 'boolean' },
+
+    'logging.level': { type: 'string', enum: LOG_LEVELS },
+    'logging.saveToFile': { type: 'boolean' },
+    'logging.maxFileSize': { type: 'string', pattern: /^\d+(KB|MB|GB)$/i, hint: 'a size like 10MB' },
+    'logging.maxFiles': { type: 'number', integer: true, min: 1 },
+
+    'sessions': { type: 'array', items: 'object', check: checkSessions }
+};
+
+// Account profiles need unique ids and auth paths; other fields follow the global key they override
+function checkSessions(profiles) {
+    const problems = [];
+    const ids = new Set();
+    const authPaths = new Set();
+
+    profiles.forEach((profile, i) => {
+        const label = profile.id ? `profile '${profile.id}'` : `profile #${i + 1}`;
+
+        if (typeof profile.id !== 'string' || !SESSION_ID.test(profile.id)) {
+            problems.push(`${label} needs an id of letters, digits, _ or - (max 32)`);
+        } else if (ids.has(profile.id)) {
+            problems.push(`${label} is defined more than once`);
+        }
+        ids.add(profile.id);
+
+        if (profile.authPath !== undefined) {
+            if (typeof profile.authPath !== 'string' || !profile.authPath) {
+                problems.push(`${label} authPath must be a non-empty string`);
+            } else if (authPaths.has(profile.authPath)) {
+                problems.push(`${label} shares authPath '${profile.authPath}' with another profile`);
+            }
+            authPaths.add(profile.authPath);
+        }
+        if (profile.modules !== undefined && !(Array.isArray(profile.modules) && profile.modules.every(m => typeof m === 'string'))) {
+            problems.push(`${label} modules must be a list of module names`);
+        }
+
+        const fields = {
+            'bot.owner': profile.owner,
+            'bot.prefix': profile.prefix,
+            'auth.method': profile.auth?.method,
+            'auth.phoneNumber': profile.auth?.phoneNumber,
+            'auth.backend': profile.auth?.backend,
+            'telegram.botToken': profile.telegram?.botToken,
+            'telegram.chatId': profile.telegram?.chatId,
+            'telegram.logChannel': profile.telegram?.logChannel,
+            'telegram.ownerId': profile.telegram?.ownerId
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            if (isEmpty(value)) continue;
+            for (const message of validateValue(key, value)) {
+                problems.push(`${label} ${key.split('.').pop()} ${message}`);
+            }
+        }
+    });
+    return problems;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function describe(value) {
+    return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+// Returns a list of problem strings for one key; `get` resolves other keys for requiredWhen rules
+function validateValue(key, value, get = () => undefined) {
+    const rule = schema[key];
+    if (!rule) return [];
+
+    if (isEmpty(value)) {
+        if (rule.required) return ['is required'];
+        if (rule.requiredWhen && get(rule.requiredWhen)) return [`is required when ${rule.requiredWhen} is true`];
+        return [];
+    }
+
+    const types = [].concat(rule.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual)) {
+        return [`must be ${types.join(' or ')}, got ${actual} ${describe(value)}`];
+    }
+
+    const problems = [];
+    if (rule.enum && !rule.enum.includes(value)) {
+        problems.push(`must be one of ${rule.enum.join(', ')}, got ${describe(value)}`);
+    }
+    if (rule.pattern && (actual === 'string' || actual === 'number') && !rule.pattern.test(String(value))) {
+        problems.push(`must be ${rule.hint || `in the format ${rule.pattern}`}${rule.secret ? '' : `, got ${describe(value)}`}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        problems.push(`must be at most ${rule.maxLength} characters`);
+    }
+    if (actual === 'number') {
+        if (rule.integer && !Number.isInteger(value)) problems.push(`must be an integer, got ${value}`);
+        if (rule.min !== undefined && value < rule.min) problems.push(`must be at least ${rule.min}, got ${value}`);
+    }
+    if (actual === 'array' && rule.items) {
+        const bad = value.filter(item => typeOf(item) !== rule.items);
+        if (bad.length > 0) problems.push(`must only contain ${rule.items} values, got ${bad.map(describe).join(', ')}`);
+    }
+    if (rule.check && problems.length === 0) {
+        problems.push(...rule.check(value));
+    }
+    return problems;
+}
+
+// Validate every known key; returns [{ key, message }]
+function validateConfig(get) {
+    const problems = [];
+    for (const key of Object.keys(schema)) {
+        for (const message of validateValue(key, get(key), get)) {
+            problems.push({ key, message });
+        }
+    }
+    return problems;
+}
+
+function formatReport(problems) {
+    const lines = problems.map(p => {
+        const origin = p.source && p.source !== 'default' ? ` [from ${p.source}]` : '';
+        return `  • ${p.key}: ${p.message}${origin}`;
+    });
+    const keys = problems.filter(p => p.key).map(p => envVarName(p.key));
+    return `Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n` +
+        lines.join('\n') +
+        (keys.length ? `\n\nFix these in config.js, .env or via ${keys.slice(0, 2).join(', ')}${keys.length > 2 ? ', ...' : ''}` : '');
+}
+
+module.exports = {
+    schema,
+    ConfigValidationError,
+    validateValue,
+    validateConfig,
+    formatReport
+};
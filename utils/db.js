@@ -1,17 +1,26 @@
 const config = require('../config');
 const { MongoClient } = require('mongodb');
 
-const MONGO_URI = config.get('mongo.uri');
-const DB_NAME = config.get('mongo.dbName');
-const OPTIONS = config.get('mongo.options');
+let client = null;
 
-const client = new MongoClient(MONGO_URI, OPTIONS);
+// Created lazily so environment overrides are applied before the URI is read
+function getClient() {
+    if (!client) {
+        const uri = config.get('mongo.uri');
+        if (!uri) {
+            throw new Error('mongo.uri is not configured (set HYPERWA_MONGO__URI)');
+        }
+        client = new MongoClient(uri, config.get('mongo.options'));
+    }
+    return client;
+}
 
 async function connectDb() {
-    if (!client.topology?.isConnected()) {
-        await client.connect();
+    const mongo = getClient();
+    if (!mongo.topology?.isConnected()) {
+        await mongo.connect();
     }
-    return client.db(DB_NAME);
+    return mongo.db(config.get('mongo.dbName'));
 }
 
 module.exports = { connectDb };
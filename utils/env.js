@@ -0,0 +1,156 @@
+const fs = require('fs');
+
+const ENV_PREFIX = 'HYPERWA_';
+// Variables under the prefix that configure the loader itself rather than a config key
+const RESERVED = ['HYPERWA_ENV_FILE'];
+
+// Minimal .env parser: KEY=value, optional `export`, quotes and # comments
+function parseEnvFile(content) {
+    const result = {};
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const match = line.match(/^(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/);
+        if (!match) continue;
+
+        let [, key, value] = match;
+        const quote = value[0];
+        if ((quote === '"' || quote === '\'') && value.lastIndexOf(quote) > 0) {
+            value = value.slice(1, value.lastIndexOf(quote));
+            if (quote === '"') value = value.replace(/\\n/g, '\n');
+        } else {
+            value = value.replace(/\s+#.*$/, '').trim();
+        }
+        result[key] = value;
+    }
+    return result;
+}
+
+// Real environment variables always win over the .env file
+function loadEnvFile(filePath, env = process.env) {
+    if (!fs.existsSync(filePath)) return {};
+
+    const parsed = parseEnvFile(fs.readFileSync(filePath, 'utf8'));
+    for (const [key, value] of Object.entries(parsed)) {
+        if (env[key] === undefined) env[key] = value;
+    }
+    return parsed;
+}
+
+// Coerce a raw string using the type of the value it replaces as a hint
+function coerceValue(raw, template) {
+    const value = String(raw).trim();
+
+    if (Array.isArray(template)) {
+        if (value.startsWith('[')) return JSON.parse(value);
+        if (value === '') return [];
+        return value.split(',').map(item => coerceValue(item, template[0]));
+    }
+
+    switch (typeof template) {
+        case 'string':
+            return String(raw);
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(value)) return true;
+            if (/^(false|0|no|off)$/i.test(value)) return false;
+            throw new Error(`expected a boolean, got '${raw}'`);
+        case 'number': {
+            const num = Number(value);
+            if (value === '' || Number.isNaN(num)) throw new Error(`expected a number, got '${raw}'`);
+            return num;
+        }
+        case 'object':
+            if (template !== null) return JSON.parse(value);
+            break;
+    }
+
+    // No template (unknown key): guess from the text itself
+    if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    if (value !== '' && !Number.isNaN(Number(value)) && String(Number(value)) === value) return Number(value);
+    if (/^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (_) {
+            return raw;
+        }
+    }
+    return raw;
+}
+
+// BOT_TOKEN -> botToken, matching an existing key case-insensitively when possible
+function resolveSegment(segment, node) {
+    const normalized = segment.replace(/_/g, '').toLowerCase();
+    if (node && typeof node === 'object' && !Array.isArray(node)) {
+        const existing = Object.keys(node).find(k => k.toLowerCase() === normalized);
+        if (existing) return existing;
+    }
+    return segment.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+// HYPERWA_TELEGRAM__BOT_TOKEN=... -> { 'telegram.botToken': '...' }
+function readEnvOverrides(defaults, env = process.env, prefix = ENV_PREFIX) {
+    const overrides = {};
+    const errors = [];
+
+    for (const [name, raw] of Object.entries(env)) {
+        if (!name.startsWith(prefix) || raw === undefined || RESERVED.includes(name)) continue;
+
+        const segments = name.slice(prefix.length).split('__').filter(Boolean);
+        if (segments.length === 0) continue;
+
+        let node = defaults;
+        const keys = [];
+        for (const segment of segments) {
+            const key = resolveSegment(segment, node);
+            keys.push(key);
+            node = node && typeof node === 'object' ? node[key] : undefined;
+        }
+
+        const key = keys.join('.');
+        try {
+            overrides[key] = coerceValue(raw, node);
+        } catch (error) {
+            errors.push({ key, message: `${name} ${error.message}`, source: 'env' });
+        }
+    }
+
+    return { overrides, errors };
+}
+
+// telegram.botToken -> HYPERWA_TELEGRAM__BOT_TOKEN
+function envVarName(key, prefix = ENV_PREFIX) {
+    return prefix + key.split('.')
+        .map(segment => segment.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+        .join('__');
+}
+
+// Command-line login flags become environment overrides, so apply them before config is loaded:
+//   --qr, --pairing, --pairing=<number>, --phone <number>
+function applyCliFlags(argv, env = process.env) {
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split('=');
+        const next = () => inline !== undefined ? inline : (/^\+?\d+$/.test(argv[i + 1] || '') ? argv[++i] : undefined);
+
+        if (flag === '--qr') {
+            env[envVarName('auth.method')] = 'qr';
+        } else if (flag === '--pairing') {
+            env[envVarName('auth.method')] = 'pairing';
+            const number = next();
+            if (number) env[envVarName('auth.phoneNumber')] = number.replace(/\D/g, '');
+        } else if (flag === '--phone') {
+            const number = next();
+            if (number) env[envVarName('auth.phoneNumber')] = number.replace(/\D/g, '');
+        }
+    }
+}
+
+module.exports = {
+    ENV_PREFIX,
+    parseEnvFile,
+    loadEnvFile,
+    coerceValue,
+    readEnvOverrides,
+    envVarName,
+    applyCliFlags
+};
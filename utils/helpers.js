@@ -5,16 +5,15 @@ const config = require('../config');
 class Helpers {
     // FIXED: Smart error handling that edits the ORIGINAL command message
     static async smartErrorRespond(bot, originalMsg, options = {}) {
+        const sender = originalMsg.key.remoteJid;
         const {
             processingText = '⏳ Processing...',
             errorText = '❌ Something went wrong.',
             actionFn,
-            autoReact = config.get('features.autoReact'),
+            autoReact = bot.chatSettings ? bot.chatSettings.get(sender, 'autoReact') : config.get('features.autoReact'),
             editMessages = config.get('features.editMessages')
         } = options;
 
-        const sender = originalMsg.key.remoteJid;
-
         try {
             // React with processing emoji on the ORIGINAL command message
             if (autoReact) {
@@ -1,38 +1,149 @@
-const { useMultiFileAuthState } = require("@whiskeysockets/baileys");
+const { initAuthCreds, BufferJSON, proto } = require("@whiskeysockets/baileys");
 const fs = require("fs-extra");
+const os = require("os");
 const path = require("path");
 const tar = require("tar");
-const { connectDb } = require("./db");
+const { readAuthDir } = require("./auth-files");
 
-const AUTH_DIR = "./auth_info";
+const CREDS_ID = "creds";
+const LEGACY_ID = "session"; // tar archive of the whole auth folder, written by older versions
 
-async function useMongoAuthState() {
-    const db = await connectDb();
-    const coll = db.collection("auth");
-    const session = await coll.findOne({ _id: "session" });
+const serialize = value => JSON.stringify(value, BufferJSON.replacer);
+const deserialize = text => JSON.parse(text, BufferJSON.reviver);
+const keyDocId = (type, id) => `${type}-${id}`;
 
-    if (session && session.archive) {
-        const buffer = session.archive.buffer;
-        await fs.writeFile("auth_info.tar", buffer);
-        await tar.x({ file: "auth_info.tar", C: "." });
-        await fs.remove("auth_info.tar");
+function credsWrite(creds) {
+    return {
+        replaceOne: {
+            filter: { _id: CREDS_ID },
+            replacement: { value: serialize(creds), updatedAt: new Date() },
+            upsert: true
+        }
+    };
+}
+
+function keyWrite(type, id, value) {
+    const _id = keyDocId(type, id);
+    if (!value) return { deleteOne: { filter: { _id } } };
+    return { replaceOne: { filter: { _id }, replacement: { type, id, value: serialize(value) }, upsert: true } };
+}
+
+// Baileys auth state with one document per key: { _id: 'creds', value } and
+// { _id: '<type>-<id>', type, id, value }, values stored as BufferJSON strings.
+// Reads go through an in-memory cache; each keys.set becomes one bulkWrite, applied in call order.
+// flush() resolves once every queued write has finished.
+async function useMongoAuthState(coll) {
+    const stored = await coll.findOne({ _id: CREDS_ID });
+    const creds = stored ? deserialize(stored.value) : initAuthCreds();
+    const cache = new Map(); // '<type>-<id>' -> value, or null when known to be missing
+
+    let writing = Promise.resolve();
+    const enqueue = operations => {
+        // A failed batch is reported to its own caller and doesn't block the next one
+        writing = writing.catch(() => {}).then(() => coll.bulkWrite(operations, { ordered: false }));
+        return writing;
+    };
+
+    const keys = {
+        get: async (type, ids) => {
+            const missing = ids.filter(id => !cache.has(keyDocId(type, id)));
+            if (missing.length > 0) {
+                const docs = await coll.find({ _id: { $in: missing.map(id => keyDocId(type, id)) } }).toArray();
+                const found = new Map(docs.map(doc => [doc._id, deserialize(doc.value)]));
+                for (const id of missing) {
+                    const docId = keyDocId(type, id);
+                    // A keys.set that ran while we were reading is newer than what we read
+                    if (!cache.has(docId)) cache.set(docId, found.get(docId) || null);
+                }
+            }
+
+            const result = {};
+            for (const id of ids) {
+                let value = cache.get(keyDocId(type, id));
+                if (value && type === "app-state-sync-key") {
+                    value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                }
+                result[id] = value;
+            }
+            return result;
+        },
+
+        set: async data => {
+            const operations = [];
+            for (const [type, entries] of Object.entries(data)) {
+                for (const [id, value] of Object.entries(entries)) {
+                    cache.set(keyDocId(type, id), value || null);
+                    operations.push(keyWrite(type, id, value));
+                }
+            }
+            if (operations.length > 0) await enqueue(operations);
+        }
+    };
+
+    return {
+        state: { creds, keys },
+        saveCreds: () => enqueue([credsWrite(creds)]),
+        flush: () => settle(() => writing)
+    };
+}
+
+// Waits for the queue `current()` returns, including writes queued while waiting; failures were
+// already reported to their callers
+async function settle(current) {
+    let pending;
+    do {
+        pending = current();
+        await pending.catch(() => {});
+    } while (pending !== current());
+}
+
+// Everything in `coll` as { creds, keys: { [type]: { [id]: value } } }, or null without creds
+async function readMongoAuthState(coll) {
+    const stored = await coll.findOne({ _id: CREDS_ID });
+    if (!stored) return null;
+
+    const keys = {};
+    for await (const doc of coll.find({ type: { $exists: true } })) {
+        keys[doc.type] = keys[doc.type] || {};
+        keys[doc.type][doc.id] = deserialize(doc.value);
     }
+    return { creds: deserialize(stored.value), keys };
+}
 
-    const { state, saveCreds: originalSaveCreds } = await useMultiFileAuthState(AUTH_DIR);
-
-    async function saveCreds() {
-        await originalSaveCreds();
-        await tar.c({ file: "auth_info.tar", cwd: "." }, ["auth_info"]);
-        const data = await fs.readFile("auth_info.tar");
-        await coll.updateOne(
-            { _id: "session" },
-            { $set: { archive: data } },
-            { upsert: true }
-        );
-        await fs.remove("auth_info.tar");
+// One-time conversion of the legacy tar archive into per-key documents; returns true when converted
+async function migrateArchive(coll) {
+    const legacy = await coll.findOne({ _id: LEGACY_ID });
+    if (!legacy || !legacy.archive) return false;
+
+    // Per-key documents are newer than any archive left next to them
+    if (await coll.findOne({ _id: CREDS_ID }, { projection: { _id: 1 } })) {
+        await coll.deleteOne({ _id: LEGACY_ID });
+        return false;
     }
 
-    return { state, saveCreds };
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "hyperwa-auth-"));
+    try {
+        const archiveFile = path.join(workDir, "session.tar");
+        await fs.writeFile(archiveFile, legacy.archive.buffer);
+        await tar.x({ file: archiveFile, C: workDir });
+
+        // The archive holds a single folder (auth_info unless authPath was changed)
+        const folder = (await fs.readdir(workDir, { withFileTypes: true })).find(entry => entry.isDirectory());
+        const snapshot = folder ? await readAuthDir(path.join(workDir, folder.name)) : null;
+        if (!snapshot) return false;
+
+        const operations = [credsWrite(snapshot.creds)];
+        for (const [type, entries] of Object.entries(snapshot.keys)) {
+            for (const [id, value] of Object.entries(entries)) {
+                operations.push(keyWrite(type, id, value));
+            }
+        }
+        await coll.bulkWrite(operations, { ordered: false });
+        await coll.deleteOne({ _id: LEGACY_ID });
+        return true;
+    } finally {
+        await fs.remove(workDir);
+    }
 }
 
-module.exports = { useMongoAuthState };
+module.exports = { useMongoAuthState, readMongoAuthState, migrateArchive, settle };
@@ -0,0 +1,67 @@
+// Command prefixes: plain strings ('.', '!', 'bot ') or regexes written as '/pattern/flags'
+// (e.g. '/hey bot,?\s+/i'), matched at the start of the message
+const REGEX_PREFIX = /^\/(.+)\/([a-z]*)$/;
+const MAX_LITERAL_LENGTH = 5;
+
+const compiled = new Map(); // prefix string -> RegExp
+
+function toList(prefixes) {
+    return [].concat(prefixes ?? []).filter(prefix => typeof prefix === 'string' && prefix !== '');
+}
+
+function isRegexPrefix(prefix) {
+    return REGEX_PREFIX.test(prefix);
+}
+
+function compileRegexPrefix(prefix) {
+    if (!compiled.has(prefix)) {
+        const [, source, flags] = prefix.match(REGEX_PREFIX);
+        compiled.set(prefix, new RegExp(`^(?:${source})`, flags.replace(/[gy]/g, '')));
+    }
+    return compiled.get(prefix);
+}
+
+// Validation problems for a prefix setting, in config-schema style
+function checkPrefixes(value) {
+    const list = [].concat(value);
+    if (list.length === 0) return ['needs at least one prefix'];
+
+    const problems = [];
+    for (const prefix of list) {
+        if (typeof prefix !== 'string' || prefix === '') {
+            problems.push('must only contain non-empty strings');
+        } else if (isRegexPrefix(prefix)) {
+            try {
+                compileRegexPrefix(prefix);
+            } catch (error) {
+                problems.push(`has an invalid regex prefix ${prefix}: ${error.message}`);
+            }
+        } else if (prefix.length > MAX_LITERAL_LENGTH) {
+            problems.push(`prefix '${prefix}' must be at most ${MAX_LITERAL_LENGTH} characters (or a /regex/)`);
+        }
+    }
+    return problems;
+}
+
+// { prefix, body } for the first prefix that starts `text`, or null. Longer literal prefixes
+// are tried first so '..' wins over '.'; regex prefixes follow in their configured order.
+function matchPrefix(text, prefixes) {
+    const list = toList(prefixes);
+    const literals = list.filter(prefix => !isRegexPrefix(prefix)).sort((a, b) => b.length - a.length);
+
+    for (const prefix of literals) {
+        if (text.startsWith(prefix)) return { prefix, body: text.slice(prefix.length) };
+    }
+    for (const prefix of list.filter(isRegexPrefix)) {
+        const match = text.match(compileRegexPrefix(prefix));
+        if (match && match[0]) return { prefix: match[0], body: text.slice(match[0].length) };
+    }
+    return null;
+}
+
+// The prefix to show in help and hints: the first plain one, or '' when only regexes are set
+function displayPrefix(prefixes) {
+    return toList(prefixes).find(prefix => !isRegexPrefix(prefix)) || '';
+}
+
+module.exports = { isRegexPrefix, checkPrefixes, matchPrefix, displayPrefix, toList };
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+
+// Bundle layout: MAGIC | salt (16) | iv (12) | GCM tag (16) | AES-256-GCM(gzip(JSON snapshot))
+const MAGIC = Buffer.from('HWAS1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function deriveKey(passphrase, salt) {
+    return crypto.scryptSync(passphrase, salt, 32);
+}
+
+// Encrypt an auth snapshot ({ creds, keys }) so it can be handed to another host
+function encryptBundle(snapshot, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+
+    const plain = zlib.gzipSync(JSON.stringify({ ...snapshot, exportedAt: new Date().toISOString() }, BufferJSON.replacer));
+    const encrypted = Buffer.concat([cipher.update(plain), cipher.final()]);
+
+    return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+}
+
+function decryptBundle(bundle, passphrase) {
+    const headerLength = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+    if (bundle.length <= headerLength || !bundle.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('Not a HyperWa session bundle');
+    }
+
+    let offset = MAGIC.length;
+    const salt = bundle.subarray(offset, offset += SALT_LENGTH);
+    const iv = bundle.subarray(offset, offset += IV_LENGTH);
+    const tag = bundle.subarray(offset, offset += TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    decipher.setAuthTag(tag);
+
+    let plain;
+    try {
+        plain = Buffer.concat([decipher.update(bundle.subarray(offset)), decipher.final()]);
+    } catch {
+        throw new Error('Wrong passphrase or corrupted session bundle');
+    }
+
+    const snapshot = JSON.parse(zlib.gunzipSync(plain).toString('utf8'), BufferJSON.reviver);
+    if (!snapshot.creds) {
+        throw new Error('Session bundle has no credentials');
+    }
+    return snapshot;
+}
+
+module.exports = { encryptBundle, decryptBundle };
@@ -1,30 +1,34 @@
 
 const TelegramBot = require('node-telegram-bot-api');
 const TelegramCommands = require('./commands');
-const config = require('../config');
-const logger = require('../Core/logger');
+const metrics = require('../Core/metrics');
 const { connectDb } = require('../utils/db');
 const fs = require('fs-extra');
 const path = require('path');
 const axios = require('axios');
 const sharp = require('sharp');
 const mime = require('mime-types');
-const { downloadContentFromMessage } = require('@whiskeysockets/baileys');
+const { downloadContentFromMessage, toNumber } = require('@whiskeysockets/baileys');
 const ffmpeg = require('fluent-ffmpeg');
 const { Sticker, StickerTypes } = require('wa-sticker-formatter');
 const { exec } = require('child_process');
 
+// Telegram allows one poller per token, so sessions sharing a bot token share one client.
+// token -> { bot, bridges: Set<TelegramBridge> }; the first bridge in the set is the primary.
+const sharedClients = new Map();
 
 class TelegramBridge {
     constructor(whatsappBot) {
         this.whatsappBot = whatsappBot;
+        this.config = whatsappBot.config;
+        this.logger = whatsappBot.logger;
         this.telegramBot = null;
         this.commands = null;
         this.chatMappings = new Map();
         this.userMappings = new Map();
         this.contactMappings = new Map();
         this.profilePicCache = new Map();
-        this.tempDir = path.join(__dirname, '../temp');
+        this.tempDir = path.join(__dirname, '../temp', whatsappBot.sessionId);
         this.isProcessing = false;
         this.activeCallNotifications = new Map();
         this.statusMessageIds = new Map();
@@ -37,14 +41,18 @@ class TelegramBridge {
         this.topicVerificationCache = new Map();
         this.pollingRetries = 0;
         this.maxPollingRetries = 5;
+        this.configSubscriptions = [];
+        this.clientToken = null;
+        this.telegramListeners = [];
+        this.pairingMessages = []; // [chatId, messageId] of the last pairing code sent
     }
 
     async initialize() {
-        const token = config.get('telegram.botToken');
-        const chatId = config.get('telegram.chatId');
+        const token = this.config.get('telegram.botToken');
+        const chatId = this.config.get('telegram.chatId');
         
         if (!token || token.includes('YOUR_BOT_TOKEN') || !chatId || chatId.includes('YOUR_CHAT_ID')) {
-            logger.warn('⚠️ Telegram bot token or chat ID not configured');
+            this.logger.warn('⚠️ Telegram bot token or chat ID not configured');
             return;
         }
 
@@ -52,39 +60,24 @@ class TelegramBridge {
             await this.initializeDatabase();
             await fs.ensureDir(this.tempDir);
             
-            // Enhanced Telegram bot initialization with better error handling
-            this.telegramBot = new TelegramBot(token, { 
-                polling: {
-                    interval: 1000,
-                    autoStart: true,
-                    params: {
-                        timeout: 10,
-                        allowed_updates: ['message', 'callback_query']
-                    }
-                },
-                onlyFirstMatch: true,
-                request: {
-                    agentOptions: {
-                        keepAlive: true,
-                        family: 4
-                    },
-                    url: 'https://api.telegram.org'
-                }
-            });
+            this.acquireTelegramBot(token);
             
             this.commands = new TelegramCommands(this);
-            await this.commands.registerBotCommands();
+            if (this.isPrimary()) {
+                await this.commands.registerBotCommands();
+            }
             await this.setupTelegramHandlers();
             await this.loadMappingsFromDb();
+            this.watchConfig();
             
             if (this.whatsappBot?.sock?.user) {
                 await this.syncContacts();
                 await this.updateTopicNames();
             }
             
-            logger.info('✅ Telegram bridge initialized');
+            this.logger.info('✅ Telegram bridge initialized');
         } catch (error) {
-            logger.error('❌ Failed to initialize Telegram bridge:', error);
+            this.logger.error('❌ Failed to initialize Telegram bridge:', error);
         }
     }
 
@@ -92,14 +85,14 @@ class TelegramBridge {
         try {
             this.db = await connectDb();
             await this.db.command({ ping: 1 });
-            logger.info('✅ MongoDB connection successful');
-            this.collection = this.db.collection('bridge');
+            this.logger.info('✅ MongoDB connection successful');
+            this.collection = this.db.collection(this.whatsappBot.collectionName('bridge'));
             await this.collection.createIndex({ type: 1, 'data.whatsappJid': 1 }, { unique: true, partialFilterExpression: { type: 'chat' } });
             await this.collection.createIndex({ type: 1, 'data.whatsappId': 1 }, { unique: true, partialFilterExpression: { type: 'user' } });
             await this.collection.createIndex({ type: 1, 'data.phone': 1 }, { unique: true, partialFilterExpression: { type: 'contact' } });
-            logger.info('📊 Database initialized for Telegram bridge (single collection: bridge)');
+            this.logger.info('📊 Database initialized for Telegram bridge (single collection: bridge)');
         } catch (error) {
-            logger.error('❌ Failed to initialize database:', error);
+            this.logger.error('❌ Failed to initialize database:', error);
         }
     }
 
@@ -126,9 +119,9 @@ class TelegramBridge {
                 }
             }
             
-            logger.info(`📊 Loaded mappings: ${this.chatMappings.size} chats, ${this.userMappings.size} users, ${this.contactMappings.size} contacts`);
+            this.logger.info(`📊 Loaded mappings: ${this.chatMappings.size} chats, ${this.userMappings.size} users, ${this.contactMappings.size} contacts`);
         } catch (error) {
-            logger.error('❌ Failed to load mappings:', error);
+            this.logger.error('❌ Failed to load mappings:', error);
         }
     }
 
@@ -151,9 +144,9 @@ class TelegramBridge {
             );
             this.chatMappings.set(whatsappJid, telegramTopicId);
             this.topicVerificationCache.delete(whatsappJid);
-            logger.debug(`✅ Saved chat mapping: ${whatsappJid} -> ${telegramTopicId}`);
+            this.logger.debug(`✅ Saved chat mapping: ${whatsappJid} -> ${telegramTopicId}`);
         } catch (error) {
-            logger.error('❌ Failed to save chat mapping:', error);
+            this.logger.error('❌ Failed to save chat mapping:', error);
         }
     }
 
@@ -177,9 +170,9 @@ class TelegramBridge {
                 { upsert: true }
             );
             this.userMappings.set(whatsappId, userData);
-            logger.debug(`✅ Saved user mapping: ${whatsappId} (${userData.name || userData.phone})`);
+            this.logger.debug(`✅ Saved user mapping: ${whatsappId} (${userData.name || userData.phone})`);
         } catch (error) {
-            logger.error('❌ Failed to save user mapping:', error);
+            this.logger.error('❌ Failed to save user mapping:', error);
         }
     }
 
@@ -219,20 +212,20 @@ class TelegramBridge {
                 { upsert: true }
             );
             this.contactMappings.set(phone, name);
-            logger.debug(`✅ Saved contact mapping: ${phone} -> ${name}`);
+            this.logger.debug(`✅ Saved contact mapping: ${phone} -> ${name}`);
         } catch (error) {
-            logger.error('❌ Failed to save contact mapping:', error);
+            this.logger.error('❌ Failed to save contact mapping:', error);
         }
     }
 
 async syncContacts() {
     try {
         if (!this.whatsappBot?.sock?.user) {
-            logger.warn('⚠️ WhatsApp not connected, skipping contact sync');
+            this.logger.warn('⚠️ WhatsApp not connected, skipping contact sync');
             return;
         }
         
-        logger.info('📞 Syncing contacts from WhatsApp...');
+        this.logger.info('📞 Syncing contacts from WhatsApp...');
         
         // Attempt to fetch fresh contacts from WhatsApp server
         let contacts = {};
@@ -240,12 +233,12 @@ async syncContacts() {
             await this.whatsappBot.sock.requestSync(['contact']);
             contacts = this.whatsappBot.sock.store?.contacts || {};
         } catch (error) {
-            logger.warn('⚠️ Failed to request contact sync from WhatsApp server, using cached contacts:', error);
+            this.logger.warn('⚠️ Failed to request contact sync from WhatsApp server, using cached contacts:', error);
             contacts = this.whatsappBot.sock.store?.contacts || {};
         }
         
         const contactEntries = Object.entries(contacts);
-        logger.debug(`🔍 Found ${contactEntries.length} contacts in WhatsApp store`);
+        this.logger.debug(`🔍 Found ${contactEntries.length} contacts in WhatsApp store`);
         
         let syncedCount = 0;
         
@@ -268,31 +261,31 @@ async syncContacts() {
                 if (existingName !== contactName) {
                     await this.saveContactMapping(phone, contactName);
                     syncedCount++;
-                    logger.debug(`📞 Synced contact: ${phone} -> ${contactName}`);
+                    this.logger.debug(`📞 Synced contact: ${phone} -> ${contactName}`);
                 }
             }
         }
         
-        logger.info(`✅ Synced ${syncedCount} new/updated contacts (Total: ${this.contactMappings.size})`);
+        this.logger.info(`✅ Synced ${syncedCount} new/updated contacts (Total: ${this.contactMappings.size})`);
         await this.logToTelegram('✅ Contact Sync Complete', `Synced ${syncedCount} new/updated contacts. Total: ${this.contactMappings.size}`);
         
         // Update topic names after syncing contacts
         await this.updateTopicNames();
         
     } catch (error) {
-        logger.error('❌ Failed to sync contacts:', error);
+        this.logger.error('❌ Failed to sync contacts:', error);
         await this.logToTelegram('❌ Contact Sync Failed', `Error: ${error.message}`);
     }
 }
     async updateTopicNames() {
         try {
-            const chatId = config.get('telegram.chatId');
+            const chatId = this.config.get('telegram.chatId');
             if (!chatId || chatId.includes('YOUR_CHAT_ID')) {
-                logger.error('❌ Invalid telegram.chatId for updating topic names');
+                this.logger.error('❌ Invalid telegram.chatId for updating topic names');
                 return;
             }
             
-            logger.info('📝 Updating Telegram topic names...');
+            this.logger.info('📝 Updating Telegram topic names...');
             let updatedCount = 0;
             
             for (const [jid, topicId] of this.chatMappings.entries()) {
@@ -304,104 +297,195 @@ async syncContacts() {
                         await this.telegramBot.editForumTopic(chatId, topicId, {
                             name: contactName
                         });
-                        logger.debug(`📝 Updated topic name for ${phone} to ${contactName}`);
+                        this.logger.debug(`📝 Updated topic name for ${phone} to ${contactName}`);
                         updatedCount++;
                     } catch (error) {
-                        logger.error(`❌ Failed to update topic ${topicId} for ${phone}:`, error);
+                        this.logger.error(`❌ Failed to update topic ${topicId} for ${phone}:`, error);
                     }
                     await new Promise(resolve => setTimeout(resolve, 100));
                 }
             }
             
-            logger.info(`✅ Updated ${updatedCount} topic names`);
+            this.logger.info(`✅ Updated ${updatedCount} topic names`);
             await this.logToTelegram('✅ Topic Names Updated', `Updated ${updatedCount} topic names.`);
         } catch (error) {
-            logger.error('❌ Failed to update topic names:', error);
+            this.logger.error('❌ Failed to update topic names:', error);
             await this.logToTelegram('❌ Topic Names Update Failed', `Error: ${error.message}`);
         }
     }
 
     async setReaction(chatId, messageId, emoji) {
         try {
-            const token = config.get('telegram.botToken');
+            const token = this.config.get('telegram.botToken');
             await axios.post(`https://api.telegram.org/bot${token}/setMessageReaction`, {
                 chat_id: chatId,
                 message_id: messageId,
                 reaction: [{ type: 'emoji', emoji }]
             });
         } catch (err) {
-            logger.debug('❌ Failed to set reaction:', err?.response?.data?.description || err.message);
+            this.logger.debug('❌ Failed to set reaction:', err?.response?.data?.description || err.message);
         }
     }
 
     async setupTelegramHandlers() {
         // Enhanced error handling for Telegram polling
-        this.telegramBot.on('polling_error', (error) => {
+        this.listen('polling_error', (error) => {
+            if (!this.isPrimary()) return;
             this.pollingRetries++;
-            logger.error(`Telegram polling error (attempt ${this.pollingRetries}/${this.maxPollingRetries}):`, error.message);
+            this.logger.error(`Telegram polling error (attempt ${this.pollingRetries}/${this.maxPollingRetries}):`, error.message);
             
             if (this.pollingRetries >= this.maxPollingRetries) {
-                logger.error('❌ Max polling retries reached. Restarting Telegram bot...');
+                this.logger.error('❌ Max polling retries reached. Restarting Telegram bot...');
                 this.restartTelegramBot();
             }
         });
 
-        this.telegramBot.on('error', (error) => {
-            logger.error('Telegram bot error:', error);
+        this.listen('error', (error) => {
+            if (!this.isPrimary()) return;
+            this.logger.error('Telegram bot error:', error);
         });
 
-        this.telegramBot.on('message', this.wrapHandler(async (msg) => {
+        this.listen('message', this.wrapHandler(async (msg) => {
             // Reset polling retries on successful message
             this.pollingRetries = 0;
+
+            // No new work once the session is draining for shutdown
+            if (this.whatsappBot.isShuttingDown) return;
             
+            // Private chats go to the primary session; supergroups to the session that owns them
             if (msg.chat.type === 'private') {
+                if (!this.isPrimary()) return;
                 this.botChatId = msg.chat.id;
                 await this.commands.handleCommand(msg);
             } else if (msg.chat.type === 'supergroup' && msg.is_topic_message) {
+                if (String(msg.chat.id) !== String(this.config.get('telegram.chatId'))) return;
                 await this.handleTelegramMessage(msg);
             }
         }));
 
-        logger.info('📱 Telegram message handlers set up');
+        this.logger.info('📱 Telegram message handlers set up');
+    }
+
+    // Register a listener on the (possibly shared) client so it can be removed on release
+    listen(event, handler) {
+        this.telegramBot.on(event, handler);
+        this.telegramListeners.push([event, handler]);
+    }
+
+    isPrimary() {
+        const client = sharedClients.get(this.clientToken);
+        return !client || client.bridges.values().next().value === this;
+    }
+
+    createTelegramBot(token) {
+        return new TelegramBot(token, { 
+            polling: {
+                interval: 1000,
+                autoStart: true,
+                params: {
+                    timeout: 10,
+                    allowed_updates: ['message', 'callback_query']
+                }
+            },
+            onlyFirstMatch: true,
+            request: {
+                agentOptions: {
+                    keepAlive: true,
+                    family: 4
+                },
+                url: 'https://api.telegram.org'
+            }
+        });
+    }
+
+    acquireTelegramBot(token) {
+        let client = sharedClients.get(token);
+        if (!client) {
+            client = { bot: this.createTelegramBot(token), bridges: new Set() };
+            sharedClients.set(token, client);
+        } else {
+            this.logger.info('🤝 Sharing Telegram bot client with another session');
+        }
+        client.bridges.add(this);
+        this.clientToken = token;
+        this.telegramBot = client.bot;
+    }
+
+    // Detach from the client; polling stops once no session uses it
+    async releaseTelegramBot() {
+        if (!this.telegramBot) return;
+
+        for (const [event, handler] of this.telegramListeners) {
+            this.telegramBot.removeListener(event, handler);
+        }
+        this.telegramListeners = [];
+
+        const client = sharedClients.get(this.clientToken);
+        if (client) {
+            client.bridges.delete(this);
+            if (client.bridges.size === 0) {
+                sharedClients.delete(this.clientToken);
+                await client.bot.stopPolling();
+            }
+        }
+        this.clientToken = null;
+    }
+
+    // Keep polling in line with runtime changes to the token or the enabled flag
+    watchConfig() {
+        const onTokenChange = async () => {
+            const token = this.config.get('telegram.botToken');
+            if (!token || token === this.clientToken) return;
+            this.logger.info('🔑 Telegram bot token changed, restarting bot...');
+            await this.restartTelegramBot();
+        };
+
+        this.configSubscriptions.push(
+            this.config.subscribe('telegram.botToken', onTokenChange),
+            // Session profiles can carry their own token
+            this.config.subscribe('sessions', onTokenChange),
+            this.config.subscribe('telegram.enabled', async () => {
+                if (!this.telegramBot || !this.isPrimary()) return;
+                try {
+                    if (this.config.get('telegram.enabled')) {
+                        await this.telegramBot.startPolling();
+                        this.logger.info('▶️ Telegram polling resumed');
+                    } else {
+                        await this.telegramBot.stopPolling();
+                        this.logger.info('⏸️ Telegram polling paused (telegram.enabled is false)');
+                    }
+                } catch (error) {
+                    this.logger.error('❌ Failed to apply telegram.enabled change:', error);
+                }
+            })
+        );
     }
 
     async restartTelegramBot() {
         try {
-            logger.info('🔄 Restarting Telegram bot...');
-            
-            if (this.telegramBot) {
-                await this.telegramBot.stopPolling();
+            this.logger.info('🔄 Restarting Telegram bot...');
+
+            // A failing client takes every session on it along; a token change only moves this one
+            const token = this.config.get('telegram.botToken');
+            const client = sharedClients.get(this.clientToken);
+            const bridges = client && token === this.clientToken ? [...client.bridges] : [this];
+
+            for (const bridge of bridges) {
+                await bridge.releaseTelegramBot();
             }
             
             // Wait a bit before restarting
             await new Promise(resolve => setTimeout(resolve, 5000));
             
-            const token = config.get('telegram.botToken');
-            this.telegramBot = new TelegramBot(token, { 
-                polling: {
-                    interval: 1000,
-                    autoStart: true,
-                    params: {
-                        timeout: 10,
-                        allowed_updates: ['message', 'callback_query']
-                    }
-                },
-                onlyFirstMatch: true,
-                request: {
-                    agentOptions: {
-                        keepAlive: true,
-                        family: 4
-                    },
-                    url: 'https://api.telegram.org'
-                }
-            });
-            
-            await this.setupTelegramHandlers();
-            this.pollingRetries = 0;
+            for (const bridge of bridges) {
+                bridge.acquireTelegramBot(token);
+                await bridge.setupTelegramHandlers();
+                bridge.pollingRetries = 0;
+            }
             
-            logger.info('✅ Telegram bot restarted successfully');
+            this.logger.info('✅ Telegram bot restarted successfully');
         } catch (error) {
-            logger.error('❌ Failed to restart Telegram bot:', error);
+            this.logger.error('❌ Failed to restart Telegram bot:', error);
         }
     }
 
@@ -410,7 +494,7 @@ async syncContacts() {
             try {
                 await handler(...args);
             } catch (error) {
-                logger.error('❌ Unhandled error in Telegram handler:', error);
+                this.logger.error('❌ Unhandled error in Telegram handler:', error);
             }
         };
     }
@@ -418,9 +502,9 @@ async syncContacts() {
     async logToTelegram(title, message) {
         if (!this.telegramBot) return;
 
-        const logChannel = config.get('telegram.logChannel');
+        const logChannel = this.config.get('telegram.logChannel');
         if (!logChannel || logChannel.includes('YOUR_LOG_CHANNEL')) {
-            logger.debug('Telegram log channel not configured');
+            this.logger.debug('Telegram log channel not configured');
             return;
         }
 
@@ -431,7 +515,7 @@ async syncContacts() {
                 parse_mode: 'Markdown'
             });
         } catch (error) {
-            logger.debug('Could not send log to Telegram:', error.message);
+            this.logger.debug('Could not send log to Telegram:', error.message);
         }
     }
 
@@ -446,8 +530,8 @@ async syncContacts() {
                 margin: 2 
             });
 
-            const ownerId = config.get('telegram.ownerId') || config.get('telegram.chatId');
-            const logChannel = config.get('telegram.logChannel');
+            const ownerId = this.config.get('telegram.ownerId') || this.config.get('telegram.chatId');
+            const logChannel = this.config.get('telegram.logChannel');
 
             // Send to owner
             if (ownerId) {
@@ -465,12 +549,60 @@ async syncContacts() {
                 });
             }
 
-            logger.info('📱 QR code sent to Telegram');
+            this.logger.info('📱 QR code sent to Telegram');
         } catch (error) {
-            logger.error('❌ Failed to send QR code to Telegram:', error);
+            this.logger.error('❌ Failed to send QR code to Telegram:', error);
         }
     }
 
+    // Send a login-related message to the owner and the log channel; returns [chatId, messageId] pairs
+    async sendLoginNotice(text) {
+        if (!this.telegramBot) return [];
+
+        const ownerId = this.config.get('telegram.ownerId') || this.config.get('telegram.chatId');
+        const logChannel = this.config.get('telegram.logChannel');
+        const sent = [];
+
+        for (const chatId of [ownerId, logChannel !== ownerId ? logChannel : null]) {
+            if (!chatId) continue;
+            try {
+                const message = await this.telegramBot.sendMessage(chatId, text, { parse_mode: 'Markdown' });
+                sent.push([chatId, message.message_id]);
+            } catch (error) {
+                this.logger.error(`❌ Failed to send login notice to ${chatId}:`, error.message);
+            }
+        }
+        return sent;
+    }
+
+    // Replaces the previous code's messages so only the current code is visible
+    async sendPairingCode(code, phoneNumber, ttl) {
+        for (const [chatId, messageId] of this.pairingMessages) {
+            await this.telegramBot?.deleteMessage(chatId, messageId).catch(() => {});
+        }
+
+        this.pairingMessages = await this.sendLoginNotice(
+            `🔑 *WhatsApp Pairing Code*\n\n` +
+            `📱 Number: +${phoneNumber}\n` +
+            `🔢 Code: \`${code}\`\n` +
+            `⌛ Valid for ${Math.round(ttl / 1000)}s; a new code is sent when it expires\n\n` +
+            `On the phone: WhatsApp > Linked devices > Link a device > Link with phone number instead`
+        );
+        this.logger.info('🔑 Pairing code sent to Telegram');
+    }
+
+    // Private delivery for sensitive files (session bundles): only telegram.ownerId, never a group or channel
+    async sendOwnerDocument(buffer, fileName, caption) {
+        const ownerId = this.config.get('telegram.ownerId');
+        if (!this.telegramBot || !ownerId) return false;
+
+        await this.telegramBot.sendDocument(ownerId, buffer, { caption }, {
+            filename: fileName,
+            contentType: 'application/octet-stream'
+        });
+        return true;
+    }
+
     async sendStartMessage() {
         try {
             if (!this.telegramBot) return;
@@ -483,8 +615,8 @@ async syncContacts() {
                                `🔗 Ready to bridge messages!\n\n` +
                                `⏰ Started at: ${new Date().toLocaleString()}`;
 
-            const ownerId = config.get('telegram.ownerId') || config.get('telegram.chatId');
-            const logChannel = config.get('telegram.logChannel');
+            const ownerId = this.config.get('telegram.ownerId') || this.config.get('telegram.chatId');
+            const logChannel = this.config.get('telegram.logChannel');
 
             // Send to owner
             if (ownerId) {
@@ -500,16 +632,16 @@ async syncContacts() {
                 });
             }
 
-            logger.info('🚀 Start message sent to Telegram');
+            this.logger.info('🚀 Start message sent to Telegram');
         } catch (error) {
-            logger.error('❌ Failed to send start message to Telegram:', error);
+            this.logger.error('❌ Failed to send start message to Telegram:', error);
         }
     }
 
     // Enhanced presence management
     async sendPresence(jid, presenceType = 'available') {
         try {
-            if (!this.whatsappBot?.sock || !config.get('telegram.features.presenceUpdates')) return;
+            if (!this.whatsappBot?.sock || !this.config.get('telegram.features.presenceUpdates')) return;
             
             const now = Date.now();
             const lastUpdate = this.lastPresenceUpdate.get(jid) || 0;
@@ -520,16 +652,16 @@ async syncContacts() {
             this.lastPresenceUpdate.set(jid, now);
             
             await this.whatsappBot.sock.sendPresenceUpdate(presenceType, jid);
-            logger.debug(`👁️ Sent presence update: ${presenceType} to ${jid}`);
+            this.logger.debug(`👁️ Sent presence update: ${presenceType} to ${jid}`);
             
         } catch (error) {
-            logger.debug('Failed to send presence:', error);
+            this.logger.debug('Failed to send presence:', error);
         }
     }
 
     async sendTypingPresence(jid) {
         try {
-            if (!this.whatsappBot?.sock || !config.get('telegram.features.presenceUpdates')) return;
+            if (!this.whatsappBot?.sock || !this.config.get('telegram.features.presenceUpdates')) return;
             
             await this.sendPresence(jid, 'composing');
             
@@ -543,18 +675,18 @@ async syncContacts() {
                 try {
                     await this.sendPresence(jid, 'paused');
                 } catch (error) {
-                    logger.debug('Failed to send paused presence:', error);
+                    this.logger.debug('Failed to send paused presence:', error);
                 }
             }, 3000);
             
         } catch (error) {
-            logger.debug('Failed to send typing presence:', error);
+            this.logger.debug('Failed to send typing presence:', error);
         }
     }
 
     async verifyTopicExists(jid, topicId) {
         try {
-            const chatId = config.get('telegram.chatId');
+            const chatId = this.config.get('telegram.chatId');
             
             // Check cache first
             const cacheKey = `${jid}_${topicId}`;
@@ -574,13 +706,14 @@ async syncContacts() {
                 return false;
             }
         } catch (error) {
-            logger.debug('Failed to verify topic existence:', error);
+            this.logger.debug('Failed to verify topic existence:', error);
             return false;
         }
     }
 
-    async syncMessage(whatsappMsg, text) {
-        if (!this.telegramBot || !config.get('telegram.enabled')) return;
+    // `options.backlog` marks messages received while the bot was offline
+    async syncMessage(whatsappMsg, text, options = {}) {
+        if (!this.telegramBot || !this.config.get('telegram.enabled')) return;
 
         const sender = whatsappMsg.key.remoteJid;
         const participant = whatsappMsg.key.participant || sender;
@@ -589,13 +722,16 @@ async syncContacts() {
         if (isFromMe) {
             const existingTopicId = this.chatMappings.get(sender);
             if (existingTopicId) {
+                if (options.backlog) text = await this.markBacklog(whatsappMsg, text, existingTopicId, sender);
                 await this.syncOutgoingMessage(whatsappMsg, text, existingTopicId, sender);
+                metrics.bridgeMessages.inc({ session: this.whatsappBot.sessionId, direction: 'wa_to_tg' });
             }
             return;
         }
         
         await this.createUserMapping(participant, whatsappMsg);
         const topicId = await this.getOrCreateTopic(sender, whatsappMsg);
+        if (options.backlog) text = await this.markBacklog(whatsappMsg, text, topicId, sender);
         
         if (whatsappMsg.message?.ptvMessage || (whatsappMsg.message?.videoMessage?.ptv)) {
             await this.handleWhatsAppMedia(whatsappMsg, 'video_note', topicId);
@@ -627,12 +763,25 @@ async syncContacts() {
                 this.statusMessageIds.set(messageId, whatsappMsg.key);
             }
         }
+        metrics.bridgeMessages.inc({ session: this.whatsappBot.sessionId, direction: 'wa_to_tg' });
 
-        if (whatsappMsg.key?.id && config.get('telegram.features.readReceipts') !== false) {
+        if (whatsappMsg.key?.id && this.config.get('telegram.features.readReceipts') !== false) {
             this.queueMessageForReadReceipt(sender, whatsappMsg.key);
         }
     }
 
+    // Text messages get the offline marker prepended; anything else gets it as a separate message first
+    async markBacklog(whatsappMsg, text, topicId, sender) {
+        const sentAt = new Date(toNumber(whatsappMsg.messageTimestamp) * 1000).toLocaleString();
+        const marker = `📥 Offline backlog · ${sentAt}`;
+
+        const hasMedia = this.whatsappBot.messageHandler.hasMedia(whatsappMsg) || whatsappMsg.message?.ptvMessage;
+        if (!hasMedia && text) return `${marker}\n${text}`;
+
+        await this.sendSimpleMessage(topicId, marker, sender);
+        return text;
+    }
+
     async syncOutgoingMessage(whatsappMsg, text, topicId, sender) {
         try {
             if (whatsappMsg.message?.ptvMessage || (whatsappMsg.message?.videoMessage?.ptv)) {
@@ -656,12 +805,12 @@ async syncContacts() {
                 await this.sendSimpleMessage(topicId, messageText, sender);
             }
         } catch (error) {
-            logger.error('❌ Failed to sync outgoing message:', error);
+            this.logger.error('❌ Failed to sync outgoing message:', error);
         }
     }
 
     queueMessageForReadReceipt(chatJid, messageKey) {
-        if (!config.get('telegram.features.readReceipts')) return;
+        if (!this.config.get('telegram.features.readReceipts')) return;
         
         if (!this.messageQueue.has(chatJid)) {
             this.messageQueue.set(chatJid, []);
@@ -681,12 +830,12 @@ async syncContacts() {
             
             if (this.whatsappBot?.sock) {
                 await this.whatsappBot.sock.readMessages(messages);
-                logger.debug(`📖 Marked ${messages.length} messages as read in ${chatJid}`);
+                this.logger.debug(`📖 Marked ${messages.length} messages as read in ${chatJid}`);
             }
             
             this.messageQueue.set(chatJid, []);
         } catch (error) {
-            logger.debug('Failed to send read receipts:', error);
+            this.logger.debug('Failed to send read receipts:', error);
         }
     }
 
@@ -706,7 +855,7 @@ async syncContacts() {
                 userName = this.contactMappings.get(userPhone);
             }
         } catch (error) {
-            logger.debug('Could not fetch contact info:', error);
+            this.logger.debug('Could not fetch contact info:', error);
         }
 
         const userData = {
@@ -717,7 +866,7 @@ async syncContacts() {
         };
 
         await this.saveUserMapping(participant, userData);
-        logger.debug(`👤 Created user mapping: ${userName || userPhone} (${userPhone})`);
+        this.logger.debug(`👤 Created user mapping: ${userName || userPhone} (${userPhone})`);
     }
 
     async getOrCreateTopic(chatJid, whatsappMsg) {
@@ -731,7 +880,7 @@ async syncContacts() {
                 return topicId;
             } else {
                 // Topic was deleted, remove from mapping and recreate
-                logger.warn(`🗑️ Topic ${topicId} for ${chatJid} was deleted, recreating...`);
+                this.logger.warn(`🗑️ Topic ${topicId} for ${chatJid} was deleted, recreating...`);
                 this.chatMappings.delete(chatJid);
                 await this.collection.deleteOne({ 
                     type: 'chat', 
@@ -741,9 +890,9 @@ async syncContacts() {
         }
 
         // Create new topic
-        const chatId = config.get('telegram.chatId');
+        const chatId = this.config.get('telegram.chatId');
         if (!chatId || chatId.includes('YOUR_CHAT_ID')) {
-            logger.error('❌ Telegram chat ID not configured');
+            this.logger.error('❌ Telegram chat ID not configured');
             return null;
         }
 
@@ -763,11 +912,11 @@ async syncContacts() {
                 iconColor = 0xFF4757;
             } else if (isGroup) {
                 try {
-                    const groupMeta = await this.whatsappBot.sock.groupMetadata(chatJid);
+                    const groupMeta = await this.whatsappBot.groups.get(chatJid);
                     topicName = `${groupMeta.subject}`;
                 } catch (error) {
                     topicName = `Group Chat`;
-                    logger.debug(`Could not fetch group metadata for ${chatJid}:`, error);
+                    this.logger.debug(`Could not fetch group metadata for ${chatJid}:`, error);
                 }
                 iconColor = 0x6FB9F0;
             } else {
@@ -781,7 +930,7 @@ async syncContacts() {
             });
 
             await this.saveChatMapping(chatJid, topic.message_thread_id);
-            logger.info(`🆕 Created Telegram topic: ${topicName} (ID: ${topic.message_thread_id}) for ${chatJid}`);
+            this.logger.info(`🆕 Created Telegram topic: ${topicName} (ID: ${topic.message_thread_id}) for ${chatJid}`);
             
             if (!isStatus && !isCall) {
                 await this.sendWelcomeMessage(topic.message_thread_id, chatJid, isGroup, whatsappMsg);
@@ -789,14 +938,14 @@ async syncContacts() {
             
             return topic.message_thread_id;
         } catch (error) {
-            logger.error('❌ Failed to create Telegram topic:', error);
+            this.logger.error('❌ Failed to create Telegram topic:', error);
             return null;
         }
     }
 
     async sendWelcomeMessage(topicId, jid, isGroup, whatsappMsg) {
         try {
-            const chatId = config.get('telegram.chatId');
+            const chatId = this.config.get('telegram.chatId');
             const phone = jid.split('@')[0];
             const contactName = this.contactMappings.get(phone) || `+${phone}`;
             const participant = whatsappMsg.key.participant || jid;
@@ -807,7 +956,7 @@ async syncContacts() {
             
             if (isGroup) {
                 try {
-                    const groupMeta = await this.whatsappBot.sock.groupMetadata(jid);
+                    const groupMeta = await this.whatsappBot.groups.get(jid);
                     welcomeText = `🏷️ **Group Information**\n\n` +
                                  `📝 **Name:** ${groupMeta.subject}\n` +
                                  `👥 **Participants:** ${groupMeta.participants.length}\n` +
@@ -816,7 +965,7 @@ async syncContacts() {
                                  `💬 Messages from this group will appear here`;
                 } catch (error) {
                     welcomeText = `🏷️ **Group Chat**\n\n💬 Messages from this group will appear here`;
-                    logger.debug(`Could not fetch group metadata for ${jid}:`, error);
+                    this.logger.debug(`Could not fetch group metadata for ${jid}:`, error);
                 }
             } else {
                 // Get user status/bio
@@ -827,7 +976,7 @@ async syncContacts() {
                         userStatus = `📝 **Status:** ${status.status}\n`;
                     }
                 } catch (error) {
-                    logger.debug(`Could not fetch status for ${jid}:`, error);
+                    this.logger.debug(`Could not fetch status for ${jid}:`, error);
                 }
 
                 welcomeText = `👤 **Contact Information**\n\n` +
@@ -849,20 +998,20 @@ async syncContacts() {
             await this.sendProfilePicture(topicId, jid, false);
 
         } catch (error) {
-            logger.error('❌ Failed to send welcome message:', error);
+            this.logger.error('❌ Failed to send welcome message:', error);
         }
     }
 
     async sendProfilePicture(topicId, jid, isUpdate = false) {
         try {
-            if (!config.get('telegram.features.profilePicSync')) return;
+            if (!this.config.get('telegram.features.profilePicSync')) return;
             
             const profilePicUrl = await this.whatsappBot.sock.profilePictureUrl(jid, 'image');
             
             if (profilePicUrl) {
                 const caption = isUpdate ? '📸 Profile picture updated' : '📸 Profile Picture';
                 
-                await this.telegramBot.sendPhoto(config.get('telegram.chatId'), profilePicUrl, {
+                await this.telegramBot.sendPhoto(this.config.get('telegram.chatId'), profilePicUrl, {
                     message_thread_id: topicId,
                     caption: caption
                 });
@@ -870,12 +1019,12 @@ async syncContacts() {
                 this.profilePicCache.set(jid, profilePicUrl);
             }
         } catch (error) {
-            logger.debug('Could not send profile picture:', error);
+            this.logger.debug('Could not send profile picture:', error);
         }
     }
 
     async handleCallNotification(callEvent) {
-        if (!this.telegramBot || !config.get('telegram.features.callLogs')) return;
+        if (!this.telegramBot || !this.config.get('telegram.features.callLogs')) return;
 
         const callerId = callEvent.from;
         const callKey = `${callerId}_${callEvent.id}`;
@@ -896,7 +1045,7 @@ async syncContacts() {
             });
 
             if (!topicId) {
-                logger.error('❌ Could not create call topic');
+                this.logger.error('❌ Could not create call topic');
                 return;
             }
 
@@ -906,20 +1055,22 @@ async syncContacts() {
                                `⏰ **Time:** ${new Date().toLocaleString()}\n` +
                                `📋 **Status:** ${callEvent.status || 'Incoming'}`;
 
-            await this.telegramBot.sendMessage(config.get('telegram.chatId'), callMessage, {
+            await this.telegramBot.sendMessage(this.config.get('telegram.chatId'), callMessage, {
                 message_thread_id: topicId,
                 parse_mode: 'Markdown'
             });
 
-            logger.info(`📞 Sent call notification from ${callerName}`);
+            this.logger.info(`📞 Sent call notification from ${callerName}`);
         } catch (error) {
-            logger.error('❌ Error handling call notification:', error);
+            this.logger.error('❌ Error handling call notification:', error);
         }
     }
 
     async handleWhatsAppMedia(whatsappMsg, mediaType, topicId, isOutgoing = false) {
+        // Tracked so shutdown waits for downloads/conversions before emptying the temp dir
+        const done = this.whatsappBot.inFlight.begin('media');
         try {
-            logger.info(`📥 Processing ${mediaType} from WhatsApp`);
+            this.logger.info(`📥 Processing ${mediaType} from WhatsApp`);
             
             let mediaMessage;
             let fileName = `media_${Date.now()}`;
@@ -953,11 +1104,11 @@ async syncContacts() {
             }
 
             if (!mediaMessage) {
-                logger.error(`❌ No media message found for ${mediaType}`);
+                this.logger.error(`❌ No media message found for ${mediaType}`);
                 return;
             }
 
-            logger.info(`📥 Downloading ${mediaType} from WhatsApp: ${fileName}`);
+            this.logger.info(`📥 Downloading ${mediaType} from WhatsApp: ${fileName}`);
 
             const downloadType = mediaType === 'sticker' ? 'sticker' : 
                                 mediaType === 'video_note' ? 'video' : 
@@ -966,21 +1117,21 @@ async syncContacts() {
             const stream = await downloadContentFromMessage(mediaMessage, downloadType);
             
             if (!stream) {
-                logger.error(`❌ Failed to get stream for ${mediaType}`);
+                this.logger.error(`❌ Failed to get stream for ${mediaType}`);
                 return;
             }
             
             const buffer = await this.streamToBuffer(stream);
             
             if (!buffer || buffer.length === 0) {
-                logger.error(`❌ Empty buffer for ${mediaType}`);
+                this.logger.error(`❌ Empty buffer for ${mediaType}`);
                 return;
             }
             
             const filePath = path.join(this.tempDir, fileName);
             await fs.writeFile(filePath, buffer);
 
-            logger.info(`💾 Saved ${mediaType} to: ${filePath} (${buffer.length} bytes)`);
+            this.logger.info(`💾 Saved ${mediaType} to: ${filePath} (${buffer.length} bytes)`);
 
             const sender = whatsappMsg.key.remoteJid;
             const participant = whatsappMsg.key.participant || sender;
@@ -993,7 +1144,7 @@ async syncContacts() {
                 caption = `👤 ${senderName}:\n${caption || ''}`;
             }
 
-            const chatId = config.get('telegram.chatId');
+            const chatId = this.config.get('telegram.chatId');
             
             switch (mediaType) {
                 case 'image':
@@ -1062,7 +1213,7 @@ async syncContacts() {
                             message_thread_id: topicId
                         });
                     } catch (stickerError) {
-                        logger.debug('Failed to send as sticker, converting to PNG:', stickerError);
+                        this.logger.debug('Failed to send as sticker, converting to PNG:', stickerError);
                         const pngPath = filePath.replace('.webp', '.png');
                         await sharp(filePath).png().toFile(pngPath);
                         
@@ -1075,11 +1226,13 @@ async syncContacts() {
                     break;
             }
 
-            logger.info(`✅ Successfully sent ${mediaType} to Telegram`);
+            this.logger.info(`✅ Successfully sent ${mediaType} to Telegram`);
             await fs.unlink(filePath).catch(() => {});
             
         } catch (error) {
-            logger.error(`❌ Failed to handle WhatsApp ${mediaType}:`, error);
+            this.logger.error(`❌ Failed to handle WhatsApp ${mediaType}:`, error);
+        } finally {
+            done();
         }
     }
 
@@ -1092,11 +1245,11 @@ async syncContacts() {
                 .duration(60) // Limit to 60 seconds for video notes
                 .format('mp4')
                 .on('end', () => {
-                    logger.debug('Video note conversion completed');
+                    this.logger.debug('Video note conversion completed');
                     resolve(outputPath);
                 })
                 .on('error', (err) => {
-                    logger.debug('Video note conversion failed:', err);
+                    this.logger.debug('Video note conversion failed:', err);
                     resolve(inputPath); // Return original if conversion fails
                 })
                 .save(outputPath);
@@ -1119,19 +1272,19 @@ async syncContacts() {
                 caption = `👤 ${senderName} shared location`;
             }
             
-            await this.telegramBot.sendLocation(config.get('telegram.chatId'), 
+            await this.telegramBot.sendLocation(this.config.get('telegram.chatId'), 
                 locationMessage.degreesLatitude, 
                 locationMessage.degreesLongitude, {
                     message_thread_id: topicId
                 });
                 
             if (caption) {
-                await this.telegramBot.sendMessage(config.get('telegram.chatId'), caption, {
+                await this.telegramBot.sendMessage(this.config.get('telegram.chatId'), caption, {
                     message_thread_id: topicId
                 });
             }
         } catch (error) {
-            logger.error('❌ Failed to handle WhatsApp location message:', error);
+            this.logger.error('❌ Failed to handle WhatsApp location message:', error);
         }
     }
 
@@ -1153,23 +1306,23 @@ async syncContacts() {
             }
 
             const phoneNumber = contactMessage.vcard.match(/TEL.*:(.*)/)?.[1] || '';
-            await this.telegramBot.sendContact(config.get('telegram.chatId'), phoneNumber, displayName, {
+            await this.telegramBot.sendContact(this.config.get('telegram.chatId'), phoneNumber, displayName, {
                 message_thread_id: topicId
             });
 
         } catch (error) {
-            logger.error('❌ Failed to handle WhatsApp contact message:', error);
+            this.logger.error('❌ Failed to handle WhatsApp contact message:', error);
         }
     }
 
     async markAsRead(jid, messageKeys) {
         try {
-            if (!this.whatsappBot?.sock || !messageKeys.length || !config.get('telegram.features.readReceipts')) return;
+            if (!this.whatsappBot?.sock || !messageKeys.length || !this.config.get('telegram.features.readReceipts')) return;
             
             await this.whatsappBot.sock.readMessages(messageKeys);
-            logger.debug(`📖 Marked ${messageKeys.length} messages as read in ${jid}`);
+            this.logger.debug(`📖 Marked ${messageKeys.length} messages as read in ${jid}`);
         } catch (error) {
-            logger.debug('Failed to mark messages as read:', error);
+            this.logger.debug('Failed to mark messages as read:', error);
         }
     }
 
@@ -1179,7 +1332,7 @@ async syncContacts() {
             const whatsappJid = this.findWhatsAppJidByTopic(topicId);
             
             if (!whatsappJid) {
-                logger.warn('⚠️ Could not find WhatsApp chat for Telegram message');
+                this.logger.warn('⚠️ Could not find WhatsApp chat for Telegram message');
                 return;
             }
 
@@ -1227,13 +1380,14 @@ async syncContacts() {
                     }, 1000);
                 }
             }
+            metrics.bridgeMessages.inc({ session: this.whatsappBot.sessionId, direction: 'tg_to_wa' });
 
             setTimeout(async () => {
                 await this.sendPresence(whatsappJid, 'available');
             }, 2000);
 
         } catch (error) {
-            logger.error('❌ Failed to handle Telegram message:', error);
+            this.logger.error('❌ Failed to handle Telegram message:', error);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
         }
     }
@@ -1254,18 +1408,19 @@ async syncContacts() {
             await this.setReaction(msg.chat.id, msg.message_id, '✅');
             
         } catch (error) {
-            logger.error('❌ Failed to handle status reply:', error);
+            this.logger.error('❌ Failed to handle status reply:', error);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
         }
     }
 
     async handleTelegramMedia(msg, mediaType) {
+        const done = this.whatsappBot.inFlight.begin('media');
         try {
             const topicId = msg.message_thread_id;
             const whatsappJid = this.findWhatsAppJidByTopic(topicId);
             
             if (!whatsappJid) {
-                logger.warn('⚠️ Could not find WhatsApp chat for Telegram media');
+                this.logger.warn('⚠️ Could not find WhatsApp chat for Telegram media');
                 return;
             }
 
@@ -1308,7 +1463,7 @@ async syncContacts() {
                     break;
             }
 
-            logger.info(`📥 Downloading ${mediaType} from Telegram: ${fileName}`);
+            this.logger.info(`📥 Downloading ${mediaType} from Telegram: ${fileName}`);
 
             const fileLink = await this.telegramBot.getFileLink(fileId);
             const response = await axios.get(fileLink, { responseType: 'arraybuffer' });
@@ -1317,7 +1472,7 @@ async syncContacts() {
             const filePath = path.join(this.tempDir, fileName);
             await fs.writeFile(filePath, buffer);
 
-            logger.info(`💾 Saved ${mediaType} to: ${filePath} (${buffer.length} bytes)`);
+            this.logger.info(`💾 Saved ${mediaType} to: ${filePath} (${buffer.length} bytes)`);
 
             let sendResult;
             let messageOptions = {};
@@ -1399,20 +1554,22 @@ case 'sticker':
             await fs.unlink(filePath).catch(() => {});
             
             if (sendResult?.key?.id) {
-                logger.info(`✅ Successfully sent ${mediaType} to WhatsApp`);
+                this.logger.info(`✅ Successfully sent ${mediaType} to WhatsApp`);
                 await this.setReaction(msg.chat.id, msg.message_id, '👍');
                 
                 setTimeout(async () => {
                     await this.markAsRead(whatsappJid, [sendResult.key]);
                 }, 1000);
             } else {
-                logger.warn(`⚠️ Failed to send ${mediaType} to WhatsApp - no message ID`);
+                this.logger.warn(`⚠️ Failed to send ${mediaType} to WhatsApp - no message ID`);
                 await this.setReaction(msg.chat.id, msg.message_id, '❌');
             }
 
         } catch (error) {
-            logger.error(`❌ Failed to handle Telegram ${mediaType}:`, error);
+            this.logger.error(`❌ Failed to handle Telegram ${mediaType}:`, error);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
+        } finally {
+            done();
         }
     }
 
@@ -1422,7 +1579,7 @@ async handleTelegramSticker(msg) {
     const chatId = msg.chat.id;
 
     if (!whatsappJid) {
-        logger.warn('⚠️ Could not find WhatsApp chat for Telegram sticker');
+        this.logger.warn('⚠️ Could not find WhatsApp chat for Telegram sticker');
         return;
     }
 
@@ -1466,13 +1623,13 @@ async handleTelegramSticker(msg) {
         await fs.unlink(inputPath).catch(() => {});
 
         if (result?.key?.id) {
-            logger.info('✅ Sticker sent to WhatsApp');
+            this.logger.info('✅ Sticker sent to WhatsApp');
             await this.setReaction(chatId, msg.message_id, '👍');
         } else {
             throw new Error('Sticker sent but no confirmation');
         }
     } catch (err) {
-        logger.error('❌ Failed to send sticker to WhatsApp:', err);
+        this.logger.error('❌ Failed to send sticker to WhatsApp:', err);
         await this.setReaction(chatId, msg.message_id, '❌');
 
         // Fallback: send as photo
@@ -1500,7 +1657,7 @@ async convertAnimatedSticker(inputPath) {
             .outputFormat('webp')
             .on('end', () => resolve(outputPath))
             .on('error', (err) => {
-                logger.debug('Animated sticker conversion failed:', err.message);
+                this.logger.debug('Animated sticker conversion failed:', err.message);
                 resolve(null); // fallback
             })
             .save(outputPath);
@@ -1513,7 +1670,7 @@ async convertAnimatedSticker(inputPath) {
             const whatsappJid = this.findWhatsAppJidByTopic(topicId);
 
             if (!whatsappJid) {
-                logger.warn('⚠️ Could not find WhatsApp chat for Telegram location');
+                this.logger.warn('⚠️ Could not find WhatsApp chat for Telegram location');
                 return;
             }
 
@@ -1533,7 +1690,7 @@ async convertAnimatedSticker(inputPath) {
                 }, 1000);
             }
         } catch (error) {
-            logger.error('❌ Failed to handle Telegram location message:', error);
+            this.logger.error('❌ Failed to handle Telegram location message:', error);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
         }
     }
@@ -1544,7 +1701,7 @@ async convertAnimatedSticker(inputPath) {
             const whatsappJid = this.findWhatsAppJidByTopic(topicId);
 
             if (!whatsappJid) {
-                logger.warn('⚠️ Could not find WhatsApp chat for Telegram contact');
+                this.logger.warn('⚠️ Could not find WhatsApp chat for Telegram contact');
                 return;
             }
 
@@ -1571,7 +1728,7 @@ async convertAnimatedSticker(inputPath) {
                 }, 1000);
             }
         } catch (error) {
-            logger.error('❌ Failed to handle Telegram contact message:', error);
+            this.logger.error('❌ Failed to handle Telegram contact message:', error);
             await this.setReaction(msg.chat.id, msg.message_id, '❌');
         }
     }
@@ -1579,7 +1736,7 @@ async convertAnimatedSticker(inputPath) {
     async sendSimpleMessage(topicId, text, sender) {
         if (!topicId) return null;
 
-        const chatId = config.get('telegram.chatId');
+        const chatId = this.config.get('telegram.chatId');
         
         try {
             let messageText = text;
@@ -1596,7 +1753,7 @@ async convertAnimatedSticker(inputPath) {
 
             return sentMessage.message_id;
         } catch (error) {
-            logger.error('❌ Failed to send message to Telegram:', error);
+            this.logger.error('❌ Failed to send message to Telegram:', error);
             return null;
         }
     }
@@ -1632,7 +1789,7 @@ async convertAnimatedSticker(inputPath) {
         if (!this.telegramBot) return;
 
         await this.logToTelegram('🤖 WhatsApp Bot Connected', 
-            `✅ Bot: ${config.get('bot.name')} v${config.get('bot.version')}\n` +
+            `✅ Bot: ${this.config.get('bot.name')} v${this.config.get('bot.version')}\n` +
             `📱 WhatsApp: Connected\n` +
             `🔗 Telegram Bridge: Active\n` +
             `📞 Contacts: ${this.contactMappings.size} synced\n` +
@@ -1648,7 +1805,7 @@ async convertAnimatedSticker(inputPath) {
 
     async setupWhatsAppHandlers() {
         if (!this.whatsappBot?.sock) {
-            logger.warn('⚠️ WhatsApp socket not available for setting up handlers');
+            this.logger.warn('⚠️ WhatsApp socket not available for setting up handlers');
             return;
         }
 
@@ -1672,30 +1829,30 @@ async convertAnimatedSticker(inputPath) {
                             contact.name.length > 2 &&
                             oldName !== contact.name) {
                             await this.saveContactMapping(phone, contact.name);
-                            logger.info(`📞 Updated contact: ${phone} -> ${contact.name}`);
+                            this.logger.info(`📞 Updated contact: ${phone} -> ${contact.name}`);
                             updatedCount++;
                             
                             const jid = contact.id;
                             if (this.chatMappings.has(jid)) {
                                 const topicId = this.chatMappings.get(jid);
                                 try {
-                                    await this.telegramBot.editForumTopic(config.get('telegram.chatId'), topicId, {
+                                    await this.telegramBot.editForumTopic(this.config.get('telegram.chatId'), topicId, {
                                         name: contact.name
                                     });
-                                    logger.info(`📝 Updated topic name for ${phone} to ${contact.name}`);
+                                    this.logger.info(`📝 Updated topic name for ${phone} to ${contact.name}`);
                                 } catch (error) {
-                                    logger.debug(`Could not update topic name for ${phone}:`, error);
+                                    this.logger.debug(`Could not update topic name for ${phone}:`, error);
                                 }
                             }
                         }
                     }
                 }
                 if (updatedCount > 0) {
-                    logger.info(`✅ Processed ${updatedCount} contact updates`);
+                    this.logger.info(`✅ Processed ${updatedCount} contact updates`);
                     await this.logToTelegram('✅ Contact Updates Processed', `Updated ${updatedCount} contacts.`);
                 }
             } catch (error) {
-                logger.error('❌ Failed to process contact updates:', error);
+                this.logger.error('❌ Failed to process contact updates:', error);
                 await this.logToTelegram('❌ Contact Updates Failed', `Error: ${error.message}`);
             }
         });
@@ -1711,47 +1868,55 @@ async convertAnimatedSticker(inputPath) {
                             contact.name.length > 2 &&
                             !this.contactMappings.has(phone)) {
                             await this.saveContactMapping(phone, contact.name);
-                            logger.info(`📞 New contact: ${phone} -> ${contact.name}`);
+                            this.logger.info(`📞 New contact: ${phone} -> ${contact.name}`);
                             newCount++;
                         }
                     }
                 }
                 if (newCount > 0) {
-                    logger.info(`✅ Added ${newCount} new contacts`);
+                    this.logger.info(`✅ Added ${newCount} new contacts`);
                     await this.logToTelegram('✅ New Contacts Added', `Added ${newCount} new contacts.`);
                 }
             } catch (error) {
-                logger.error('❌ Failed to process new contacts:', error);
+                this.logger.error('❌ Failed to process new contacts:', error);
             }
         });
 
-        logger.info('📱 WhatsApp event handlers set up for Telegram bridge');
+        this.logger.info('📱 WhatsApp event handlers set up for Telegram bridge');
     }
 
     async shutdown() {
-        logger.info('🛑 Shutting down Telegram bridge...');
+        this.logger.info('🛑 Shutting down Telegram bridge...');
+
+        this.configSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.configSubscriptions = [];
         
         if (this.presenceTimeout) {
             clearTimeout(this.presenceTimeout);
         }
+
+        // Send queued read receipts while the WhatsApp socket is still open
+        for (const chatJid of [...this.messageQueue.keys()]) {
+            await this.processReadReceipts(chatJid);
+        }
         
         if (this.telegramBot) {
             try {
-                await this.telegramBot.stopPolling();
-                logger.info('📱 Telegram bot polling stopped.');
+                await this.releaseTelegramBot();
+                this.logger.info('📱 Telegram bot polling stopped.');
             } catch (error) {
-                logger.debug('Error stopping Telegram polling:', error);
+                this.logger.debug('Error stopping Telegram polling:', error);
             }
         }
         
         try {
             await fs.emptyDir(this.tempDir);
-            logger.info('🧹 Temp directory cleaned.');
+            this.logger.info('🧹 Temp directory cleaned.');
         } catch (error) {
-            logger.debug('Could not clean temp directory:', error);
+            this.logger.debug('Could not clean temp directory:', error);
         }
         
-        logger.info('✅ Telegram bridge shutdown complete.');
+        this.logger.info('✅ Telegram bridge shutdown complete.');
     }
 }
 
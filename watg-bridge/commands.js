@@ -1,6 +1,3 @@
-
-const logger = require('../Core/logger');
-
 class TelegramCommands {
     constructor(bridge) {
         this.bridge = bridge;
@@ -32,11 +29,17 @@ class TelegramCommands {
                 case '/searchcontact':
                     await this.handleSearchContact(msg.chat.id, args);
                     break;
+                case '/config':
+                    await this.handleConfig(msg, args);
+                    break;
+                case '/login':
+                    await this.handleLogin(msg, args);
+                    break;
                 default:
                     await this.handleMenu(msg.chat.id);
             }
         } catch (error) {
-            logger.error(`❌ Error handling command ${command}:`, error);
+            this.bridge.logger.error(`❌ Error handling command ${command}:`, error);
             await this.bridge.telegramBot.sendMessage(
                 msg.chat.id,
                 `❌ Command error: ${error.message}`,
@@ -110,7 +113,7 @@ class TelegramCommands {
             const contactList = contacts.map(([phone, name]) => `📱 ${name || 'Unknown'} (+${phone})`).join('\n');
             await this.bridge.telegramBot.sendMessage(chatId, `📞 *Contacts*\n\n${contactList}`, { parse_mode: 'Markdown' });
         } catch (error) {
-            logger.error('❌ Failed to list contacts:', error);
+            this.bridge.logger.error('❌ Failed to list contacts:', error);
             await this.bridge.telegramBot.sendMessage(chatId, `❌ Error: ${error.message}`, { parse_mode: 'Markdown' });
         }
     }
@@ -138,11 +141,70 @@ class TelegramCommands {
             const result = matches.map(([phone, name]) => `📱 ${name || 'Unknown'} (+${phone})`).join('\n');
             await this.bridge.telegramBot.sendMessage(chatId, `🔍 *Search Results*\n\n${result}`, { parse_mode: 'Markdown' });
         } catch (error) {
-            logger.error('❌ Failed to search contacts:', error);
+            this.bridge.logger.error('❌ Failed to search contacts:', error);
             await this.bridge.telegramBot.sendMessage(chatId, `❌ Error: ${error.message}`, { parse_mode: 'Markdown' });
         }
     }
 
+    isAdmin(userId) {
+        const admins = [...(this.bridge.config.get('telegram.adminIds') || []), ...(this.bridge.config.get('telegram.sudoUsers') || [])];
+        return admins.map(Number).includes(Number(userId));
+    }
+
+    async handleConfig(msg, args) {
+        const chatId = msg.chat.id;
+        if (!this.isAdmin(msg.from?.id)) {
+            await this.bridge.telegramBot.sendMessage(chatId, '❌ Only Telegram admins can use /config', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const core = this.bridge.whatsappBot?.moduleLoader?.getModule('core');
+        if (!core) {
+            await this.bridge.telegramBot.sendMessage(chatId, '❌ Core module is not loaded', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const actor = `Telegram ${msg.from.username ? `@${msg.from.username}` : msg.from.id}`;
+        const reply = await core.runConfigAction(args, actor);
+        await this.bridge.telegramBot.sendMessage(chatId, whatsAppToHtml(reply.replace(/\.config/g, '/config')), { parse_mode: 'HTML' });
+    }
+
+    // /login <number> [session] - link a WhatsApp account with a pairing code
+    async handleLogin(msg, args) {
+        const chatId = msg.chat.id;
+        if (!this.isAdmin(msg.from?.id)) {
+            await this.bridge.telegramBot.sendMessage(chatId, '❌ Only Telegram admins can use /login', { parse_mode: 'Markdown' });
+            return;
+        }
+        if (args.length < 1) {
+            await this.bridge.telegramBot.sendMessage(chatId,
+                '❌ Usage: /login <number> [session]\nExample: /login 14155550123',
+                { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const [number, sessionId] = args;
+        const manager = this.bridge.whatsappBot?.manager;
+        const bot = sessionId ? manager?.get(sessionId) : this.bridge.whatsappBot;
+        if (!bot) {
+            await this.bridge.telegramBot.sendMessage(chatId, `❌ Session ${sessionId} is not running`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        try {
+            const code = await bot.requestPairingCode(number);
+            this.bridge.logger.info(`🔑 Pairing requested via Telegram by ${msg.from.id} for session ${bot.sessionId}`);
+
+            // sendPairingCode already delivered it to the owner chat
+            const ownerId = bot.config.get('telegram.ownerId') || bot.config.get('telegram.chatId');
+            if (String(ownerId) !== String(chatId)) {
+                await this.bridge.telegramBot.sendMessage(chatId, `🔑 Pairing code: \`${code}\``, { parse_mode: 'Markdown' });
+            }
+        } catch (error) {
+            await this.bridge.telegramBot.sendMessage(chatId, `❌ Login failed: ${error.message}`, { parse_mode: 'Markdown' });
+        }
+    }
+
     async handleMenu(chatId) {
         const message = `ℹ️ *Available Commands*\n\n` +
             `/start - Show bot info\n` +
@@ -150,7 +212,9 @@ class TelegramCommands {
             `/send <number> <msg> - Send WhatsApp message\n` +
             `/sync - Sync WhatsApp contacts\n` +
             `/contacts - View WhatsApp contacts\n` +
-            `/searchcontact <name/phone> - Search contacts`;
+            `/searchcontact <name/phone> - Search contacts\n` +
+            `/config <get|set|reset|list> <key> [value] - Manage settings\n` +
+            `/login <number> [session] - Link WhatsApp with a pairing code`;
         await this.bridge.telegramBot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
     }
 
@@ -162,13 +226,29 @@ class TelegramCommands {
                 { command: 'send', description: 'Send WhatsApp message' },
                 { command: 'sync', description: 'Sync WhatsApp contacts' },
                 { command: 'contacts', description: 'View WhatsApp contacts' },
-                { command: 'searchcontact', description: 'Search WhatsApp contacts' }
+                { command: 'searchcontact', description: 'Search WhatsApp contacts' },
+                { command: 'config', description: 'Inspect and edit bot settings' },
+                { command: 'login', description: 'Link WhatsApp with a pairing code' }
             ]);
-            logger.info('✅ Telegram bot commands registered');
+            this.bridge.logger.info('✅ Telegram bot commands registered');
         } catch (error) {
-            logger.error('❌ Failed to register Telegram bot commands:', error);
+            this.bridge.logger.error('❌ Failed to register Telegram bot commands:', error);
         }
     }
 }
 
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Replies shared with WhatsApp use its formatting (*bold*, _italic_, `code`). Telegram's Markdown
+// rejects the whole message over a stray _ or * in a value such as a JID or path, so convert to
+// HTML and escape everything else. Like WhatsApp, * and _ only format at word boundaries.
+function whatsAppToHtml(text) {
+    return text.split(/(`[^`\n]*`)/).map((part, index) => {
+        if (index % 2 === 1) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        return escapeHtml(part)
+            .replace(/(^|[\s(])\*(\S(?:[^*\n]*\S)?)\*(?=$|[\s).,:;!?])/g, '$1<b>$2</b>')
+            .replace(/(^|[\s(])_(\S(?:[^_\n]*\S)?)_(?=$|[\s).,:;!?])/g, '$1<i>$2</i>');
+    }).join('');
+}
+
 module.exports = TelegramCommands;